@@ -0,0 +1,41 @@
+/**
+ * Run a room broker and two game server instances sharing rooms, for local testing
+ *
+ * Open http://localhost:3000 and http://localhost:3001 in two browsers, create a
+ * room on one and join it from the other with the room code.
+ * Ports can be changed with CLUSTER_PORTS=3000,3001 and BROKER_PORT=3100
+ */
+const { fork } = require('child_process');
+const crypto = require('crypto');
+const path = require('path');
+const { startBroker } = require('./room-broker');
+
+const BROKER_PORT = Number(process.env.BROKER_PORT) || 3100;
+const PORTS = (process.env.CLUSTER_PORTS || '3000,3001').split(',').map(Number);
+
+const broker = startBroker(BROKER_PORT);
+
+// Every instance has to accept the client identities the others issue
+const CLIENT_IDENTITY_SECRET = process.env.CLIENT_IDENTITY_SECRET || crypto.randomBytes(32).toString('hex');
+
+const instances = PORTS.map((port, index) => fork(path.join(__dirname, 'multiplayer-server.js'), [], {
+    env: {
+        ...process.env,
+        PORT: port,
+        INSTANCE_ID: `instance-${index + 1}`,
+        ROOM_BROKER: `127.0.0.1:${BROKER_PORT}`,
+        CLIENT_IDENTITY_SECRET
+    }
+}));
+
+/**
+ * Stop the instances and the broker
+ */
+function shutdown() {
+    instances.forEach(instance => instance.kill('SIGTERM'));
+    broker.close();
+    process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
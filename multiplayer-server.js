@@ -6,6 +6,13 @@ const http = require('http');
 const socketIO = require('socket.io');
 const path = require('path');
 const cors = require('cors');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const { monitorEventLoopDelay, performance } = require('perf_hooks');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const ShipPhysics = require('./src/js/physics');
 
 // Create application
 const app = express();
@@ -26,728 +33,4524 @@ const io = socketIO(server, {
     }
 });
 
-// Game state
-const rooms = new Map();
-
 /**
- * Get list of active rooms with player counts
- * @returns {Array} Array of room objects with id and playerCount
+ * Room store kept in memory only, rooms are lost when the server stops
+ * Every room store has the same Map-like interface, plus load/save/close
  */
-function getActiveRooms() {
-    const activeRooms = [];
+class MemoryRoomStore {
+    constructor() {
+        this.rooms = new Map();
+    }
     
-    for (const [roomId, room] of rooms.entries()) {
-        // Only include rooms that are not in progress and have space
-        if (room.players.length > 0 && room.players.length < 6 && !room.gameInProgress) {
-            activeRooms.push({
-                id: roomId,
-                playerCount: room.players.length,
-                host: room.hostName || 'Unknown'
-            });
+    /**
+     * Get a room by ID
+     * @param {string} roomId - Room ID
+     * @returns {Object|undefined} Room object
+     */
+    get(roomId) {
+        return this.rooms.get(roomId);
+    }
+    
+    /**
+     * Check whether a room exists
+     * @param {string} roomId - Room ID
+     * @returns {boolean} True if the room exists
+     */
+    has(roomId) {
+        return this.rooms.has(roomId);
+    }
+    
+    /**
+     * Add or replace a room
+     * @param {string} roomId - Room ID
+     * @param {Object} room - Room object
+     * @returns {MemoryRoomStore} The store
+     */
+    set(roomId, room) {
+        this.rooms.set(roomId, room);
+        return this;
+    }
+    
+    /**
+     * Remove a room
+     * @param {string} roomId - Room ID
+     * @returns {boolean} True if the room existed
+     */
+    delete(roomId) {
+        return this.rooms.delete(roomId);
+    }
+    
+    /**
+     * Number of rooms
+     * @returns {number} Room count
+     */
+    get size() {
+        return this.rooms.size;
+    }
+    
+    /**
+     * Iterate over room IDs
+     * @returns {Iterator} Room IDs
+     */
+    keys() {
+        return this.rooms.keys();
+    }
+    
+    /**
+     * Iterate over rooms
+     * @returns {Iterator} Room objects
+     */
+    values() {
+        return this.rooms.values();
+    }
+    
+    /**
+     * Iterate over [roomId, room] pairs
+     * @returns {Iterator} Room entries
+     */
+    entries() {
+        return this.rooms.entries();
+    }
+    
+    /**
+     * Find the room a player has a seat in
+     * @param {string} playerId - Player socket ID
+     * @returns {string|null} Room ID or null if not found
+     */
+    findPlayerRoom(playerId) {
+        for (const [roomId, room] of this.rooms.entries()) {
+            if (room.players.some(p => p.id === playerId)) {
+                return roomId;
+            }
         }
+        return null;
     }
     
-    return activeRooms;
+    /**
+     * Read the rooms saved by a previous server run
+     * @returns {Array} Saved room data (always empty for the memory store)
+     */
+    load() {
+        return [];
+    }
+    
+    /**
+     * Save the current rooms (nothing to do for the memory store)
+     */
+    save() {}
+    
+    /**
+     * Save for the last time and stop saving
+     * @returns {Promise} Resolves once the rooms are saved
+     */
+    async close() {}
 }
 
-// Serve static files
-app.use(express.static(path.join(__dirname, '/')));
-
-// Handle root path
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
-});
-
-// Socket connection handler
-io.on('connection', (socket) => {
-    console.log(`Player connected: ${socket.id}`);
-      // Room join handler
-    socket.on('room:join', (data) => {
-        const { name, roomId, color } = data;
-        let joinedRoom;
-        console.log(`Player ${socket.id} attempting to ${roomId ? 'join room ' + roomId : 'create new room'}`);        // Validate player name first
-        if (!name || name.trim() === '') {
-            socket.emit('error', { message: 'Player name is required' });
-            return;
-        }
-        
-        // Create or join a room
-        if (!roomId) {
-            // Create new room with random ID
-            const newRoomId = generateRoomId();
-            joinedRoom = createRoom(newRoomId);
-            console.log(`Created new room ${newRoomId} for player ${socket.id}`);
-            
-            // Add player as host
-            joinedRoom.host = socket.id;
-            joinedRoom.hostName = name;
-        } else {
-            // Normalize room ID to uppercase
-            const normalizedRoomId = roomId.trim().toUpperCase();
-            console.log(`Looking for room with ID: ${normalizedRoomId}`);
-            
-            // Join existing room
-            joinedRoom = rooms.get(normalizedRoomId);
-            
-            // Room not found or full
-            if (!joinedRoom) {
-                console.log(`Room ${normalizedRoomId} not found, available rooms: ${Array.from(rooms.keys()).join(', ')}`);
-                socket.emit('error', { message: `Room "${normalizedRoomId}" not found` });
-                return;
-            }
-            
-            if (joinedRoom.players.length >= 4) {
-                socket.emit('error', { message: 'Room is full (maximum 4 players)' });
-                return;
-            }
-              
-            // Check if game is already in progress
-            if (joinedRoom.gameInProgress) {
-                socket.emit('error', { message: 'Game is already in progress. Please try joining another room.' });
-                return;
-            }
-              
-            // Check for duplicate player names in this room
-            const nameExists = joinedRoom.players.some(player => 
-                player.name.toLowerCase() === name.toLowerCase()
-            );
-            
-            if (nameExists) {
-                console.log(`Player name "${name}" already exists in room ${normalizedRoomId}`);
-                socket.emit('error', { message: `Player name "${name}" is already taken. Please choose a different name.` });
-                return;
+/**
+ * Room store that also keeps a JSON snapshot on disk, so rooms survive a restart
+ */
+class FileRoomStore extends MemoryRoomStore {
+    /**
+     * @param {string} filePath - JSON file the rooms are saved to
+     * @param {Function} serialize - Turns a room into plain data that can be saved
+     * @param {number} saveInterval - ms between snapshots
+     */
+    constructor(filePath, serialize, saveInterval) {
+        super();
+        this.filePath = filePath;
+        this.serialize = serialize;
+        this.lastSaved = null; // JSON of the last snapshot, an unchanged snapshot isn't written again
+        this.pendingSave = null; // Snapshot being written, at most one write runs at a time
+        this.closed = false;
+        this.saveTimer = setInterval(() => this.save(), saveInterval);
+    }
+    
+    /**
+     * Read the rooms saved by a previous server run
+     * @returns {Array} Saved room data
+     */
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            return Array.isArray(data.rooms) ? data.rooms : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Could not read room store ${this.filePath}: ${error.message}`);
             }
-            
-            console.log(`Player ${socket.id} joining existing room ${normalizedRoomId} with ${joinedRoom.players.length} players`);
+            return [];
         }
-          // Add player to room
-        const player = {
-            id: socket.id,
-            name,
-            color,
-            isHost: joinedRoom.host === socket.id
-        };
-        
-        joinedRoom.players.push(player);
-        socket.join(joinedRoom.id);
-        
-        // Store room ID and player name on socket for disconnect handling
-        socket.roomId = joinedRoom.id;
-        socket.playerName = name;
-        
-        console.log(`Player ${socket.id} joined room ${joinedRoom.id}`);
-          // Notify player they've joined
-        socket.emit('room:joined', {
-            roomId: joinedRoom.id,
-            isHost: player.isHost,
-            players: joinedRoom.players
+    }
+    
+    /**
+     * Serialize every room
+     * @returns {string} Snapshot JSON
+     */
+    createSnapshot() {
+        return JSON.stringify({
+            rooms: Array.from(this.rooms.values(), room => this.serialize(room))
         });
+    }
+    
+    /**
+     * Write a snapshot if anything changed since the last one
+     * @returns {Promise} Resolves once the snapshot is written
+     */
+    save() {
+        if (this.closed || this.pendingSave) return this.pendingSave;
         
-        // Notify other players in the room
-        socket.to(joinedRoom.id).emit('room:player_joined', player);
+        this.pendingSave = this.writeSnapshot().finally(() => {
+            this.pendingSave = null;
+        });
+        return this.pendingSave;
+    }
+    
+    /**
+     * Write the current rooms to disk unless they haven't changed
+     */
+    async writeSnapshot() {
+        const json = this.createSnapshot();
+        if (json === this.lastSaved) return;
         
-        // Send system chat message for player join
-        const joinMessage = {
-            id: `sys_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            message: `${name} joined the room`,
-            timestamp: new Date().toISOString(),
-            type: 'system'
-        };
-        io.to(joinedRoom.id).emit('chat:message', joinMessage);
-    });
+        try {
+            // Write a temporary file first so a crash mid-write can't corrupt the store
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, json);
+            await fs.promises.rename(tempPath, this.filePath);
+            this.lastSaved = json;
+        } catch (error) {
+            console.error(`Could not save room store ${this.filePath}: ${error.message}`);
+        }
+    }
     
-    // Room leave handler
-    socket.on('room:leave', () => {
-        const roomId = findPlayerRoom(socket.id);
-        if (!roomId) return;
+    /**
+     * Save for the last time and stop saving
+     * @returns {Promise} Resolves once the final snapshot is written
+     */
+    async close() {
+        clearInterval(this.saveTimer);
+        this.closed = true;
         
-        const room = rooms.get(roomId);
-        if (!room) return;
+        // A save still running shares the temporary file, let it finish first
+        await this.pendingSave;
+        await this.writeSnapshot();
+    }
+}
 
-        // Check if player is the host and game hasn't started yet
-        const isHost = room.host === socket.id;
-        const gameNotStarted = !room.gameInProgress;
-        
-        // Find the leaving player before removing them from the array
-        const leavingPlayer = room.players.find(p => p.id === socket.id);
-        const playerName = leavingPlayer ? leavingPlayer.name : 'Unknown player';
-        
-        // Remove player from room
-        room.players = room.players.filter(p => p.id !== socket.id);
+/**
+ * Connection to the room broker shared by every server instance (see room-broker.js)
+ * The connection is retried until the broker is up, subscriptions and our
+ * directory entries are sent again after every reconnect
+ */
+class BrokerClient {
+    /**
+     * @param {string} address - Broker address as host:port
+     * @param {number} reconnectDelay - ms between connection attempts
+     */
+    constructor(address, reconnectDelay) {
+        const separator = address.lastIndexOf(':');
+        this.host = separator > 0 ? address.slice(0, separator) : '127.0.0.1';
+        this.port = Number(address.slice(separator + 1));
+        this.reconnectDelay = reconnectDelay;
+        this.socket = null;
+        this.connected = false;
+        this.buffer = '';
+        this.subscriptions = new Map(); // channel -> message handler
+        this.ownEntries = new Map(); // key -> value this instance put in the directory
+        this.watchHandler = null;
+        this.connect();
+    }
+    
+    /**
+     * Open the connection, retrying when the broker can't be reached
+     */
+    connect() {
+        const socket = net.connect(this.port, this.host);
+        this.socket = socket;
+        socket.setEncoding('utf8');
         
-        // Special case: If the host is leaving before the game starts, close the room
-        if (isHost && gameNotStarted) {
-            console.log(`Host ${socket.id} (${playerName}) quit room ${roomId} before game start - closing room`);
-            
-            // Notify all players that the room is being closed because host left
-            io.to(roomId).emit('room:closed', { 
-                reason: 'host_left',
-                message: 'Room closed because the host left',
-                hostName: playerName
-            });
-            
-            // Force all remaining players to leave the socket.io room
-            for (const player of room.players) {
-                const playerSocket = io.sockets.sockets.get(player.id);
-                if (playerSocket) {
-                    playerSocket.leave(roomId);
-                    // Clean up socket data for other players too
-                    playerSocket.roomId = null;
-                    playerSocket.playerName = null;
-                }
-            }
-            
-            // Remove the room
-            rooms.delete(roomId);
-            console.log(`Room ${roomId} removed (host left before game start)`);
-        } else {
-            // Standard case: Regular player leaving or host leaving during game
-            console.log(`Player ${socket.id} (${playerName}) left room ${roomId}`);
-            
-            // Notify other players
-            socket.to(roomId).emit('room:player_left', {
-                id: socket.id,
-                name: playerName
-            });
-            
-            // Send system chat message for player leave
-            const leaveMessage = {
-                id: `sys_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                message: `${playerName} left the room`,
-                timestamp: new Date().toISOString(),
-                type: 'system'
-            };
-            socket.to(roomId).emit('chat:message', leaveMessage);
+        socket.on('connect', () => {
+            this.connected = true;
+            console.log(`Connected to room broker at ${this.host}:${this.port}`);
             
-            // If room is empty, remove it
-            if (room.players.length === 0) {
-                rooms.delete(roomId);
-                console.log(`Room ${roomId} removed (empty)`);
-                return;
+            for (const channel of this.subscriptions.keys()) {
+                this.send({ op: 'subscribe', channel });
             }
-            
-            // If only one player remains in the room, close it since multiplayer requires at least 2 players
-            if (room.players.length === 1 && !room.gameInProgress) {
-                const remainingPlayer = room.players[0];
-                console.log(`Only one player remains in room ${roomId}, closing room`);
-                
-                // Notify the remaining player that the room is closing
-                io.to(roomId).emit('room:closed', { 
-                    reason: 'insufficient_players',
-                    message: 'Room closed because only one player remained',
-                    playerName: remainingPlayer.name
-                });
-                
-                // Force the remaining player to leave the socket.io room
-                const playerSocket = io.sockets.sockets.get(remainingPlayer.id);
-                if (playerSocket) {
-                    playerSocket.leave(roomId);
-                    playerSocket.roomId = null;
-                    playerSocket.playerName = null;
-                }
-                
-                // Remove the room
-                rooms.delete(roomId);
-                console.log(`Room ${roomId} removed (insufficient players)`);
-                return;
+            for (const [key, value] of this.ownEntries.entries()) {
+                this.send({ op: 'set', key, value });
             }
-            
-            // If host left during game, assign new host
-            if (isHost && room.players.length > 0) {
-                const newHost = room.players[0].id;
-                room.host = newHost;
-                
-                // Update player as new host
-                const hostPlayer = room.players.find(p => p.id === newHost);
-                if (hostPlayer) {
-                    hostPlayer.isHost = true;
-                    
-                    // Notify new host
-                    io.to(newHost).emit('room:host_changed', { isHost: true });
-                    
-                    // Notify all players about the new host
-                    io.to(roomId).emit('room:host_changed', { 
-                        host: newHost,
-                        hostName: hostPlayer.name
-                    });
-                }
+            if (this.watchHandler) {
+                this.send({ op: 'watch' });
             }
-        }
-        
-        // Leave the socket.io room
-        socket.leave(roomId);
-        
-        // Clean up socket data
-        socket.roomId = null;
-        socket.playerName = null;
-    });
-    
-    // Game start handler
-    socket.on('game:start', () => {
-        const roomId = findPlayerRoom(socket.id);
-        if (!roomId) return;
-        
-        const room = rooms.get(roomId);
-        
-        // Only host can start the game
-        if (room.host !== socket.id) {
-            return;
-        }
-        
-        // Minimum 2 players required
-        if (room.players.length < 2) {
-            socket.emit('error', { message: 'Need at least 2 players to start' });
-            return;
-        }
+        });
         
-        // Start the game
-        room.gameInProgress = true;
-        room.gameStarted = true;
-        room.gameStartTime = Date.now(); // Store synchronized game start time
+        socket.on('data', chunk => this.receive(chunk));
         
-        // Initialize game entities for the room
-        room.asteroids = [];
-        room.powerups = [];
-        room.nextAsteroidId = 0;
-        room.nextPowerupId = 0;
-        room.lastAsteroidSpawn = room.gameStartTime;
-        room.lastPowerupSpawn = room.gameStartTime;
+        socket.on('error', (error) => {
+            if (this.connected) {
+                console.error(`Room broker connection error: ${error.message}`);
+            }
+        });
         
-        // Start entity spawning loop for this room
-        startEntitySpawning(roomId);
-          // Notify all players in the room
-        io.to(roomId).emit('game:start', {
-            players: room.players,
-            startTime: room.gameStartTime
+        socket.on('close', () => {
+            if (this.connected) {
+                console.log('Lost the room broker connection, reconnecting');
+            }
+            this.connected = false;
+            this.buffer = '';
+            setTimeout(() => this.connect(), this.reconnectDelay);
         });
-    });
+    }
     
-    // Game action handler (pause, resume, quit)
-    socket.on('game:action', (data) => {
-        const { action, autoStart } = data;
-        const roomId = findPlayerRoom(socket.id);
-        if (!roomId) return;
+    /**
+     * Split incoming data into messages
+     * @param {string} chunk - Data read from the broker
+     */
+    receive(chunk) {
+        this.buffer += chunk;
         
-        const room = rooms.get(roomId);
-        if (!room) return;
-        
-        // Special handling for restart action - allow it even when game is not in progress
-        if (action === 'restart') {
-            // Only host can restart
-            if (room.host === socket.id) {
-                room.gameInProgress = false;
-                room.gameStarted = false;
-                
-                // Clean up entity spawning
-                if (room.spawnInterval) {
-                    clearInterval(room.spawnInterval);
-                    room.spawnInterval = null;
+        let newline;
+        while ((newline = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, newline);
+            this.buffer = this.buffer.slice(newline + 1);
+            if (!line) continue;
+            
+            try {
+                const message = JSON.parse(line);
+                if (message.op === 'message') {
+                    const handler = this.subscriptions.get(message.channel);
+                    if (handler) handler(message.message);
+                } else if (this.watchHandler) {
+                    this.watchHandler(message);
                 }
-                
-                // Update game start time for restart
-                room.gameStartTime = Date.now();
-                // Find player data to include name
-                const restartingPlayer = room.players.find(p => p.id === socket.id);
-                io.to(roomId).emit('game:restart', {
-                    playerId: socket.id,
-                    playerName: restartingPlayer ? restartingPlayer.name : 'Unknown player',
-                    startTime: room.gameStartTime,
-                    autoStart: autoStart || false
-                });
+            } catch (error) {
+                console.error('Could not handle a room broker message:', error);
             }
-            return;
         }
+    }
+    
+    /**
+     * Send a message to the broker, messages sent while disconnected are dropped
+     * @param {Object} message - Message to send
+     */
+    send(message) {
+        if (!this.connected) return;
+        this.socket.write(JSON.stringify(message) + '\n');
+    }
+    
+    /**
+     * Receive the messages published to a channel
+     * @param {string} channel - Channel name
+     * @param {Function} handler - Called with each message
+     */
+    subscribe(channel, handler) {
+        this.subscriptions.set(channel, handler);
+        this.send({ op: 'subscribe', channel });
+    }
+    
+    /**
+     * Publish a message to the other instances subscribed to a channel
+     * @param {string} channel - Channel name
+     * @param {Object} message - Message to publish
+     */
+    publish(channel, message) {
+        this.send({ op: 'publish', channel, message });
+    }
+    
+    /**
+     * Add or update a directory entry owned by this instance
+     * @param {string} key - Entry key
+     * @param {Object} value - Entry value
+     */
+    setEntry(key, value) {
+        this.ownEntries.set(key, value);
+        this.send({ op: 'set', key, value });
+    }
+    
+    /**
+     * Remove a directory entry owned by this instance
+     * @param {string} key - Entry key
+     */
+    deleteEntry(key) {
+        this.ownEntries.delete(key);
+        this.send({ op: 'del', key });
+    }
+    
+    /**
+     * Follow the directory, the handler gets a snapshot first and then every change
+     * @param {Function} handler - Called with snapshot, set and del messages
+     */
+    watch(handler) {
+        this.watchHandler = handler;
+        this.send({ op: 'watch' });
+    }
+}
+
+/**
+ * Socket.io adapter that reaches the sockets of other instances through the room broker,
+ * so io.to(roomId).emit(), socketsJoin() and serverSideEmit() work across instances
+ */
+class BrokerAdapter extends ClusterAdapterWithHeartbeat {
+    /**
+     * @param {Object} nsp - Socket.io namespace
+     * @param {BrokerClient} broker - Broker connection
+     */
+    constructor(nsp, broker) {
+        super(nsp, {});
+        this.broker = broker;
+        this.channel = `socket.io#${nsp.name}`;
         
-        // For other actions, require game to be in progress
-        if (!room.gameInProgress) return;
-        
-        // Process action
-        switch (action) {
-            case 'end':
-                // Handle natural game end (time limit reached or all players dead)
-                // Only host can trigger natural game end
-                if (room.host !== socket.id) {
-                    return;
-                }
-                room.gameInProgress = false;
-                room.gameStarted = false;
-                
-                // Clean up entity spawning
-                if (room.spawnInterval) {
-                    clearInterval(room.spawnInterval);
-                    room.spawnInterval = null;
-                }
-                
-                const gameEndTime = Date.now(); // Synchronized timestamp
-                io.to(roomId).emit('game:end', { 
-                    reason: 'time_limit',
-                    timestamp: gameEndTime,
-                    gameStartTime: room.gameStartTime
-                });
-                break;
-            case 'pause':
-                io.to(roomId).emit('game:pause', { playerId: socket.id });
-                break;
-            case 'resume':
-                io.to(roomId).emit('game:resume', { playerId: socket.id });
-                break;            
-                case 'quit':
-                // Find player data to include name
-                const quittingPlayer = room.players.find(p => p.id === socket.id);
-                
-                // Check if there will be enough remaining players to continue
-                if (room.players.length <= 2) {  // This means only one player will be left after this player quits
-                    room.gameInProgress = false;
-                    room.gameStarted = false;
-                    
-                    // Clean up entity spawning
-                    if (room.spawnInterval) {
-                        clearInterval(room.spawnInterval);
-                        room.spawnInterval = null;
-                    }
-                    
-                    const gameEndTime = Date.now(); // Synchronized timestamp
-                    io.to(roomId).emit('game:end', { 
-                        playerId: socket.id, 
-                        reason: 'quit',
-                        playerName: quittingPlayer ? quittingPlayer.name : 'Unknown player',
-                        timestamp: gameEndTime
-                    });
-                } else {
-                    // Enough players to continue, just notify about the player who quit
-                    socket.to(roomId).emit('player:quit', {
-                        playerId: socket.id,
-                        playerName: quittingPlayer ? quittingPlayer.name : 'Unknown player'
-                    });
-                    
-                    // Send a direct message to the quitting player
-                    const gameEndTime = Date.now(); // Synchronized timestamp
-                    socket.emit('game:end', { 
-                        playerId: socket.id, 
-                        reason: 'quit',
-                        playerName: quittingPlayer ? quittingPlayer.name : 'Unknown player',
-                        localOnly: true,
-                        timestamp: gameEndTime
-                    });
+        broker.subscribe(this.channel, message => this.onMessage(message));
+        broker.subscribe(`${this.channel}#${this.uid}`, response => this.onResponse(response));
+    }
+    
+    /**
+     * Send a message to the other instances
+     * @param {Object} message - Cluster message
+     * @returns {Promise<string>} Message offset (not tracked)
+     */
+    doPublish(message) {
+        this.broker.publish(this.channel, message);
+        return Promise.resolve('');
+    }
+    
+    /**
+     * Answer a request from another instance
+     * @param {string} requesterUid - Adapter ID of the instance that asked
+     * @param {Object} response - Cluster response
+     * @returns {Promise<void>}
+     */
+    doPublishResponse(requesterUid, response) {
+        this.broker.publish(`${this.channel}#${requesterUid}`, response);
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Room directory of a single instance, every room is hosted here
+ * The directory tells which instance hosts a room and what the room browser shows for it
+ */
+class LocalRoomDirectory {
+    /**
+     * @param {string} instanceId - ID of this server instance
+     */
+    constructor(instanceId) {
+        this.instanceId = instanceId;
+        this.entries = new Map(); // roomId -> { instanceId, summary }, summary is null for unlisted rooms
+    }
+    
+    /**
+     * Add or update a room hosted by this instance
+     * @param {string} roomId - Room ID
+     * @param {Object|null} [summary] - Room browser summary, null keeps the room out of the list
+     */
+    setRoom(roomId, summary = null) {
+        this.entries.set(roomId, { instanceId: this.instanceId, summary });
+    }
+    
+    /**
+     * Remove a room hosted by this instance
+     * @param {string} roomId - Room ID
+     */
+    removeRoom(roomId) {
+        this.entries.delete(roomId);
+    }
+    
+    /**
+     * Check whether a room exists on any instance
+     * @param {string} roomId - Room ID
+     * @returns {boolean} True if the room exists
+     */
+    has(roomId) {
+        return this.entries.has(roomId);
+    }
+    
+    /**
+     * Find the instance hosting a room
+     * @param {string} roomId - Room ID
+     * @returns {string|null} Instance ID or null
+     */
+    getOwner(roomId) {
+        const entry = this.entries.get(roomId);
+        return entry ? entry.instanceId : null;
+    }
+    
+    /**
+     * Check whether a room is hosted by another instance
+     * @param {string} roomId - Room ID
+     * @returns {boolean} True if another instance hosts the room
+     */
+    isRemote(roomId) {
+        const owner = this.getOwner(roomId);
+        return owner !== null && owner !== this.instanceId;
+    }
+    
+    /**
+     * Check whether an instance went away with its rooms
+     * @param {string} instanceId - Instance ID
+     * @returns {boolean} True if the instance's rooms were dropped because it went away
+     */
+    isInstanceLost(instanceId) {
+        return false;
+    }
+    
+    /**
+     * Room browser summaries of the listed rooms hosted by other instances
+     * @returns {Array} Room summaries
+     */
+    getRemoteRooms() {
+        const summaries = [];
+        for (const entry of this.entries.values()) {
+            if (entry.instanceId !== this.instanceId && entry.summary) {
+                summaries.push(entry.summary);
+            }
+        }
+        return summaries;
+    }
+}
+
+/**
+ * Room directory shared with the other instances through the room broker
+ * Our own rooms are published, the others' are mirrored so lookups stay synchronous
+ */
+class SharedRoomDirectory extends LocalRoomDirectory {
+    /**
+     * @param {string} instanceId - ID of this server instance
+     * @param {BrokerClient} broker - Broker connection
+     */
+    constructor(instanceId, broker) {
+        super(instanceId);
+        this.broker = broker;
+        this.lostInstances = new Set(); // Instances that crashed or lost the broker, until they publish again
+        broker.watch(message => this.applyChange(message));
+    }
+    
+    /**
+     * Add or update a room hosted by this instance
+     * @param {string} roomId - Room ID
+     * @param {Object|null} [summary] - Room browser summary, null keeps the room out of the list
+     */
+    setRoom(roomId, summary = null) {
+        super.setRoom(roomId, summary);
+        this.broker.setEntry(roomId, this.entries.get(roomId));
+    }
+    
+    /**
+     * Remove a room hosted by this instance
+     * @param {string} roomId - Room ID
+     */
+    removeRoom(roomId) {
+        super.removeRoom(roomId);
+        this.broker.deleteEntry(roomId);
+    }
+    
+    /**
+     * Mirror a directory change made by another instance
+     * @param {Object} message - Snapshot, set or del message from the broker
+     */
+    applyChange(message) {
+        if (message.op === 'snapshot') {
+            // Start over from the broker's view, our own rooms are already correct
+            for (const [roomId, entry] of this.entries.entries()) {
+                if (entry.instanceId !== this.instanceId) {
+                    this.entries.delete(roomId);
                 }
-                break;
+            }
+            message.entries.forEach(([roomId, entry]) => this.applyEntry(roomId, entry));
+        } else if (message.op === 'set') {
+            this.applyEntry(message.key, message.value);
+        } else if (message.op === 'del' && this.isRemote(message.key)) {
+            if (message.ownerGone) {
+                this.lostInstances.add(this.getOwner(message.key));
+            }
+            this.entries.delete(message.key);
         }
-    });
+    }
     
-    // Player update handler
-    socket.on('player:update', (playerState) => {
-        const roomId = findPlayerRoom(socket.id);
-        if (!roomId) return;
-        
-        const room = rooms.get(roomId);
-        if (!room || !room.gameInProgress) return;
-        
-        // Broadcast player state to other players in the room
-        socket.to(roomId).emit('player:update', playerState);
-    });
+    /**
+     * Check whether an instance went away with its rooms
+     * @param {string} instanceId - Instance ID
+     * @returns {boolean} True if the instance's rooms were dropped because it went away
+     */
+    isInstanceLost(instanceId) {
+        return this.lostInstances.has(instanceId);
+    }
     
-    // Entity collision handler
-    socket.on('entity:collision', (data) => {
-        const roomId = findPlayerRoom(socket.id);
-        if (!roomId) return;
-        
-        const room = rooms.get(roomId);
-        if (!room || !room.gameInProgress) return;
-        
-        const { entityType, entityId, playerId } = data;
-        
-        if (entityType === 'asteroid') {
-            // Remove asteroid from room state
-            room.asteroids = room.asteroids.filter(a => a.id !== entityId);
-            // Broadcast collision to all players
-            io.to(roomId).emit('entity:collision', { entityType, entityId, playerId });
-        } else if (entityType === 'powerup') {
-            // Remove powerup from room state
-            room.powerups = room.powerups.filter(p => p.id !== entityId);
-            // Broadcast collision to all players
-            io.to(roomId).emit('entity:collision', { entityType, entityId, playerId });
+    /**
+     * Store another instance's room
+     * @param {string} roomId - Room ID
+     * @param {Object} entry - Directory entry
+     */
+    applyEntry(roomId, entry) {
+        if (!entry || entry.instanceId === this.instanceId) return;
+        this.lostInstances.delete(entry.instanceId);
+        this.entries.set(roomId, entry);
+    }
+}
+
+/**
+ * Stand-in for a socket connected to another instance, playing in a room hosted here
+ * Its events arrive with serverSideEmit and everything sent to it goes through the
+ * adapter, so the usual socket handlers work unchanged (see handleConnection)
+ */
+class RemoteClientSocket {
+    /**
+     * @param {string} id - Socket ID
+     * @param {string} clientId - Client identity sent by the other instance
+     * @param {string} homeInstance - ID of the instance the socket is connected to
+     */
+    constructor(id, clientId, homeInstance) {
+        this.id = id;
+        this.clientId = clientId; // Verified by the instance the socket is connected to
+        this.homeInstance = homeInstance;
+        this.connected = true;
+        this.lastSeq = 0; // Sequence number of the last event handled here
+        this.handlers = new Map(); // event -> handlers
+    }
+    
+    /**
+     * Register an event handler
+     * @param {string} event - Event name
+     * @param {Function} handler - Event handler
+     */
+    on(event, handler) {
+        if (!this.handlers.has(event)) {
+            this.handlers.set(event, []);
         }
-    });
+        this.handlers.get(event).push(handler);
+    }
     
-    // Handle chat messages
-    socket.on('chat:message', (data) => {
-        const { message } = data;
-        const roomId = socket.roomId || findPlayerRoom(socket.id);
-        
-        if (!roomId) {
-            console.log(`Chat message from player ${socket.id} but no room found`);
-            return;
+    /**
+     * Run the handlers of an event forwarded by the other instance
+     * @param {string} event - Event name
+     * @param {Array} args - Event arguments
+     * @returns {Promise} Settles once every handler is done, some of them are async
+     */
+    dispatch(event, args) {
+        return Promise.allSettled((this.handlers.get(event) || []).map(handler => handler(...args)));
+    }
+    
+    /**
+     * Send an event to the socket
+     * @param {string} event - Event name
+     * @param {...*} args - Event arguments
+     */
+    emit(event, ...args) {
+        io.to(this.id).emit(event, ...args);
+    }
+    
+    /**
+     * Broadcast to a room, leaving this socket out
+     * @param {string} roomId - Room ID
+     * @returns {Object} Broadcast operator
+     */
+    to(roomId) {
+        return io.to(roomId).except(this.id);
+    }
+    
+    /**
+     * Add the socket to a socket.io room
+     * @param {string} roomId - Room ID
+     */
+    join(roomId) {
+        io.in(this.id).socketsJoin(roomId);
+    }
+    
+    /**
+     * Remove the socket from a socket.io room
+     * @param {string} roomId - Room ID
+     */
+    leave(roomId) {
+        io.in(this.id).socketsLeave(roomId);
+    }
+    
+    /**
+     * Disconnect the socket
+     * @param {boolean} [close] - Close the underlying connection
+     */
+    disconnect(close = false) {
+        io.in(this.id).disconnectSockets(close);
+    }
+}
+
+// Room storage, pick with ROOM_STORE=memory (default) or ROOM_STORE=file
+const ROOM_STORE = process.env.ROOM_STORE || 'memory';
+// Kept outside the served files, the snapshot holds session data
+const ROOM_STORE_FILE = process.env.ROOM_STORE_FILE || path.join(os.tmpdir(), 'asteroid-dodgers', 'rooms.json');
+const ROOM_STORE_SAVE_INTERVAL = 5000; // ms between snapshots of the file store
+const RESTORED_SEAT_GRACE_PERIOD = 2 * 60 * 1000; // ms players of a restored room have to rejoin
+
+// Running several instances, ROOM_BROKER=host:port shares rooms through room-broker.js
+const ROOM_BROKER = process.env.ROOM_BROKER || null;
+const INSTANCE_ID = process.env.INSTANCE_ID || crypto.randomBytes(4).toString('hex');
+const BROKER_RECONNECT_DELAY = 1000; // ms between attempts to reach the room broker
+
+// Admin API and dashboard under /admin, disabled unless ADMIN_TOKEN is set
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+const MAX_ANNOUNCEMENT_LENGTH = 200;
+
+// Client identities that room bans apply to, signed so clients can't pick or forge one.
+// Set CLIENT_IDENTITY_SECRET to keep identities valid across restarts and instances
+const CLIENT_IDENTITY_SECRET = process.env.CLIENT_IDENTITY_SECRET || crypto.randomBytes(32).toString('hex');
+const MAX_CLIENT_TOKEN_LENGTH = 128;
+
+// Telemetry served on /metrics
+const METRICS_PREFIX = 'asteroid_dodgers';
+const socketMessageStats = new Map(); // "direction:event" -> { direction, event, count, bytes }
+const gameMetrics = {
+    started: 0,
+    finished: new Map(), // end reason -> rounds
+    matchCount: 0,
+    totalMatchTime: 0 // ms, for the average match length
+};
+const EVENT_LOOP_RESOLUTION = 20; // ms between event loop delay samples
+const eventLoopDelay = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION });
+eventLoopDelay.enable();
+
+// Graceful shutdown on SIGTERM, running rounds get a while to finish
+const SHUTDOWN_GRACE_PERIOD = Number(process.env.SHUTDOWN_GRACE_PERIOD) || 60000; // ms
+const SHUTDOWN_CHECK_RATE = 1000; // ms between checks for rounds still running
+const SHUTDOWN_FLUSH_DELAY = 500; // ms for the last messages to go out before connections close
+const SHUTDOWN_EXIT_TIMEOUT = 5000; // ms to wait for connections to close before exiting anyway
+const SHUTDOWN_JOIN_MESSAGE = 'The server is restarting, please try again in a moment';
+let shutdownState = null; // { deadline, checkTimer, finished } once shutting down
+
+// Flood protection, a token bucket per socket and event
+// RATE_LIMITS overrides single events as JSON, e.g. {"chat:message":{"burst":3,"perSecond":0.5}}
+const DEFAULT_RATE_LIMITS = {
+    'chat:message': { burst: 5, perSecond: 1 },
+    'chat:typing': { burst: 5, perSecond: 2 },
+    'chat:history': { burst: 5, perSecond: 1 },
+    'room:list': { burst: 5, perSecond: 1 },
+    'room:join': { burst: 5, perSecond: 0.5 },
+    'room:rejoin': { burst: 5, perSecond: 0.5 },
+    'matchmaking:join': { burst: 5, perSecond: 0.5 },
+    'game:action': { burst: 5, perSecond: 1 }, // Pause, resume, quit and restart
+    'player:update': { burst: 40, perSecond: 30 }, // Clients send 20 per second
+    'player:input': { burst: 40, perSecond: 30 },
+    'entity:collision': { burst: 20, perSecond: 10 },
+    'time:ping': { burst: 10, perSecond: 1 }, // Clients send 5 right after connecting
+    '*': { burst: 20, perSecond: 5 } // Every other event
+};
+const RATE_LIMITS = loadRateLimits(process.env.RATE_LIMITS);
+const RATE_LIMIT_MAX_STRIKES = Number(process.env.RATE_LIMIT_MAX_STRIKES) || 50; // Dropped messages before a socket is disconnected
+const RATE_LIMIT_STRIKE_WINDOW = 10000; // ms without dropped messages before strikes are forgotten
+const RATE_LIMIT_WARNING_INTERVAL = 1000; // ms between warnings about the same event
+const rateLimitMetrics = {
+    dropped: new Map(), // rate limit key -> messages dropped
+    disconnects: 0
+};
+
+// Game state
+const rooms = createRoomStore();
+const directory = createRoomDirectory(); // Which instance hosts each room
+const remoteSockets = new Map(); // socketId -> RemoteClientSocket, sockets on other instances playing here
+
+// Closed rooms are remembered for a while so old invite links get a clear error
+const CLOSED_ROOM_MEMORY = 24 * 60 * 60 * 1000; // ms
+const closedRooms = new Map(); // roomId -> time the room was closed
+
+// Room privacy
+const MAX_ROOM_PASSWORD_LENGTH = 32;
+const ROOM_PASSWORD_MAX_ATTEMPTS = 5; // Password guesses a client gets per room and window
+const ROOM_PASSWORD_ATTEMPT_WINDOW = 60000; // ms
+const ROOM_PASSWORD_MAX_PENDING = 3; // Password hashes a room may have running at once
+
+// Live room browser, sockets on the join screen subscribe to the lobby channel
+const LOBBY_CHANNEL = 'lobby';
+const LOBBY_UPDATE_DELAY = 250; // ms to batch room changes before pushing them
+const dirtyLobbyRooms = new Set(); // Room IDs changed since the last lobby push
+let lobbyUpdateTimer = null;
+
+// Quick Play matchmaking
+const MATCHMAKING_MIN_PLAYERS = 2; // Players needed before a matchmade room starts counting down
+const MATCHMAKING_ROOM_SIZES = [4, 3, 2]; // Room sizes tried when grouping queued players, largest first
+const MATCHMAKING_FILL_TIME = 10; // seconds a matchmade room waits for more players
+const MATCHMAKING_FULL_START_DELAY = 3; // seconds before a full matchmade room starts
+const MATCHMAKING_TICK_RATE = 2000; // ms between queue passes and status updates
+const MATCHMAKING_DEFAULT_WAIT = 15; // seconds estimated until enough waits have been recorded
+const MATCHMAKING_WAIT_SAMPLES = 10; // Recent waits used for the estimate
+const matchmakingQueue = []; // { socketId, name, color, preferredSize, joinedAt }, oldest first
+const recentMatchWaits = []; // seconds recent players spent in the queue
+
+// Player colors end up in every client's page, only plain hex colors are accepted
+const PLAYER_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const DEFAULT_PLAYER_COLOR = '#448AFF';
+
+// Chat
+const MAX_CHAT_MESSAGE_LENGTH = 100;
+const MAX_DICE_COUNT = 10; // Dice in a single /roll
+const MAX_DICE_SIDES = 1000;
+const DEFAULT_DICE_SIDES = 100; // /roll without arguments rolls 1-100
+const CHAT_HISTORY_SIZE = 200; // Public messages each room remembers for late joiners
+const CHAT_HISTORY_PAGE_SIZE = 30; // Messages sent on join and per scrollback request
+
+// Reconnection state
+const RECONNECT_GRACE_PERIOD = 30000; // ms a disconnected player's seat is kept
+const sessions = new Map(); // hashed sessionToken -> { roomId, playerId, clientId }
+const reconnectTimers = new Map(); // playerId -> grace period timeout
+
+// Match settings the host can change from the waiting room
+const DEFAULT_ROOM_SETTINGS = {
+    gameDuration: 120, // seconds
+    startingLives: 3,
+    maxAsteroids: 15, // Asteroid density
+    asteroidSpawnRate: 2000, // ms between asteroid spawns
+    powerupSpawnRate: 1000, // ms between power-up spawn attempts
+    maxPlayers: 4,
+    autoStartDelay: 0, // seconds before a full, ready room starts by itself (0 = off)
+    restartVote: 0 // 1 = players restart by majority vote instead of asking the host
+};
+
+// Allowed range for each room setting
+const ROOM_SETTING_LIMITS = {
+    gameDuration: { min: 30, max: 600 },
+    startingLives: { min: 1, max: 10 },
+    maxAsteroids: { min: 5, max: 40 },
+    asteroidSpawnRate: { min: 250, max: 5000 },
+    powerupSpawnRate: { min: 500, max: 10000 },
+    maxPlayers: { min: 2, max: 4 },
+    autoStartDelay: { min: 0, max: 30 },
+    restartVote: { min: 0, max: 1 }
+};
+
+// Round clock settings
+const ROUND_START_DELAY = 4000; // ms of countdown (3, 2, 1, GO!) before the round clock runs
+const ROUND_TIMER_RATE = 1000; // ms between round timer broadcasts
+
+// Scoring rules (matching client-side)
+const SCORE_POWERUP_POINTS = 50;
+const SHIELD_DURATION = 5000; // ms of invulnerability from a shield power-up
+const HIT_INVULNERABILITY = 2000; // ms of invulnerability after losing a life
+const SURVIVAL_TIE_TOLERANCE = 0.1; // seconds of survival time still counted as a tie
+
+// Entity simulation settings
+const SIMULATION_TICK_RATE = 50; // ms between simulation steps
+const SNAPSHOT_RATE = 200; // ms between authoritative entity snapshots
+const GAME_BOUNDS = { width: 1000, height: 700 }; // Default bounds (matching client-side)
+const DESPAWN_MARGIN = 100; // px outside the arena before an entity is removed
+const POWERUP_LIFETIME = 10000; // ms before an uncollected powerup expires
+
+// Collision validation settings
+const SHIP_RADIUS = 20; // px (40px ship element)
+const POWERUP_RADIUS = 15; // px (30px powerup element)
+const MAX_SHIP_SPEED = 12; // px per 16ms frame (max speed including speed boost)
+const COLLISION_LATENCY_TOLERANCE = 250; // ms of lag allowed between client and server views, covers MAX_POSITION_AGE
+const COLLISION_DISTANCE_TOLERANCE = 40; // px of slack for rendering differences
+const MAX_POSITION_AGE = 250; // ms before a player's last known position is too old to trust (clients send every 50ms)
+
+// Input-based netcode settings
+const NETCODE_MODE = process.env.NETCODE_MODE === 'state' ? 'state' : 'input'; // 'input' simulates ships on the server, 'state' takes client positions
+const MAX_INPUT_FRAMES = 30; // Input frames accepted per message
+const MAX_INPUT_FRAME_TIME = 50; // ms of simulated time a single input frame may claim
+const INPUT_TIME_TOLERANCE = 500; // ms a client's simulated time may run ahead of real time
+const SPEED_BOOST_DURATION = 5000; // ms (matching client-side powerup)
+
+/**
+ * Get list of active rooms for the room browser
+ * Private rooms are left out, they can only be joined by ID or invite link
+ * @returns {Array} Array of room summaries
+ */
+function getActiveRooms() {
+    const activeRooms = [];
+    
+    for (const room of rooms.values()) {
+        if (isListedRoom(room)) {
+            activeRooms.push(getRoomSummary(room));
         }
-        
+    }
+    
+    // Rooms hosted by other instances
+    return activeRooms.concat(directory.getRemoteRooms());
+}
+
+/**
+ * Check whether a room shows up in the room browser
+ * @param {Object} room - Room object
+ * @returns {boolean} True if the room is listed
+ */
+function isListedRoom(room) {
+    return room.players.length > 0 && !room.isPrivate;
+}
+
+/**
+ * Describe a room for the room browser
+ * @param {Object} room - Room object
+ * @returns {Object} Room summary
+ */
+function getRoomSummary(room) {
+    return {
+        id: room.id,
+        playerCount: room.players.length,
+        maxPlayers: room.settings.maxPlayers,
+        spectatorCount: room.spectators.length,
+        host: room.hostName || 'Unknown',
+        hasPassword: !!room.passwordHash,
+        gameInProgress: room.gameInProgress,
+        settings: room.settings,
+        createdAt: room.createdAt
+    };
+}
+
+/**
+ * Queue a room change for the lobby channel
+ * Changes are batched so a burst of joins sends one update per room
+ * @param {string} roomId - ID of the room that changed (or was removed)
+ */
+function notifyLobby(roomId) {
+    dirtyLobbyRooms.add(roomId);
+    
+    if (!lobbyUpdateTimer) {
+        lobbyUpdateTimer = setTimeout(flushLobbyUpdates, LOBBY_UPDATE_DELAY);
+    }
+}
+
+/**
+ * Push queued room changes to everyone in the lobby channel
+ */
+function flushLobbyUpdates() {
+    lobbyUpdateTimer = null;
+    
+    for (const roomId of dirtyLobbyRooms) {
         const room = rooms.get(roomId);
-        if (!room) {
-            console.log(`Chat message from player ${socket.id} but room ${roomId} not found`);
-            return;
-        }
         
-        // Find the player
-        const player = room.players.find(p => p.id === socket.id);
-        if (!player) {
-            console.log(`Chat message from player ${socket.id} but player not found in room ${roomId}`);
-            return;
+        // Other instances list our rooms from the directory
+        if (room) {
+            directory.setRoom(roomId, isListedRoom(room) ? getRoomSummary(room) : null);
         }
         
-        // Validate message
-        if (!message || typeof message !== 'string' || message.trim() === '') {
-            return;
+        // Rooms that were removed or made private disappear from the list
+        if (room && isListedRoom(room)) {
+            io.to(LOBBY_CHANNEL).emit('lobby:room_updated', getRoomSummary(room));
+        } else {
+            io.to(LOBBY_CHANNEL).emit('lobby:room_removed', { id: roomId });
         }
-        
-        // Sanitize message (basic XSS prevention)
-        const sanitizedMessage = message.trim().substring(0, 100);
-        
-        // Create chat message object
-        const chatMessage = {
-            id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            playerId: socket.id,
-            playerName: player.name,
-            playerColor: player.color,
-            message: sanitizedMessage,
-            timestamp: new Date().toISOString(),
-            type: 'player'
-        };
-        
-        console.log(`Chat message in room ${roomId} from ${player.name}: ${sanitizedMessage}`);
-        
-        // Broadcast message to all players in the room
-        io.to(roomId).emit('chat:message', chatMessage);
-    });
+    }
     
-    // Handle player disconnection
-    socket.on('disconnect', () => {
-        console.log(`Player disconnected: ${socket.id}`);
-        
-        // Find the room this player was in
-        const roomId = socket.roomId || findPlayerRoom(socket.id);
-        
-        if (roomId) {
-            const room = rooms.get(roomId);
+    dirtyLobbyRooms.clear();
+}
+
+// Serve the client, nothing else from the repo root is public
+app.use('/src', express.static(path.join(__dirname, 'src')));
+
+// Handle root path
+app.get(['/', '/index.html'], (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+app.get('/404.html', (req, res) => {
+    res.sendFile(path.join(__dirname, '404.html'));
+});
+
+// Admin API for operators, see admin.html for the dashboard on top of it
+const adminRouter = express.Router();
+adminRouter.use(express.json());
+
+// Live rooms hosted by this instance
+adminRouter.get('/rooms', (req, res) => {
+    const now = Date.now();
+    res.json({
+        instanceId: INSTANCE_ID,
+        rooms: Array.from(rooms.values(), room => describeRoomForAdmin(room, now))
+    });
+});
+
+// One room in detail, with its spectators and chat
+adminRouter.get('/rooms/:roomId', (req, res) => {
+    const room = rooms.get(req.params.roomId.toUpperCase());
+    if (!room) {
+        res.status(404).json({ error: 'Room not found' });
+        return;
+    }
+    
+    res.json({
+        ...describeRoomForAdmin(room, Date.now()),
+        spectators: room.spectators.map(spectator => ({
+            id: spectator.id,
+            name: spectator.name,
+            wantsToPlay: !!spectator.wantsToPlay
+        })),
+        bannedCount: room.bannedClients.size,
+        restartVotes: room.restartVotes.size,
+        lastRoundResults: room.lastRoundResults || null,
+        chatHistory: getOrderedChatHistory(room)
+    });
+});
+
+// Close a room, everyone in it goes back to the join screen
+adminRouter.post('/rooms/:roomId/close', (req, res) => {
+    const room = rooms.get(req.params.roomId.toUpperCase());
+    if (!room) {
+        res.status(404).json({ error: 'Room not found' });
+        return;
+    }
+    
+    console.log(`Admin closed room ${room.id}`);
+    closeRoom(room, {
+        reason: 'admin',
+        message: 'Room closed by the server admin'
+    });
+    res.json({ closed: room.id });
+});
+
+// Remove a player or spectator from a room
+adminRouter.post('/rooms/:roomId/players/:playerId/kick', (req, res) => {
+    const room = rooms.get(req.params.roomId.toUpperCase());
+    const playerId = req.params.playerId;
+    const player = room
+        ? room.players.find(p => p.id === playerId) || room.spectators.find(s => s.id === playerId)
+        : null;
+    
+    if (!player) {
+        res.status(404).json({ error: room ? 'Player not found' : 'Room not found' });
+        return;
+    }
+    
+    removeModeratedPlayer(room, player, false, 'the server admin');
+    
+    // A host removed by an admin hands the room to the next player
+    if (room.host === player.id && room.players.length > 0) {
+        transferHost(room, room.players.find(p => !p.disconnected) || room.players[0]);
+    } else if (room.players.length === 0) {
+        closeRoom(room, {
+            reason: 'empty',
+            message: 'Room closed because all players left'
+        });
+    }
+    
+    res.json({ kicked: player.id });
+});
+
+// Server-wide announcement, shown in the chat of every room
+adminRouter.post('/announcements', (req, res) => {
+    const message = req.body && typeof req.body.message === 'string' ? req.body.message.trim() : '';
+    if (!message || message.length > MAX_ANNOUNCEMENT_LENGTH) {
+        res.status(400).json({ error: `Announcement must be 1-${MAX_ANNOUNCEMENT_LENGTH} characters` });
+        return;
+    }
+    
+    const announcement = {
+        id: `sys_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        message,
+        timestamp: new Date().toISOString(),
+        type: 'announcement'
+    };
+    for (const roomId of rooms.keys()) {
+        broadcastChatMessage(roomId, announcement);
+    }
+    
+    console.log(`Admin announcement sent to ${rooms.size} rooms: ${message}`);
+    res.json({ rooms: rooms.size });
+});
+
+app.get(['/admin', '/admin.html'], (req, res) => {
+    res.sendFile(path.join(__dirname, 'admin.html'));
+});
+app.use('/admin/api', requireAdmin, adminRouter);
+
+// Liveness check for the host platform
+app.get('/healthz', (req, res) => {
+    // A draining server asks the platform to stop sending traffic
+    if (shutdownState) {
+        res.status(503).json({ status: 'shutting_down', uptime: Math.floor(process.uptime()) });
+        return;
+    }
+    
+    res.json({ status: 'ok', uptime: Math.floor(process.uptime()) });
+});
+
+// Server health and gameplay telemetry in the Prometheus text format
+app.get('/metrics', (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics());
+});
+
+// Anything else is a missing page
+app.use((req, res) => {
+    res.status(404).sendFile(path.join(__dirname, '404.html'));
+});
+
+/**
+ * Count a socket message for /metrics
+ * @param {string} direction - 'in' (from a client) or 'out' (to a client)
+ * @param {string} event - Event name
+ * @param {Array} [args] - Event arguments, sized when given
+ */
+function recordSocketMessage(direction, event, args) {
+    const key = `${direction}:${event}`;
+    let stats = socketMessageStats.get(key);
+    if (!stats) {
+        stats = { direction, event, count: 0, bytes: 0 };
+        socketMessageStats.set(key, stats);
+    }
+    
+    stats.count++;
+    if (args) {
+        stats.bytes += Buffer.byteLength(JSON.stringify(args) || '');
+    }
+}
+
+/**
+ * Remember how long a simulation step of a room took
+ * @param {Object} room - Room object
+ * @param {number} duration - ms the step took
+ */
+function recordSimulationTick(room, duration) {
+    const ticks = room.simulationTicks;
+    ticks.count++;
+    ticks.totalTime += duration;
+    ticks.maxTime = Math.max(ticks.maxTime, duration);
+}
+
+/**
+ * Render every metric in the Prometheus text format
+ * @returns {string} Metrics text
+ */
+function renderMetrics() {
+    const lines = [];
+    const roomStates = { waiting: 0, playing: 0, paused: 0 };
+    const playerStates = { connected: 0, disconnected: 0 };
+    let spectatorCount = 0;
+    
+    for (const room of rooms.values()) {
+        roomStates[getRoomState(room)]++;
+        spectatorCount += room.spectators.length;
+        room.players.forEach(player => playerStates[player.disconnected ? 'disconnected' : 'connected']++);
+    }
+    
+    writeMetric(lines, 'connected_sockets', 'gauge', 'Sockets connected to this instance',
+        [{ value: io.of('/').sockets.size }]);
+    writeMetric(lines, 'rooms', 'gauge', 'Rooms hosted by this instance by state',
+        Object.entries(roomStates).map(([state, value]) => ({ labels: { state }, value })));
+    writeMetric(lines, 'players', 'gauge', 'Players in rooms hosted by this instance',
+        Object.entries(playerStates).map(([status, value]) => ({ labels: { status }, value })));
+    writeMetric(lines, 'spectators', 'gauge', 'Spectators in rooms hosted by this instance',
+        [{ value: spectatorCount }]);
+    writeMetric(lines, 'matchmaking_queue', 'gauge', 'Players waiting in the Quick Play queue',
+        [{ value: matchmakingQueue.length }]);
+    
+    writeMetric(lines, 'games_started_total', 'counter', 'Rounds started',
+        [{ value: gameMetrics.started }]);
+    writeMetric(lines, 'games_finished_total', 'counter', 'Rounds finished by reason',
+        Array.from(gameMetrics.finished, ([reason, value]) => ({ labels: { reason }, value })));
+    writeMetric(lines, 'match_duration_seconds', 'summary', 'Length of finished rounds', [
+        { suffix: '_sum', value: gameMetrics.totalMatchTime / 1000 },
+        { suffix: '_count', value: gameMetrics.matchCount }
+    ]);
+    writeMetric(lines, 'match_duration_average_seconds', 'gauge', 'Average length of finished rounds',
+        [{ value: gameMetrics.matchCount > 0 ? gameMetrics.totalMatchTime / gameMetrics.matchCount / 1000 : 0 }]);
+    
+    const limits = Object.entries(RATE_LIMITS);
+    writeMetric(lines, 'rate_limit_burst', 'gauge', 'Messages a socket may send at once by event, "*" is every other event',
+        limits.map(([event, limit]) => ({ labels: { event }, value: limit.burst })));
+    writeMetric(lines, 'rate_limit_refill_per_second', 'gauge', 'Messages per second a socket may keep sending by event',
+        limits.map(([event, limit]) => ({ labels: { event }, value: limit.perSecond })));
+    writeMetric(lines, 'rate_limited_messages_total', 'counter', 'Messages dropped by the rate limiter by event',
+        Array.from(rateLimitMetrics.dropped, ([event, value]) => ({ labels: { event }, value })));
+    writeMetric(lines, 'rate_limit_disconnects_total', 'counter', 'Sockets disconnected for flooding',
+        [{ value: rateLimitMetrics.disconnects }]);
+    
+    const messageStats = Array.from(socketMessageStats.values());
+    writeMetric(lines, 'socket_messages_total', 'counter', 'Socket messages by event and direction',
+        messageStats.map(({ direction, event, count }) => ({ labels: { direction, event }, value: count })));
+    writeMetric(lines, 'socket_message_bytes_total', 'counter', 'JSON size of socket messages from clients by event',
+        messageStats.filter(({ direction }) => direction === 'in')
+            .map(({ direction, event, bytes }) => ({ labels: { direction, event }, value: bytes })));
+    
+    // Only rooms with a round running have a spawn loop. Summed over rooms, room IDs are
+    // not labels because /metrics is public and private room codes must stay private
+    const simulationTicks = { count: 0, totalTime: 0, maxTime: 0 };
+    for (const room of rooms.values()) {
+        if (!room.spawnInterval || !room.simulationTicks) continue;
+        simulationTicks.count += room.simulationTicks.count;
+        simulationTicks.totalTime += room.simulationTicks.totalTime;
+        simulationTicks.maxTime = Math.max(simulationTicks.maxTime, room.simulationTicks.maxTime);
+    }
+    writeMetric(lines, 'simulation_tick_seconds', 'summary', 'Time spent in each spawn loop step of the rounds running now', [
+        { suffix: '_sum', value: simulationTicks.totalTime / 1000 },
+        { suffix: '_count', value: simulationTicks.count }
+    ]);
+    writeMetric(lines, 'simulation_tick_max_seconds', 'gauge', 'Slowest spawn loop step of the rounds running now',
+        [{ value: simulationTicks.maxTime / 1000 }]);
+    
+    // Event loop delay since the last scrape, the samples include the sampling interval itself
+    const toLag = nanoseconds => Math.max(0, nanoseconds / 1e6 - EVENT_LOOP_RESOLUTION) / 1000;
+    writeMetric(lines, 'event_loop_lag_seconds', 'gauge', 'Event loop delay since the last scrape', [
+        { labels: { stat: 'mean' }, value: toLag(eventLoopDelay.mean) },
+        { labels: { stat: 'p99' }, value: toLag(eventLoopDelay.percentile(99)) },
+        { labels: { stat: 'max' }, value: toLag(eventLoopDelay.max) }
+    ]);
+    eventLoopDelay.reset();
+    
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Add one metric to the output
+ * @param {Array} lines - Output lines
+ * @param {string} name - Metric name without the prefix
+ * @param {string} type - 'counter', 'gauge' or 'summary'
+ * @param {string} help - Description
+ * @param {Array} samples - { suffix, labels, value } for each sample
+ */
+function writeMetric(lines, name, type, help, samples) {
+    const fullName = `${METRICS_PREFIX}_${name}`;
+    lines.push(`# HELP ${fullName} ${help}`);
+    lines.push(`# TYPE ${fullName} ${type}`);
+    
+    for (const { suffix = '', labels = {}, value } of samples) {
+        const labelText = Object.entries(labels)
+            .map(([label, labelValue]) => `${label}="${String(labelValue).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+            .join(',');
+        lines.push(`${fullName}${suffix}${labelText ? `{${labelText}}` : ''} ${Number.isFinite(value) ? value : 0}`);
+    }
+}
+
+/**
+ * Only let requests with the admin token through
+ * Expects an "Authorization: Bearer <ADMIN_TOKEN>" header
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next handler
+ */
+function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) {
+        res.status(503).json({ error: 'The admin API is disabled, start the server with ADMIN_TOKEN set' });
+        return;
+    }
+    
+    // Hashing first makes both sides the same length for the constant-time compare
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+    const expected = crypto.createHash('sha256').update(ADMIN_TOKEN).digest();
+    const received = crypto.createHash('sha256').update(token).digest();
+    
+    if (!crypto.timingSafeEqual(expected, received)) {
+        res.status(401).json({ error: 'Invalid admin token' });
+        return;
+    }
+    
+    next();
+}
+
+/**
+ * Tell whether a room is waiting for players, playing or paused
+ * @param {Object} room - Room object
+ * @returns {string} 'waiting', 'playing' or 'paused'
+ */
+function getRoomState(room) {
+    if (!room.gameInProgress) return 'waiting';
+    return room.pausedAt ? 'paused' : 'playing';
+}
+
+/**
+ * Describe a room for the admin API
+ * @param {Object} room - Room object
+ * @param {number} now - Current timestamp
+ * @returns {Object} Room description
+ */
+function describeRoomForAdmin(room, now) {
+    return {
+        id: room.id,
+        host: room.hostName,
+        state: getRoomState(room),
+        roundElapsed: room.gameInProgress ? getRoundElapsed(room, now) : null,
+        age: Math.floor((now - room.createdAt) / 1000),
+        isPrivate: room.isPrivate,
+        hasPassword: !!room.passwordHash,
+        matchmaking: room.matchmaking,
+        settings: room.settings,
+        spectatorCount: room.spectators.length,
+        players: room.players.map(player => ({
+            id: player.id,
+            name: player.name,
+            isHost: player.isHost,
+            isReady: !!player.isReady,
+            isMuted: !!player.isMuted,
+            disconnected: !!player.disconnected,
+            score: room.gameInProgress ? player.score : null,
+            lives: room.gameInProgress ? player.lives : null
+        }))
+    };
+}
+
+/**
+ * Read the rate limits, RATE_LIMITS entries replace the defaults of single events
+ * @param {string} [overrides] - JSON object of event -> { burst, perSecond }
+ * @returns {Object} event -> { burst, perSecond }
+ */
+function loadRateLimits(overrides) {
+    const limits = { ...DEFAULT_RATE_LIMITS };
+    if (!overrides) return limits;
+    
+    let parsed;
+    try {
+        parsed = JSON.parse(overrides);
+    } catch (error) {
+        console.error('Ignoring RATE_LIMITS, it is not valid JSON:', error.message);
+        return limits;
+    }
+    
+    for (const [event, override] of Object.entries(parsed || {})) {
+        const limit = { ...(limits[event] || limits['*']), ...override };
+        if (limit.burst >= 1 && limit.perSecond > 0) {
+            limits[event] = { burst: Number(limit.burst), perSecond: Number(limit.perSecond) };
+        } else {
+            console.error(`Ignoring the rate limit for "${event}", burst must be at least 1 and perSecond above 0`);
+        }
+    }
+    
+    return limits;
+}
+
+/**
+ * Take a token from the socket's bucket for an event
+ * Messages without a token are dropped and the sender gets a rate:limited warning,
+ * a socket that keeps flooding is disconnected
+ * @param {Object} socket - Socket.io socket
+ * @param {string} event - Event name
+ * @returns {boolean} Whether the message may be handled
+ */
+function allowSocketMessage(socket, event) {
+    // Messages that were already on the way when a flooder got disconnected
+    if (socket.disconnected) return false;
+    
+    const key = RATE_LIMITS[event] ? event : '*';
+    const limit = RATE_LIMITS[key];
+    const now = Date.now();
+    
+    let bucket = socket.rateLimitBuckets.get(key);
+    if (!bucket) {
+        bucket = { tokens: limit.burst, updatedAt: now, warnedAt: 0 };
+        socket.rateLimitBuckets.set(key, bucket);
+    }
+    
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.perSecond);
+    bucket.updatedAt = now;
+    
+    if (bucket.tokens >= 1) {
+        bucket.tokens--;
+        return true;
+    }
+    
+    rateLimitMetrics.dropped.set(key, (rateLimitMetrics.dropped.get(key) || 0) + 1);
+    
+    // Strikes pile up for as long as messages keep getting dropped
+    const strikes = socket.rateLimitStrikes;
+    if (now - strikes.lastDropAt > RATE_LIMIT_STRIKE_WINDOW) {
+        strikes.count = 0;
+    }
+    strikes.count++;
+    strikes.lastDropAt = now;
+    
+    const warning = {
+        event,
+        retryAfter: Math.ceil((1 - bucket.tokens) / limit.perSecond * 1000), // ms until the next token
+        burst: limit.burst,
+        perSecond: limit.perSecond,
+        strikes: strikes.count,
+        maxStrikes: RATE_LIMIT_MAX_STRIKES
+    };
+    
+    if (strikes.count >= RATE_LIMIT_MAX_STRIKES) {
+        rateLimitMetrics.disconnects++;
+        console.log(`Disconnecting ${socket.id} for flooding (${strikes.count} messages dropped, last was "${event}")`);
+        socket.emit('rate:limited', { ...warning, disconnected: true, message: 'Disconnected for sending too many messages' });
+        socket.disconnect(true);
+        return false;
+    }
+    
+    // One warning per event and interval, so the warnings are not a flood of their own
+    if (now - bucket.warnedAt >= RATE_LIMIT_WARNING_INTERVAL) {
+        bucket.warnedAt = now;
+        socket.emit('rate:limited', { ...warning, disconnected: false, message: 'You are sending messages too quickly, slow down' });
+    }
+    
+    return false;
+}
+
+/**
+ * Give a new client an identity, the token proves this server issued it
+ * @returns {Object} { clientId, clientToken }
+ */
+function issueClientIdentity() {
+    const clientId = crypto.randomBytes(16).toString('hex');
+    return { clientId, clientToken: `${clientId}.${signClientId(clientId)}` };
+}
+
+/**
+ * Sign a client identity
+ * @param {string} clientId - Client identity
+ * @returns {string} Signature
+ */
+function signClientId(clientId) {
+    return crypto.createHmac('sha256', CLIENT_IDENTITY_SECRET).update(clientId).digest('base64url');
+}
+
+/**
+ * Read the identity from a token issued by issueClientIdentity
+ * @param {*} clientToken - Token sent with the handshake
+ * @returns {string|null} Client identity, null for a missing or forged token
+ */
+function verifyClientToken(clientToken) {
+    if (typeof clientToken !== 'string' || clientToken.length > MAX_CLIENT_TOKEN_LENGTH) return null;
+    
+    const [clientId, signature] = clientToken.split('.');
+    if (!clientId || !signature) return null;
+    
+    const expected = Buffer.from(signClientId(clientId));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received) ? clientId : null;
+}
+
+// Socket connection handler
+io.on('connection', (socket) => {
+    // Message counts and sizes for /metrics, events nobody handles are counted together
+    socket.use(([event, ...args], next) => {
+        recordSocketMessage('in', socket.listeners(event).length > 0 ? event : 'unknown', args);
+        next();
+    });
+    // Broadcasts pass through here once per receiving socket, so outgoing messages are only counted, not sized
+    socket.onAnyOutgoing((event) => recordSocketMessage('out', event));
+    
+    // Flood protection, after the count so /metrics still shows what was sent
+    socket.rateLimitBuckets = new Map(); // rate limit key -> { tokens, updatedAt, warnedAt }
+    socket.rateLimitStrikes = { count: 0, lastDropAt: 0 };
+    socket.use(([event], next) => {
+        if (allowSocketMessage(socket, event)) {
+            next();
+        }
+    });
+    
+    // Events for a room hosted by another instance are handled over there
+    socket.remoteOwner = null;
+    socket.remoteRoomId = null;
+    socket.forwardSeq = 0;
+    socket.use((packet, next) => routePacket(socket, packet, next));
+    socket.on('disconnect', (reason) => {
+        if (socket.remoteOwner) {
+            forwardEvent(socket, 'disconnect', [reason]);
+        }
+    });
+    
+    // Identity that outlives socket IDs and reconnects, room bans apply to it.
+    // Only a token this server signed is accepted, anything else gets a new identity
+    socket.clientId = verifyClientToken((socket.handshake.auth || {}).clientToken);
+    if (!socket.clientId) {
+        const identity = issueClientIdentity();
+        socket.clientId = identity.clientId;
+        socket.emit('client:identity', { clientToken: identity.clientToken });
+    }
+    
+    handleConnection(socket);
+});
+
+/**
+ * Set up the event handlers of a connected socket
+ * Sockets connected to another instance get the same handlers through a RemoteClientSocket
+ * @param {Object} socket - Socket.io socket or RemoteClientSocket
+ */
+function handleConnection(socket) {
+    console.log(`Player connected: ${socket.id}`);
+      // Room join handler
+    socket.on('room:join', async (data) => {
+        const { name, roomId, spectate, password, isPrivate } = data;
+        const color = sanitizePlayerColor(data.color);
+        let joinedRoom;
+        console.log(`Player ${socket.id} attempting to ${roomId ? 'join room ' + roomId : 'create new room'}`);        // Validate player name first
+        if (!name || name.trim() === '') {
+            socket.emit('error', { message: 'Player name is required' });
+            return;
+        }
+        
+        if (shutdownState) {
+            socket.emit('error', { message: SHUTDOWN_JOIN_MESSAGE });
+            return;
+        }
+        
+        // Picking a room by hand replaces a Quick Play search
+        leaveMatchmakingQueue(socket.id);
+        
+        // Spectators can watch any existing room, even full or running ones
+        if (spectate) {
+            joinAsSpectator(socket, name, roomId, color, password);
+            return;
+        }
+        
+        // Check the new room's password before anything is created
+        if (!roomId && password && (typeof password !== 'string' || password.length > MAX_ROOM_PASSWORD_LENGTH)) {
+            socket.emit('error', { message: `Room password must be at most ${MAX_ROOM_PASSWORD_LENGTH} characters` });
+            return;
+        }
+        
+        // Create or join a room
+        if (!roomId) {
+            // Hash the password first, so the room never exists without it
+            const roomPassword = password ? await createRoomPassword(password) : null;
+            if (!socket.connected || shutdownState) return;
+            
+            // Create new room with random ID
+            const newRoomId = generateRoomId();
+            joinedRoom = createRoom(newRoomId);
+            console.log(`Created new room ${newRoomId} for player ${socket.id}`);
+            
+            // Add player as host
+            joinedRoom.host = socket.id;
+            joinedRoom.hostName = name;
+            
+            // The creator decides who may find and enter the room
+            joinedRoom.isPrivate = !!isPrivate;
+            if (roomPassword) {
+                Object.assign(joinedRoom, roomPassword);
+            }
+        } else {
+            // Normalize room ID to uppercase
+            const normalizedRoomId = roomId.trim().toUpperCase();
+            console.log(`Looking for room with ID: ${normalizedRoomId}`);
+            
+            // Join existing room
+            joinedRoom = rooms.get(normalizedRoomId);
+            
+            // Room not found or full
+            if (!joinedRoom) {
+                console.log(`Room ${normalizedRoomId} not found, available rooms: ${Array.from(rooms.keys()).join(', ')}`);
+                socket.emit('error', { message: getMissingRoomMessage(normalizedRoomId) });
+                return;
+            }
+            
+            if (joinedRoom.bannedClients.has(socket.clientId)) {
+                socket.emit('error', { message: 'You have been banned from this room' });
+                return;
+            }
+            
+            if (!(await checkRoomPassword(socket, joinedRoom, password)) || !socket.connected) {
+                return;
+            }
+            
+            // The room may have closed while the password was checked
+            if (rooms.get(normalizedRoomId) !== joinedRoom) {
+                socket.emit('error', { message: getMissingRoomMessage(normalizedRoomId) });
+                return;
+            }
+            
+            if (joinedRoom.players.length >= joinedRoom.settings.maxPlayers) {
+                socket.emit('error', { message: `Room is full (maximum ${joinedRoom.settings.maxPlayers} players)` });
+                return;
+            }
+              
+            // Check if game is already in progress
+            if (joinedRoom.gameInProgress) {
+                socket.emit('error', { message: 'Game is already in progress. Please try joining another room.' });
+                return;
+            }
+              
+            // Check for duplicate player names in this room
+            if (isNameTaken(joinedRoom, name)) {
+                console.log(`Player name "${name}" already exists in room ${normalizedRoomId}`);
+                socket.emit('error', { message: `Player name "${name}" is already taken. Please choose a different name.` });
+                return;
+            }
+            
+            console.log(`Player ${socket.id} joining existing room ${normalizedRoomId} with ${joinedRoom.players.length} players`);
+        }
+        
+        addPlayerToRoom(socket, joinedRoom, name, color);
+    });
+    
+    // Quick Play, wait in the matchmaking queue for an open seat or new room
+    socket.on('matchmaking:join', (data) => {
+        const { name, preferredSize } = data || {};
+        const color = sanitizePlayerColor(data && data.color);
+        
+        if (!name || typeof name !== 'string' || name.trim() === '') {
+            socket.emit('error', { message: 'Player name is required' });
+            return;
+        }
+        
+        if (socket.roomId) {
+            socket.emit('error', { message: 'Leave your current room before using Quick Play' });
+            return;
+        }
+        
+        if (shutdownState) {
+            socket.emit('error', { message: SHUTDOWN_JOIN_MESSAGE });
+            return;
+        }
+        
+        // Any size is fine unless the player picked one the rooms support
+        const limits = ROOM_SETTING_LIMITS.maxPlayers;
+        const size = Number(preferredSize);
+        const validSize = Number.isInteger(size) && size >= limits.min && size <= limits.max ? size : 0;
+        
+        leaveMatchmakingQueue(socket.id);
+        matchmakingQueue.push({
+            socketId: socket.id,
+            clientId: socket.clientId,
+            name,
+            color,
+            preferredSize: validSize,
+            joinedAt: Date.now()
+        });
+        
+        console.log(`Player ${socket.id} (${name}) joined the matchmaking queue (size: ${validSize || 'any'})`);
+        
+        processMatchmakingQueue();
+    });
+    
+    // Stop searching for a Quick Play match
+    socket.on('matchmaking:leave', () => {
+        if (leaveMatchmakingQueue(socket.id)) {
+            console.log(`Player ${socket.id} left the matchmaking queue`);
+            emitMatchmakingStatus();
+        }
+    });
+    
+    // Host moderation: remove a player from the room
+    socket.on('room:kick', (data) => {
+        const target = getModerationTarget(socket, data && data.playerId);
+        if (!target) return;
+        
+        removeModeratedPlayer(target.room, target.player, false);
+    });
+    
+    // Host moderation: remove a player and keep them out for the room's lifetime
+    socket.on('room:ban', (data) => {
+        const target = getModerationTarget(socket, data && data.playerId);
+        if (!target) return;
+        
+        target.room.bannedClients.add(getClientId(target.player.id));
+        removeModeratedPlayer(target.room, target.player, true);
+    });
+    
+    // Host moderation: stop (or allow again) a player's chat messages
+    socket.on('room:mute', (data) => {
+        const target = getModerationTarget(socket, data && data.playerId);
+        if (!target) return;
+        
+        const { room, player } = target;
+        setPlayerMuted(room, player, typeof data.muted === 'boolean' ? data.muted : !player.isMuted);
+    });
+    
+    // Host moderation: hand host status to another player
+    socket.on('room:transfer_host', (data) => {
+        const target = getModerationTarget(socket, data && data.playerId);
+        if (!target || target.player.isSpectator || target.player.disconnected) return;
+        
+        transferHost(target.room, target.player);
+    });
+    
+    // Room leave handler
+    socket.on('room:leave', () => {
+        // Spectators have no seat to give up
+        if (socket.roomId && removeSpectator(socket.roomId, socket.id)) {
+            socket.leave(socket.roomId);
+            socket.roomId = null;
+            socket.playerName = null;
+            return;
+        }
+        
+        const roomId = findPlayerRoom(socket.id);
+        if (!roomId) return;
+        
+        const room = rooms.get(roomId);
+        if (!room) return;
+
+        // Check if player is the host and game hasn't started yet
+        const isHost = room.host === socket.id;
+        const gameNotStarted = !room.gameInProgress;
+        
+        // Find the leaving player before removing them from the array
+        const leavingPlayer = room.players.find(p => p.id === socket.id);
+        const playerName = leavingPlayer ? leavingPlayer.name : 'Unknown player';
+        
+        // Remove player from room
+        room.players = room.players.filter(p => p.id !== socket.id);
+        endPlayerSession(socket.id);
+        
+        // Special case: If the host is leaving before the game starts, close the room
+        // Matchmade rooms belong to nobody, so they just get a new host
+        if (isHost && gameNotStarted && !room.matchmaking) {
+            console.log(`Host ${socket.id} (${playerName}) quit room ${roomId} before game start - closing room`);
+            
+            // Notify all players that the room is being closed because host left
+            io.to(roomId).emit('room:closed', { 
+                reason: 'host_left',
+                message: 'Room closed because the host left',
+                hostName: playerName
+            });
+            
+            // Force all remaining players to leave the socket.io room
+            for (const player of room.players) {
+                const playerSocket = getSocket(player.id);
+                if (playerSocket) {
+                    playerSocket.leave(roomId);
+                    // Clean up socket data for other players too
+                    playerSocket.roomId = null;
+                    playerSocket.playerName = null;
+                }
+            }
+            
+            // Remove the room
+            releaseSpectators(room);
+            deleteRoom(roomId);
+            console.log(`Room ${roomId} removed (host left before game start)`);
+        } else {
+            // Standard case: Regular player leaving or host leaving during game
+            console.log(`Player ${socket.id} (${playerName}) left room ${roomId}`);
+            
+            // Notify other players
+            socket.to(roomId).emit('room:player_left', {
+                id: socket.id,
+                name: playerName
+            });
+            
+            // Send system chat message for player leave
+            const leaveMessage = {
+                id: `sys_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                message: `${playerName} left the room`,
+                timestamp: new Date().toISOString(),
+                type: 'system'
+            };
+            broadcastChatMessage(roomId, leaveMessage, socket);
+            
+            // If room is empty, remove it
+            if (room.players.length === 0) {
+                releaseSpectators(room, {
+                    reason: 'empty',
+                    message: 'Room closed because all players left'
+                });
+                deleteRoom(roomId);
+                console.log(`Room ${roomId} removed (empty)`);
+                return;
+            }
+            
+            // If only one player remains in the room, close it since multiplayer requires at least 2 players
+            // (Quick Play keeps matchmade rooms open to fill the seat again)
+            if (room.players.length === 1 && !room.gameInProgress && !room.matchmaking) {
+                const remainingPlayer = room.players[0];
+                console.log(`Only one player remains in room ${roomId}, closing room`);
+                
+                // Notify the remaining player that the room is closing
+                io.to(roomId).emit('room:closed', { 
+                    reason: 'insufficient_players',
+                    message: 'Room closed because only one player remained',
+                    playerName: remainingPlayer.name
+                });
+                
+                // Force the remaining player to leave the socket.io room
+                const playerSocket = getSocket(remainingPlayer.id);
+                if (playerSocket) {
+                    playerSocket.leave(roomId);
+                    playerSocket.roomId = null;
+                    playerSocket.playerName = null;
+                }
+                
+                // Remove the room
+                releaseSpectators(room);
+                deleteRoom(roomId);
+                console.log(`Room ${roomId} removed (insufficient players)`);
+                return;
+            }
+            
+            // If host left during game, assign new host
+            if (isHost && room.players.length > 0) {
+                const newHost = room.players[0].id;
+                room.host = newHost;
+                
+                // Update player as new host
+                const hostPlayer = room.players.find(p => p.id === newHost);
+                if (hostPlayer) {
+                    hostPlayer.isHost = true;
+                    room.hostName = hostPlayer.name;
+                    
+                    // Notify new host
+                    io.to(newHost).emit('room:host_changed', { isHost: true });
+                    
+                    // Notify all players about the new host
+                    io.to(roomId).emit('room:host_changed', { 
+                        host: newHost,
+                        hostName: hostPlayer.name
+                    });
+                }
+            }
+            
+            updateAutoStart(room);
+            notifyLobby(roomId);
+        }
+        
+        // Leave the socket.io room
+        socket.leave(roomId);
+        
+        // Clean up socket data
+        socket.roomId = null;
+        socket.playerName = null;
+        
+        recountRestartVotes(room);
+    });
+    
+    // Game start handler
+    socket.on('game:start', (data) => {
+        const roomId = findPlayerRoom(socket.id);
+        if (!roomId) return;
+        
+        const room = rooms.get(roomId);
+        
+        // Only host can start the game
+        if (room.host !== socket.id || room.gameInProgress) {
+            return;
+        }
+        
+        // Minimum 2 players required
+        if (room.players.length < 2) {
+            socket.emit('error', { message: 'Need at least 2 players to start' });
+            return;
+        }
+        
+        // The host may start without waiting for everyone to be ready
+        const force = !!(data && data.force);
+        if (!force && !areAllPlayersReady(room)) {
+            socket.emit('error', { message: 'Not every player is ready yet' });
+            return;
+        }
+        
+        startRoomGame(roomId);
+    });
+    
+    // Player toggling their ready state in the waiting room
+    socket.on('room:ready', (data) => {
+        const roomId = findPlayerRoom(socket.id);
+        if (!roomId) return;
+        
+        const room = rooms.get(roomId);
+        if (!room || room.gameInProgress) return;
+        
+        const player = room.players.find(p => p.id === socket.id);
+        if (!player) return;
+        
+        player.isReady = data && typeof data.ready === 'boolean' ? data.ready : !player.isReady;
+        console.log(`Player ${player.name} is ${player.isReady ? 'ready' : 'not ready'} in room ${roomId}`);
+        
+        emitReadyState(room, player);
+        updateAutoStart(room);
+    });
+    
+    // Non-host player asking for another round from the game over screen
+    socket.on('game:restart_request', () => {
+        const roomId = findPlayerRoom(socket.id);
+        if (!roomId) return;
+        
+        const room = rooms.get(roomId);
+        if (!room || room.host === socket.id) return;
+        
+        if (room.gameInProgress) {
+            socket.emit('error', { message: 'The round is still running' });
+            return;
+        }
+        
+        const player = room.players.find(p => p.id === socket.id);
+        if (!player) return;
+        
+        // Each player asks (or votes) only once per round
+        if (room.restartVotes.has(socket.id)) return;
+        room.restartVotes.add(socket.id);
+        
+        if (room.settings.restartVote) {
+            countRestartVotes(roomId, player);
+            return;
+        }
+        
+        console.log(`Player ${player.name} asked the host of room ${roomId} to restart`);
+        io.to(room.host).emit('game:restart_request', {
+            playerId: socket.id,
+            playerName: player.name
+        });
+    });
+    
+    // Host answering a restart request
+    socket.on('game:restart_response', (data) => {
+        const roomId = findPlayerRoom(socket.id);
+        if (!roomId) return;
+        
+        const room = rooms.get(roomId);
+        if (!room || room.host !== socket.id || room.gameInProgress) return;
+        
+        const { playerId, accept } = data || {};
+        if (!room.restartVotes.has(playerId)) return;
+        
+        const host = room.players.find(p => p.id === socket.id);
+        
+        if (accept) {
+            // Same as the host pressing Play Again
+            restartRoom(roomId, host, true);
+            return;
+        }
+        
+        // The player may ask again later
+        room.restartVotes.delete(playerId);
+        io.to(playerId).emit('game:restart_declined', { hostName: host ? host.name : 'The host' });
+    });
+    
+    // Host changing the match settings
+    socket.on('room:configure', (data) => {
+        const roomId = findPlayerRoom(socket.id);
+        if (!roomId) return;
+        
+        const room = rooms.get(roomId);
+        
+        // Only host can change settings
+        if (room.host !== socket.id) {
+            socket.emit('error', { message: 'Only the host can change the room settings' });
+            return;
+        }
+        
+        if (room.gameInProgress) {
+            socket.emit('error', { message: 'Settings cannot be changed during a game' });
+            return;
+        }
+        
+        const { settings, error } = validateRoomSettings(room, data && data.settings);
+        if (error) {
+            socket.emit('error', { message: error });
+            return;
+        }
+        
+        room.settings = settings;
+        console.log(`Room ${roomId} settings updated:`, settings);
+        
+        // Everyone in the room, spectators included, sees the new rules
+        io.to(roomId).emit('room:settings', { settings });
+        notifyLobby(roomId);
+        updateAutoStart(room);
+    });
+    
+    // Game action handler (pause, resume, quit)
+    socket.on('game:action', (data) => {
+        const { action, autoStart } = data;
+        const roomId = findPlayerRoom(socket.id);
+        if (!roomId) return;
+        
+        const room = rooms.get(roomId);
+        if (!room) return;
+        
+        // Special handling for restart action - allow it even when game is not in progress
+        if (action === 'restart') {
+            // Only host can restart
+            if (room.host === socket.id) {
+                const restartingPlayer = room.players.find(p => p.id === socket.id);
+                restartRoom(roomId, restartingPlayer, autoStart || false);
+            }
+            return;
+        }
+        
+        // For other actions, require game to be in progress
+        if (!room.gameInProgress) return;
+        
+        // Process action (the round end itself is decided by the server clock)
+        switch (action) {
+            case 'pause':
+                if (!room.pausedAt) {
+                    room.pausedAt = Date.now();
+                }
+                io.to(roomId).emit('game:pause', { playerId: socket.id });
+                break;
+            case 'resume':
+                if (room.pausedAt) {
+                    room.pausedTotal += Date.now() - room.pausedAt;
+                    room.pausedAt = null;
+                }
+                io.to(roomId).emit('game:resume', { playerId: socket.id });
+                break;            
+                case 'quit':
+                // Find player data to include name
+                const quittingPlayer = room.players.find(p => p.id === socket.id);
+                
+                // A player who quits is out of the round and ranked last
+                if (quittingPlayer) {
+                    quittingPlayer.hasQuit = true;
+                    eliminatePlayer(room, quittingPlayer, Date.now());
+                    emitPlayerStats(roomId, quittingPlayer);
+                }
+                
+                // Check if there will be enough remaining players to continue
+                if (room.players.length <= 2) {  // This means only one player will be left after this player quits
+                    endRound(roomId, 'quit', {
+                        playerId: socket.id,
+                        playerName: quittingPlayer ? quittingPlayer.name : 'Unknown player'
+                    });
+                } else {
+                    // Enough players to continue, just notify about the player who quit
+                    socket.to(roomId).emit('player:quit', {
+                        playerId: socket.id,
+                        playerName: quittingPlayer ? quittingPlayer.name : 'Unknown player'
+                    });
+                    
+                    // Send a direct message to the quitting player
+                    const gameEndTime = Date.now(); // Synchronized timestamp
+                    socket.emit('game:end', { 
+                        playerId: socket.id, 
+                        reason: 'quit',
+                        playerName: quittingPlayer ? quittingPlayer.name : 'Unknown player',
+                        localOnly: true,
+                        timestamp: gameEndTime
+                    });
+                }
+                break;
+        }
+    });
+    
+    // Player update handler
+    socket.on('player:update', (playerState) => {
+        const roomId = findPlayerRoom(socket.id);
+        if (!roomId) return;
+        
+        const room = rooms.get(roomId);
+        if (!room || !room.gameInProgress) return;
+        
+        // Server-simulated ships don't accept client positions
+        if (room.netcodeMode === 'input') return;
+        
+        const player = room.players.find(p => p.id === socket.id);
+        
+        // Remember the last known position for collision validation
+        if (player && playerState && Number.isFinite(playerState.x) && Number.isFinite(playerState.y)) {
+            player.lastPosition = {
+                x: playerState.x,
+                y: playerState.y,
+                timestamp: Date.now()
+            };
+        }
+        
+        // Broadcast player state to other players in the room, with the
+        // score and lives kept by the server rather than the client's own
+        socket.to(roomId).emit('player:update', player ? {
+            ...playerState,
+            score: player.score,
+            lives: player.lives,
+            isAlive: player.isAlive
+        } : playerState);
+    });
+    
+    // Player input handler (input-based netcode)
+    socket.on('player:input', (data) => {
+        const roomId = findPlayerRoom(socket.id);
+        if (!roomId) return;
+        
+        const room = rooms.get(roomId);
+        if (!room || !room.gameInProgress || room.netcodeMode !== 'input' || !data) return;
+        
+        const player = room.players.find(p => p.id === socket.id);
+        if (!player) return;
+        
+        const now = Date.now();
+        
+        // The first message carries the client's arena size, the server picks the spawn
+        if (!player.ship) {
+            if (!data.initialState) return;
+            player.ship = createServerShip(data.initialState, room.players.indexOf(player), now);
+        }
+        
+        processInputFrames(player.ship, data.frames, now);
+        
+        const ship = player.ship;
+        player.lastPosition = { x: ship.x, y: ship.y, timestamp: now };
+        
+        // Acknowledge the processed inputs to the owner
+        socket.emit('player:state', {
+            x: ship.x,
+            y: ship.y,
+            angle: ship.angle,
+            velocityX: ship.velocityX,
+            velocityY: ship.velocityY,
+            lastProcessedInput: ship.lastProcessedInput
+        });
+        
+        // Other players receive the same format as state-based updates
+        socket.to(roomId).emit('player:update', {
+            id: player.id,
+            x: ship.x,
+            y: ship.y,
+            angle: ship.angle,
+            velocityX: ship.velocityX,
+            velocityY: ship.velocityY,
+            score: player.score,
+            lives: player.lives,
+            isAlive: player.isAlive,
+            color: player.color,
+            name: player.name
+        });
+    });
+    
+    // Entity collision handler
+    socket.on('entity:collision', (data) => {
+        const roomId = findPlayerRoom(socket.id);
+        if (!roomId) return;
+        
+        const room = rooms.get(roomId);
+        if (!room || !room.gameInProgress) return;
+        
+        const { entityType, entityId, playerId } = data || {};
+        
+        // Players may only report collisions for themselves
+        const player = room.players.find(p => p.id === socket.id);
+        const validation = playerId !== socket.id
+            ? { valid: false, reason: 'not_own_player' }
+            : validateCollision(room, player, entityType, entityId, Date.now());
+        
+        const now = Date.now();
+        
+        // Hits during invulnerability don't count, the asteroid stays
+        if (validation.valid && entityType === 'asteroid' && now < player.invulnerableUntil) {
+            validation.valid = false;
+            validation.reason = 'invulnerable';
+        }
+        
+        if (!validation.valid) {
+            console.log(`Rejected ${entityType} collision from ${socket.id} in room ${roomId}: ${validation.reason}`);
+            socket.emit('entity:collision_rejected', { entityType, entityId, reason: validation.reason });
+            
+            // Undo whatever the client predicted for its own ship
+            if (player && playerId === socket.id) {
+                socket.emit('player:stats', getPlayerStats(player));
+            }
+            return;
+        }
+        
+        if (entityType === 'asteroid') {
+            // Remove asteroid from room state
+            room.asteroids = room.asteroids.filter(a => a.id !== entityId);
+            
+            // Lose a life, with a short invulnerability afterwards
+            player.lives = Math.max(0, player.lives - 1);
+            if (player.lives === 0) {
+                eliminatePlayer(room, player, now);
+            } else {
+                player.invulnerableUntil = now + HIT_INVULNERABILITY;
+            }
+        } else {
+            const powerup = room.powerups.find(p => p.id === entityId);
+            
+            switch (powerup.type) {
+                case 'score':
+                    player.score += SCORE_POWERUP_POINTS;
+                    break;
+                case 'shield':
+                    player.invulnerableUntil = Math.max(player.invulnerableUntil, now + SHIELD_DURATION);
+                    break;
+                case 'speed':
+                    // Server-simulated ships get the speed boost here
+                    if (player.ship) {
+                        player.ship.speedBoostUntil = now + SPEED_BOOST_DURATION;
+                    }
+                    break;
+            }
+            
+            // Remove powerup from room state
+            room.powerups = room.powerups.filter(p => p.id !== entityId);
+        }
+        
+        // Broadcast collision to all players
+        io.to(roomId).emit('entity:collision', { entityType, entityId, playerId });
+        emitPlayerStats(roomId, player);
+    });
+    
+    // Handle chat messages
+    socket.on('chat:message', (data) => {
+        const { message } = data;
+        const roomId = socket.roomId || findPlayerRoom(socket.id);
+        
+        if (!roomId) {
+            console.log(`Chat message from player ${socket.id} but no room found`);
+            return;
+        }
+        
+        const room = rooms.get(roomId);
+        if (!room) {
+            console.log(`Chat message from player ${socket.id} but room ${roomId} not found`);
+            return;
+        }
+        
+        // Find the player (spectators can chat too)
+        const player = room.players.find(p => p.id === socket.id) ||
+            room.spectators.find(s => s.id === socket.id);
+        if (!player) {
+            console.log(`Chat message from player ${socket.id} but player not found in room ${roomId}`);
+            return;
+        }
+        
+        // Validate message
+        if (!message || typeof message !== 'string' || message.trim() === '') {
+            return;
+        }
+        
+        // Sanitize message (basic XSS prevention), control characters like newlines become spaces
+        const sanitizedMessage = message.replace(/[\u0000-\u001f\u007f-\u009f]/g, ' ').trim().substring(0, MAX_CHAT_MESSAGE_LENGTH);
+        if (!sanitizedMessage) return;
+        
+        // Slash commands never reach the room as plain text
+        if (sanitizedMessage.startsWith('/')) {
+            handleChatCommand(socket, room, player, sanitizedMessage);
+            return;
+        }
+        
+        // Muted players only hear about it themselves
+        if (player.isMuted) {
+            sendChatReply(socket, 'You have been muted by the host');
+            return;
+        }
+        
+        const chatMessage = createChatMessage('player', sanitizedMessage, player);
+        
+        console.log(`Chat message in room ${roomId} from ${player.name}: ${sanitizedMessage}`);
+        
+        // Broadcast message to all players in the room
+        broadcastChatMessage(roomId, chatMessage);
+    });
+    
+    // Older chat messages for scrollback
+    socket.on('chat:history', (data) => {
+        const room = socket.roomId ? rooms.get(socket.roomId) : null;
+        if (!room) return;
+        
+        socket.emit('chat:history', getChatHistoryPage(room, data && data.beforeId));
+    });
+    
+    // Typing indicator, only passed on to the rest of the room
+    socket.on('chat:typing', (data) => {
+        const room = socket.roomId ? rooms.get(socket.roomId) : null;
+        if (!room) return;
+        
+        const member = room.players.find(p => p.id === socket.id) ||
+            room.spectators.find(s => s.id === socket.id);
+        if (!member || member.isMuted) return;
+        
+        socket.to(room.id).emit('chat:typing', {
+            playerId: socket.id,
+            playerName: member.name,
+            typing: !!(data && data.typing)
+        });
+    });
+    
+    // Handle player disconnection
+    socket.on('disconnect', (reason) => {
+        console.log(`Player disconnected: ${socket.id} (${reason})`);
+        
+        if (leaveMatchmakingQueue(socket.id)) {
+            emitMatchmakingStatus();
+        }
+        
+        // Find the room this player was in
+        const roomId = socket.roomId || findPlayerRoom(socket.id);
+        
+        if (roomId) {
+            const room = rooms.get(roomId);
+            const player = room ? room.players.find(p => p.id === socket.id) : null;
+            
+            // Players leaving on purpose send room:leave first, so keep
+            // the seat for a while in case the player reconnects
+            if (player) {
+                holdPlayerSeat(roomId, player);
+            } else {
+                removeSpectator(roomId, socket.id);
+            }
+            
+            // Clean up socket data
+            socket.roomId = null;
+            socket.playerName = null;
+        }
+    });
+    
+    // Reclaim a seat after reconnecting
+    socket.on('room:rejoin', (data) => {
+        const sessionHash = data && typeof data.sessionToken === 'string' ? hashSessionToken(data.sessionToken) : null;
+        const session = sessionHash ? sessions.get(sessionHash) : null;
+        const room = session ? rooms.get(session.roomId) : null;
+        const player = room ? room.players.find(p => p.id === session.playerId) : null;
+        
+        if (!player) {
+            sessions.delete(sessionHash);
+            socket.emit('room:rejoin_failed', { message: 'Your previous session has expired' });
+            return;
+        }
+        
+        const previousId = player.id;
+        
+        // Stop the grace period timer
+        clearTimeout(reconnectTimers.get(previousId));
+        reconnectTimers.delete(previousId);
+        
+        // Move the seat over to the new socket
+        player.id = socket.id;
+        player.disconnected = false;
+        delete player.disconnectedAt;
+        session.playerId = socket.id;
+        if (room.host === previousId) {
+            room.host = socket.id;
+        }
+        
+        // The server ship restarts from the position the client reports next
+        player.ship = null;
+        player.lastPosition = null;
+        
+        // An old socket that hasn't timed out yet must not keep the seat
+        const oldSocket = getSocket(previousId);
+        if (oldSocket) {
+            oldSocket.leave(room.id);
+            oldSocket.roomId = null;
+            oldSocket.disconnect(true);
+        }
+        
+        socket.join(room.id);
+        socket.roomId = room.id;
+        socket.playerName = player.name;
+        
+        console.log(`Player ${player.name} rejoined room ${room.id} (${previousId} -> ${socket.id})`);
+        
+        socket.emit('room:rejoined', {
+            roomId: room.id,
+            previousId,
+            isHost: player.isHost,
+            players: room.players,
+            gameInProgress: room.gameInProgress,
+            startTime: room.gameStartTime,
+            settings: room.settings,
+            netcodeMode: room.netcodeMode,
+            isPrivate: room.isPrivate,
+            hasPassword: !!room.passwordHash,
+            chatHistory: getChatHistoryPage(room)
+        });
+        
+        // Notify other players in the room
+        socket.to(room.id).emit('room:player_reconnected', { previousId, player });
+        
+        const reconnectMessage = {
+            id: `sys_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            message: `${player.name} reconnected`,
+            timestamp: new Date().toISOString(),
+            type: 'system'
+        };
+        broadcastChatMessage(room.id, reconnectMessage, socket);
+        
+        updateAutoStart(room);
+    });
+    
+    // Spectator asking to play
+    socket.on('room:take_seat', () => {
+        const room = socket.roomId ? rooms.get(socket.roomId) : null;
+        const spectator = room ? room.spectators.find(s => s.id === socket.id) : null;
+        if (!spectator) return;
+        
+        // Seats only open up between rounds
+        if (room.gameInProgress) {
+            spectator.wantsToPlay = true;
+            socket.emit('room:seat_queued', { roomId: room.id });
+            return;
+        }
+        
+        if (room.players.length >= room.settings.maxPlayers) {
+            socket.emit('error', { message: `Room is full (maximum ${room.settings.maxPlayers} players)` });
+            return;
+        }
+        
+        promoteSpectator(room, spectator);
+    });
+    
+    // Clock synchronization ping, answered with the server time
+    socket.on('time:ping', (data) => {
+        socket.emit('time:pong', {
+            clientTime: data ? data.clientTime : null,
+            serverTime: Date.now()
+        });
+    });
+    
+    // Handle request for active rooms
+    // Live room browser on the join screen
+    socket.on('lobby:subscribe', () => {
+        socket.join(LOBBY_CHANNEL);
+        
+        // Start from the full list, changes follow as they happen
+        socket.emit('lobby:rooms', getActiveRooms());
+    });
+    
+    socket.on('lobby:unsubscribe', () => {
+        socket.leave(LOBBY_CHANNEL);
+    });
+    
+    socket.on('room:list', () => {
+        const activeRooms = getActiveRooms();
+        socket.emit('room:list', activeRooms);
+        console.log(`Player ${socket.id} requested room list. Found ${activeRooms.length} active rooms.`);
+    });
+}
+
+// Events of sockets connected to another instance, for rooms hosted here
+io.on('remote:event', ({ instanceId, homeInstance, socketId, clientId, seq, event, args }) => {
+    if (instanceId !== INSTANCE_ID) return;
+    
+    let socket = remoteSockets.get(socketId);
+    if (!socket) {
+        if (event === 'disconnect') return;
+        socket = new RemoteClientSocket(socketId, clientId, homeInstance);
+        remoteSockets.set(socketId, socket);
+        handleConnection(socket);
+    }
+    
+    socket.lastSeq = seq;
+    const handled = socket.dispatch(event, args);
+    
+    if (event === 'disconnect') {
+        socket.connected = false;
+        remoteSockets.delete(socketId);
+        return;
+    }
+    
+    // A room:join only has a room once its password check is done
+    handled.then(() => {
+        if (socket.connected && remoteSockets.get(socketId) === socket && !socket.roomId &&
+            !matchmakingQueue.some(entry => entry.socketId === socketId)) {
+            releaseRemoteSocket(socket);
+        }
+    });
+});
+
+// Another instance is done with one of our sockets, its events are handled here again
+io.on('remote:release', ({ instanceId, socketId, seq }) => {
+    if (instanceId !== INSTANCE_ID) return;
+    
+    // Events sent after the released one are already on their way to the other instance
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket && socket.forwardSeq === seq) {
+        socket.remoteOwner = null;
+        socket.remoteRoomId = null;
+    }
+});
+
+/**
+ * Send a socket's events to the instance hosting its room
+ * A socket is handed over when it joins or rejoins a room hosted by another
+ * instance, and handed back once it has nothing left there (see releaseRemoteSocket)
+ * @param {Object} socket - Socket.io socket
+ * @param {Array} packet - Event name followed by its arguments
+ * @param {Function} next - Handle the event on this instance
+ */
+function routePacket(socket, packet, next) {
+    const [event, data] = packet;
+    
+    if (!socket.remoteOwner && (event === 'room:join' || event === 'room:rejoin') &&
+        data && typeof data.roomId === 'string') {
+        const roomId = data.roomId.trim().toUpperCase();
+        
+        if (directory.isRemote(roomId)) {
+            socket.remoteOwner = directory.getOwner(roomId);
+            socket.remoteRoomId = roomId;
+            console.log(`Player ${socket.id} handed over to instance ${socket.remoteOwner} for room ${roomId}`);
+            
+            if (leaveMatchmakingQueue(socket.id)) {
+                emitMatchmakingStatus();
+            }
+        }
+    }
+    
+    if (!socket.remoteOwner) {
+        next();
+        return;
+    }
+    
+    // The instance hosting the room crashed or lost the broker, and the room went with it
+    if (directory.getOwner(socket.remoteRoomId) !== socket.remoteOwner && directory.isInstanceLost(socket.remoteOwner)) {
+        console.log(`Instance ${socket.remoteOwner} hosting room ${socket.remoteRoomId} is gone, taking back player ${socket.id}`);
+        socket.emit('room:closed', {
+            roomId: socket.remoteRoomId,
+            reason: 'server_unavailable',
+            message: 'Room closed: the server hosting it went offline.'
+        });
+        socket.remoteOwner = null;
+        socket.remoteRoomId = null;
+        
+        // Handle the event here, or hand it to another instance
+        routePacket(socket, packet, next);
+        return;
+    }
+    
+    forwardEvent(socket, event, packet.slice(1));
+}
+
+/**
+ * Forward an event to the instance hosting the socket's room
+ * @param {Object} socket - Socket.io socket
+ * @param {string} event - Event name
+ * @param {Array} args - Event arguments
+ */
+function forwardEvent(socket, event, args) {
+    socket.forwardSeq++;
+    io.serverSideEmit('remote:event', {
+        instanceId: socket.remoteOwner,
+        homeInstance: INSTANCE_ID,
+        socketId: socket.id,
+        clientId: socket.clientId,
+        seq: socket.forwardSeq,
+        event,
+        args
+    });
+}
+
+/**
+ * Hand a socket back to the instance it is connected to
+ * @param {RemoteClientSocket} socket - Stand-in for the socket
+ */
+function releaseRemoteSocket(socket) {
+    remoteSockets.delete(socket.id);
+    io.serverSideEmit('remote:release', {
+        instanceId: socket.homeInstance,
+        socketId: socket.id,
+        seq: socket.lastSeq
+    });
+}
+
+/**
+ * Find a connected socket, including stand-ins for sockets connected to other instances
+ * @param {string} socketId - Socket ID
+ * @returns {Object|undefined} Socket.io socket or RemoteClientSocket
+ */
+function getSocket(socketId) {
+    return io.sockets.sockets.get(socketId) || remoteSockets.get(socketId);
+}
+
+/**
+ * Generate a unique room ID
+ * @returns {string} Room ID
+ */
+function generateRoomId() {
+    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let result = '';
+    
+    // Generate a 6-character code
+    for (let i = 0; i < 6; i++) {
+        result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    
+    // Check if already exists (or was used recently, old invite links must not lead here)
+    if (rooms.has(result) || directory.has(result) || closedRooms.has(result)) {
+        return generateRoomId(); // Try again
+    }
+    
+    return result;
+}
+
+/**
+ * Create a new game room
+ * @param {string} roomId - Room ID
+ * @returns {Object} Room object
+ */
+function createRoom(roomId) {
+    const room = {
+        id: roomId,
+        host: null,
+        hostName: null,
+        players: [],
+        spectators: [], // Watch the game without a ship, not counted toward the player limit
+        settings: { ...DEFAULT_ROOM_SETTINGS },
+        restartVotes: new Set(), // IDs of players who asked for another round
+        bannedClients: new Set(), // Client identities the host banned, kept while the room exists
+        chatHistory: { messages: [], next: 0 }, // Ring buffer of public chat, see addToChatHistory
+        lastRoundResults: null, // { reason, endedAt, results } of the last finished round
+        gameInProgress: false,
+        gameStarted: false,
+        isPrivate: false, // Hidden from the room list
+        matchmaking: false, // Created by Quick Play, starts by itself until the first round
+        passwordHash: null,
+        passwordSalt: null,
+        passwordAttempts: new Map(), // clientId -> { count, resetAt }, wrong guesses per client
+        pendingPasswordChecks: 0, // Password hashes running for this room
+        netcodeMode: NETCODE_MODE, // How clients send their ship, fixed for the room's lifetime
+        createdAt: Date.now()
+    };
+    
+    rooms.set(roomId, room);
+    directory.setRoom(roomId);
+    console.log(`Room ${roomId} created`);
+    
+    return room;
+}
+
+/**
+ * Hash the password a host picked for a new room (only a salted hash is kept)
+ * @param {string} password - Password chosen by the host
+ * @returns {Promise<Object>} { passwordSalt, passwordHash } for the room
+ */
+async function createRoomPassword(password) {
+    const passwordSalt = crypto.randomBytes(16).toString('hex');
+    return { passwordSalt, passwordHash: await hashRoomPassword(password, passwordSalt) };
+}
+
+/**
+ * Hash a room password on the thread pool, scrypt is too slow for the event loop
+ * @param {string} password - Password
+ * @param {string} salt - Room's password salt
+ * @returns {Promise<Buffer>} Password hash
+ */
+function hashRoomPassword(password, salt) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, 32, (error, hash) => error ? reject(error) : resolve(hash));
+    });
+}
+
+/**
+ * Check the password sent with a join request
+ * Asks the client for the password when it's missing or wrong. Every guess costs a hash,
+ * so each client gets a few guesses per window and a room only hashes a few at once
+ * @param {Object} socket - Socket joining the room
+ * @param {Object} room - Room object
+ * @param {string} [password] - Password sent by the client
+ * @returns {Promise<boolean>} True if the socket may enter the room
+ */
+async function checkRoomPassword(socket, room, password) {
+    if (!room.passwordHash) return true;
+    
+    let correct = false;
+    if (typeof password === 'string' && password && password.length <= MAX_ROOM_PASSWORD_LENGTH) {
+        const now = Date.now();
+        for (const [clientId, attempts] of room.passwordAttempts.entries()) {
+            if (now >= attempts.resetAt) room.passwordAttempts.delete(clientId);
+        }
+        
+        let attempts = room.passwordAttempts.get(socket.clientId);
+        if (!attempts) {
+            attempts = { count: 0, resetAt: now + ROOM_PASSWORD_ATTEMPT_WINDOW };
+            room.passwordAttempts.set(socket.clientId, attempts);
+        }
+        
+        if (attempts.count >= ROOM_PASSWORD_MAX_ATTEMPTS) {
+            const wait = Math.ceil((attempts.resetAt - now) / 1000);
+            socket.emit('error', { message: `Too many wrong passwords, try again in ${wait} seconds` });
+            return false;
+        }
+        
+        if (room.pendingPasswordChecks >= ROOM_PASSWORD_MAX_PENDING) {
+            socket.emit('error', { message: 'Too many players are joining this room right now, try again in a moment' });
+            return false;
+        }
+        
+        attempts.count++;
+        room.pendingPasswordChecks++;
+        try {
+            const hash = await hashRoomPassword(password, room.passwordSalt);
+            correct = crypto.timingSafeEqual(hash, room.passwordHash);
+        } catch (error) {
+            console.error(`Could not check the password for room ${room.id}:`, error.message);
+        } finally {
+            room.pendingPasswordChecks--;
+        }
+        
+        if (correct) {
+            room.passwordAttempts.delete(socket.clientId);
+        }
+    }
+    
+    if (!correct) {
+        console.log(`Player ${socket.id} ${password ? 'sent a wrong password' : 'needs a password'} for room ${room.id}`);
+        socket.emit('room:password_required', {
+            roomId: room.id,
+            incorrect: !!password
+        });
+    }
+    
+    return correct;
+}
+
+/**
+ * Remove a room and remember that it existed
+ * @param {string} roomId - Room ID
+ */
+function deleteRoom(roomId) {
+    const room = rooms.get(roomId);
+    if (room) {
+        cancelAutoStart(room);
+    }
+    
+    rooms.delete(roomId);
+    directory.removeRoom(roomId);
+    closedRooms.set(roomId, Date.now());
+    notifyLobby(roomId);
+}
+
+/**
+ * Build the error shown when joining a room that doesn't exist
+ * @param {string} roomId - Requested room ID
+ * @returns {string} Error message
+ */
+function getMissingRoomMessage(roomId) {
+    if (closedRooms.has(roomId)) {
+        return `Room "${roomId}" has expired. Ask for a new invite or create a new room.`;
+    }
+    
+    return `Room "${roomId}" not found`;
+}
+
+/**
+ * Find which room a player is in
+ * Only rooms hosted here are searched, a player's events are always handled by the
+ * instance hosting their room
+ * @param {string} playerId - Player socket ID
+ * @returns {string|null} Room ID or null
+ */
+function findPlayerRoom(playerId) {
+    return rooms.findPlayerRoom(playerId);
+}
+
+/**
+ * Validate a settings change requested by the host
+ * @param {Object} room - Room object
+ * @param {Object} changes - Settings to change
+ * @returns {Object} { settings } with the merged settings, or { error } with a message
+ */
+function validateRoomSettings(room, changes) {
+    if (!changes || typeof changes !== 'object') {
+        return { error: 'Invalid room settings' };
+    }
+    
+    const settings = { ...room.settings };
+    
+    for (const [key, value] of Object.entries(changes)) {
+        // Only the listed settings, not inherited keys like "constructor"
+        if (!Object.prototype.hasOwnProperty.call(ROOM_SETTING_LIMITS, key)) {
+            return { error: `Unknown room setting "${key}"` };
+        }
+        
+        const limits = ROOM_SETTING_LIMITS[key];
+        
+        if (!Number.isFinite(value) || value < limits.min || value > limits.max) {
+            return { error: `${key} must be between ${limits.min} and ${limits.max}` };
+        }
+        
+        settings[key] = Math.round(value);
+    }
+    
+    // Can't shrink the room below the players already in it
+    if (settings.maxPlayers < room.players.length) {
+        return { error: `There are already ${room.players.length} players in the room` };
+    }
+    
+    return { settings };
+}
+
+/**
+ * Check whether a name is used by a player or spectator in a room
+ * @param {Object} room - Room object
+ * @param {string} name - Name to check
+ * @returns {boolean} True if the name is taken
+ */
+function isNameTaken(room, name) {
+    const lowerName = name.toLowerCase();
+    return room.players.some(p => p.name.toLowerCase() === lowerName) ||
+        room.spectators.some(s => s.name.toLowerCase() === lowerName);
+}
+
+/**
+ * Seat a player in a room and tell everyone about it
+ * @param {Object} socket - Socket.io socket
+ * @param {Object} room - Room object
+ * @param {string} name - Player name
+ * @param {string} color - Player color
+ */
+function addPlayerToRoom(socket, room, name, color) {
+    const player = {
+        id: socket.id,
+        name,
+        color,
+        isHost: room.host === socket.id,
+        isReady: false
+    };
+    
+    room.players.push(player);
+    socket.join(room.id);
+    
+    // Store room ID and player name on socket for disconnect handling
+    socket.roomId = room.id;
+    socket.playerName = name;
+    
+    console.log(`Player ${socket.id} joined room ${room.id}`);
+    
+    // Notify player they've joined (the session token is only sent to them)
+    socket.emit('room:joined', {
+        roomId: room.id,
+        isHost: player.isHost,
+        players: room.players,
+        spectators: room.spectators,
+        settings: room.settings,
+        isPrivate: room.isPrivate,
+        hasPassword: !!room.passwordHash,
+        matchmaking: room.matchmaking,
+        chatHistory: getChatHistoryPage(room),
+        sessionToken: createPlayerSession(room.id, socket.id)
+    });
+    
+    // Notify other players in the room
+    socket.to(room.id).emit('room:player_joined', player);
+    updateAutoStart(room);
+    notifyLobby(room.id);
+    
+    // Send system chat message for player join
+    const joinMessage = {
+        id: `sys_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        message: `${name} joined the room`,
+        timestamp: new Date().toISOString(),
+        type: 'system'
+    };
+    broadcastChatMessage(room.id, joinMessage);
+}
+
+/**
+ * Remove a socket from the matchmaking queue
+ * @param {string} socketId - Socket ID
+ * @returns {boolean} True if the socket was queued
+ */
+function leaveMatchmakingQueue(socketId) {
+    const index = matchmakingQueue.findIndex(entry => entry.socketId === socketId);
+    if (index === -1) return false;
+    
+    matchmakingQueue.splice(index, 1);
+    return true;
+}
+
+/**
+ * Check whether a queued player is happy with a room size
+ * @param {Object} entry - Matchmaking queue entry
+ * @param {number} size - Room size (max players)
+ * @returns {boolean} True if the size matches the player's preference
+ */
+function matchesPreferredSize(entry, size) {
+    return entry.preferredSize === 0 || entry.preferredSize === size;
+}
+
+/**
+ * Find an open room a queued player can be put into
+ * Rooms made by Quick Play come first, then the fullest rooms
+ * @param {Object} entry - Matchmaking queue entry
+ * @returns {Object|null} Room object or null if no room fits
+ */
+function findMatchmakingRoom(entry) {
+    let bestRoom = null;
+    
+    for (const room of rooms.values()) {
+        const isOpen = room.players.length > 0 &&
+            room.players.length < room.settings.maxPlayers &&
+            !room.gameInProgress &&
+            !room.isPrivate &&
+            !room.passwordHash;
+        
+        if (!isOpen ||
+            !matchesPreferredSize(entry, room.settings.maxPlayers) ||
+            isNameTaken(room, entry.name) ||
+            room.bannedClients.has(entry.clientId)) {
+            continue;
+        }
+        
+        if (!bestRoom ||
+            (room.matchmaking && !bestRoom.matchmaking) ||
+            (room.matchmaking === bestRoom.matchmaking && room.players.length > bestRoom.players.length)) {
+            bestRoom = room;
+        }
+    }
+    
+    return bestRoom;
+}
+
+/**
+ * Move a queued player into a room
+ * @param {Object} entry - Matchmaking queue entry
+ * @param {Object} room - Room object
+ */
+function placeQueuedPlayer(entry, room) {
+    leaveMatchmakingQueue(entry.socketId);
+    
+    const socket = getSocket(entry.socketId);
+    if (!socket) return;
+    
+    // Remember how long the match took for the wait estimate
+    recentMatchWaits.push((Date.now() - entry.joinedAt) / 1000);
+    if (recentMatchWaits.length > MATCHMAKING_WAIT_SAMPLES) {
+        recentMatchWaits.shift();
+    }
+    
+    console.log(`Matchmaking placed ${entry.socketId} (${entry.name}) in room ${room.id}`);
+    addPlayerToRoom(socket, room, entry.name, entry.color);
+}
+
+/**
+ * Put queued players into open rooms, or group them into new rooms
+ */
+function processMatchmakingQueue() {
+    // Fill free seats first so nobody waits while a room has space
+    for (const entry of [...matchmakingQueue]) {
+        const room = findMatchmakingRoom(entry);
+        if (room) {
+            placeQueuedPlayer(entry, room);
+        }
+    }
+    
+    // Group the remaining players by preferred size, oldest entries first
+    for (const size of MATCHMAKING_ROOM_SIZES) {
+        const group = [];
+        
+        for (const entry of matchmakingQueue) {
+            if (group.length >= size) break;
+            if (!matchesPreferredSize(entry, size)) continue;
+            if (group.some(member => member.name.toLowerCase() === entry.name.toLowerCase())) continue;
+            group.push(entry);
+        }
+        
+        if (group.length < MATCHMAKING_MIN_PLAYERS) continue;
+        
+        const room = createRoom(generateRoomId());
+        room.matchmaking = true;
+        room.settings.maxPlayers = size;
+        room.host = group[0].socketId;
+        room.hostName = group[0].name;
+        
+        console.log(`Matchmaking created room ${room.id} for ${group.length} players (size ${size})`);
+        
+        for (const entry of group) {
+            placeQueuedPlayer(entry, room);
+        }
+        
+        // The first player may have left before being seated
+        if (room.players.length === 0) {
+            deleteRoom(room.id);
+        } else if (!room.players.some(p => p.id === room.host)) {
+            room.host = room.players[0].id;
+            room.hostName = room.players[0].name;
+            room.players[0].isHost = true;
+        }
+    }
+    
+    emitMatchmakingStatus();
+}
+
+/**
+ * Estimate how long a queued player still has to wait
+ * @param {Object} entry - Matchmaking queue entry
+ * @param {number} now - Current time
+ * @returns {number} Estimated wait in seconds
+ */
+function estimateMatchmakingWait(entry, now) {
+    const averageWait = recentMatchWaits.length > 0
+        ? recentMatchWaits.reduce((sum, wait) => sum + wait, 0) / recentMatchWaits.length
+        : MATCHMAKING_DEFAULT_WAIT;
+    const waited = (now - entry.joinedAt) / 1000;
+    
+    // Never promise less than the time it takes to fill a new room
+    return Math.ceil(Math.max(averageWait - waited, MATCHMAKING_FILL_TIME));
+}
+
+/**
+ * Tell every queued player their position and estimated wait
+ */
+function emitMatchmakingStatus() {
+    const now = Date.now();
+    
+    matchmakingQueue.forEach((entry, index) => {
+        io.to(entry.socketId).emit('matchmaking:status', {
+            position: index + 1,
+            queueSize: matchmakingQueue.length,
+            estimatedWait: estimateMatchmakingWait(entry, now),
+            waited: Math.floor((now - entry.joinedAt) / 1000),
+            preferredSize: entry.preferredSize
+        });
+    });
+}
+
+/**
+ * Add a socket to a room as a spectator
+ * @param {Object} socket - Socket.io socket
+ * @param {string} name - Spectator name
+ * @param {string} roomId - Room ID to watch
+ * @param {string} color - Spectator color
+ * @param {string} [password] - Room password
+ * @returns {Promise<void>} Resolves once the spectator joined or was turned away
+ */
+async function joinAsSpectator(socket, name, roomId, color, password) {
+    const normalizedRoomId = roomId ? roomId.trim().toUpperCase() : null;
+    const room = normalizedRoomId ? rooms.get(normalizedRoomId) : null;
+    
+    if (!room) {
+        socket.emit('error', { message: getMissingRoomMessage(normalizedRoomId || '') });
+        return;
+    }
+    
+    if (room.bannedClients.has(socket.clientId)) {
+        socket.emit('error', { message: 'You have been banned from this room' });
+        return;
+    }
+    
+    // Watching a protected room needs the password too
+    if (!(await checkRoomPassword(socket, room, password)) || !socket.connected) {
+        return;
+    }
+    
+    // The room may have closed while the password was checked
+    if (rooms.get(room.id) !== room) {
+        socket.emit('error', { message: getMissingRoomMessage(room.id) });
+        return;
+    }
+    
+    if (isNameTaken(room, name)) {
+        socket.emit('error', { message: `Player name "${name}" is already taken. Please choose a different name.` });
+        return;
+    }
+    
+    const spectator = {
+        id: socket.id,
+        name,
+        color,
+        isSpectator: true
+    };
+    
+    room.spectators.push(spectator);
+    socket.join(room.id);
+    
+    // Store room ID and name on socket for disconnect handling
+    socket.roomId = room.id;
+    socket.playerName = name;
+    
+    console.log(`Spectator ${socket.id} (${name}) joined room ${room.id}`);
+    
+    socket.emit('room:joined', {
+        roomId: room.id,
+        isHost: false,
+        isSpectator: true,
+        players: room.players,
+        spectators: room.spectators,
+        gameInProgress: room.gameInProgress,
+        startTime: room.gameStartTime,
+        settings: room.settings,
+        chatHistory: getChatHistoryPage(room)
+    });
+    
+    // Notify everyone else in the room
+    socket.to(room.id).emit('room:spectator_joined', spectator);
+    notifyLobby(room.id);
+    
+    const joinMessage = {
+        id: `sys_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        message: `${name} is watching`,
+        timestamp: new Date().toISOString(),
+        type: 'system'
+    };
+    broadcastChatMessage(room.id, joinMessage);
+}
+
+/**
+ * Remove a spectator from a room
+ * @param {string} roomId - Room ID
+ * @param {string} spectatorId - Spectator socket ID
+ * @returns {boolean} True if the socket was a spectator in the room
+ */
+function removeSpectator(roomId, spectatorId) {
+    const room = rooms.get(roomId);
+    if (!room) return false;
+    
+    const spectator = room.spectators.find(s => s.id === spectatorId);
+    if (!spectator) return false;
+    
+    room.spectators = room.spectators.filter(s => s.id !== spectatorId);
+    console.log(`Spectator ${spectatorId} (${spectator.name}) left room ${roomId}`);
+    
+    io.to(roomId).emit('room:spectator_left', {
+        id: spectatorId,
+        name: spectator.name
+    });
+    notifyLobby(roomId);
+    
+    return true;
+}
+
+/**
+ * Turn a spectator into a player
+ * @param {Object} room - Room object
+ * @param {Object} spectator - Spectator to promote
+ */
+function promoteSpectator(room, spectator) {
+    room.spectators = room.spectators.filter(s => s.id !== spectator.id);
+    
+    const player = {
+        id: spectator.id,
+        name: spectator.name,
+        color: spectator.color,
+        isHost: false,
+        isReady: false
+    };
+    room.players.push(player);
+    
+    console.log(`Spectator ${spectator.id} (${spectator.name}) took a seat in room ${room.id}`);
+    
+    // Only the promoted player gets a session token
+    io.to(spectator.id).emit('room:seat_taken', {
+        roomId: room.id,
+        sessionToken: createPlayerSession(room.id, spectator.id)
+    });
+    
+    io.to(room.id).emit('room:spectator_promoted', player);
+    notifyLobby(room.id);
+    
+    const promotedMessage = {
+        id: `sys_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        message: `${player.name} joined the game`,
+        timestamp: new Date().toISOString(),
+        type: 'system'
+    };
+    broadcastChatMessage(room.id, promotedMessage);
+    
+    updateAutoStart(room);
+}
+
+/**
+ * Give free seats to spectators who asked to play, once the round is over
+ * @param {Object} room - Room object
+ */
+function promoteQueuedSpectators(room) {
+    const queued = room.spectators.filter(s => s.wantsToPlay);
+    
+    for (const spectator of queued) {
+        if (room.players.length >= room.settings.maxPlayers) break;
+        promoteSpectator(room, spectator);
+    }
+}
+
+/**
+ * Detach spectators from a room that is being removed
+ * @param {Object} room - Room object
+ * @param {Object} [closeData] - room:closed payload, if spectators haven't been told yet
+ */
+function releaseSpectators(room, closeData = null) {
+    for (const spectator of room.spectators) {
+        const spectatorSocket = getSocket(spectator.id);
+        if (!spectatorSocket) continue;
+        
+        if (closeData) {
+            spectatorSocket.emit('room:closed', closeData);
+        }
+        spectatorSocket.leave(room.id);
+        spectatorSocket.roomId = null;
+        spectatorSocket.playerName = null;
+    }
+    room.spectators = [];
+}
+
+/**
+ * Keep a disconnected player's seat during the reconnect grace period
+ * @param {string} roomId - Room ID
+ * @param {Object} player - Disconnected player
+ */
+function holdPlayerSeat(roomId, player) {
+    player.disconnected = true;
+    player.disconnectedAt = Date.now();
+    
+    console.log(`Holding seat of ${player.name} in room ${roomId} for ${RECONNECT_GRACE_PERIOD / 1000}s`);
+    
+    // Let the others know the player may come back
+    io.to(roomId).emit('room:player_disconnected', {
+        id: player.id,
+        name: player.name,
+        gracePeriod: RECONNECT_GRACE_PERIOD
+    });
+    
+    const disconnectMessage = {
+        id: `sys_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        message: `${player.name} lost connection, waiting to reconnect…`,
+        timestamp: new Date().toISOString(),
+        type: 'system'
+    };
+    broadcastChatMessage(roomId, disconnectMessage);
+    
+    // A missing player doesn't count as ready, or toward a restart vote
+    const room = rooms.get(roomId);
+    if (room) {
+        updateAutoStart(room);
+        recountRestartVotes(room);
+    }
+    
+    const playerId = player.id;
+    reconnectTimers.set(playerId, setTimeout(() => {
+        reconnectTimers.delete(playerId);
+        removeDisconnectedPlayer(roomId, playerId);
+    }, RECONNECT_GRACE_PERIOD));
+}
+
+/**
+ * Remove a player whose connection is gone for good
+ * @param {string} roomId - Room ID
+ * @param {string} playerId - Player socket ID
+ */
+function removeDisconnectedPlayer(roomId, playerId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    
+    // Check if player is the host and game hasn't started yet
+    const isHost = room.host === playerId;
+    const gameNotStarted = !room.gameInProgress;
+    
+    // Find the leaving player before removing them from the array
+    const leavingPlayer = room.players.find(p => p.id === playerId);
+    if (!leavingPlayer) return;
+    const playerName = leavingPlayer.name;
+    
+    // Remove player from room
+    room.players = room.players.filter(p => p.id !== playerId);
+    endPlayerSession(playerId);
+    
+    // Special case: If the host is disconnecting before the game starts, close the room
+    // Matchmade rooms belong to nobody, so they just get a new host
+    if (isHost && gameNotStarted && !room.matchmaking) {
+        console.log(`Host ${playerId} (${playerName}) disconnected from room ${roomId} before game start - closing room`);
+        
+        // Notify all players that the room is being closed because host left
+        io.to(roomId).emit('room:closed', { 
+            reason: 'host_disconnected',
+            message: 'Room closed because the host disconnected',
+            hostName: playerName
+        });
+        
+        // Force all remaining players to leave the socket.io room
+        for (const player of room.players) {
+            endPlayerSession(player.id);
+            const playerSocket = getSocket(player.id);
+            if (playerSocket) {
+                playerSocket.leave(roomId);
+                playerSocket.roomId = null;
+                playerSocket.playerName = null;
+            }
+        }
+        
+        // Remove the room
+        releaseSpectators(room);
+        deleteRoom(roomId);
+        console.log(`Room ${roomId} removed (host disconnected before game start)`);
+        return;
+    }
+    
+    // Standard case: Regular player disconnecting or host disconnecting during game
+    console.log(`Player ${playerId} (${playerName}) disconnected from room ${roomId}`);
+    
+    // Notify other players
+    io.to(roomId).emit('room:player_left', { 
+        id: playerId,
+        name: playerName
+    });
+    
+    // Send system chat message for player disconnect
+    const disconnectMessage = {
+        id: `sys_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        message: `${playerName} disconnected`,
+        timestamp: new Date().toISOString(),
+        type: 'system'
+    };
+    broadcastChatMessage(roomId, disconnectMessage);
+    
+    // If room is empty, remove it
+    if (room.players.length === 0) {
+        releaseSpectators(room, {
+            reason: 'empty',
+            message: 'Room closed because all players left'
+        });
+        deleteRoom(roomId);
+        console.log(`Room ${roomId} removed (empty)`);
+    } else if (isHost) {
+        // Host left during game, assign new host (preferring connected players)
+        const newHost = room.players.find(p => !p.disconnected) || room.players[0];
+        room.host = newHost.id;
+        room.hostName = newHost.name;
+        
+        // Update player as new host
+        newHost.isHost = true;
+        
+        // Notify new host
+        io.to(newHost.id).emit('room:host_changed', { isHost: true });
+        
+        // Notify all players about the new host
+        io.to(roomId).emit('room:host_changed', { 
+            host: newHost.id,
+            hostName: newHost.name
+        });
+        
+        console.log(`New host for room ${roomId}: ${newHost.id} (${newHost.name})`);
+    }
+    
+    if (rooms.has(roomId)) {
+        updateAutoStart(room);
+        notifyLobby(roomId);
+        recountRestartVotes(room);
+    }
+    
+    // If game is in progress and there are enough players left (more than 1)
+    if (room.gameInProgress && room.players.length >= 2) {
+        // Game should continue, inform remaining players about the disconnection
+        io.to(roomId).emit('player:quit', { 
+            playerId,
+            playerName
+        });
+    } else if (room.gameInProgress) {
+        // Not enough players left, end the game
+        endRound(roomId, 'quit', { playerId, playerName });
+    }
+}
+
+/**
+ * Create a session token that lets a player reclaim their seat after reconnecting
+ * @param {string} roomId - Room ID
+ * @param {string} playerId - Player socket ID
+ * @returns {string} Session token
+ */
+function createPlayerSession(roomId, playerId) {
+    const sessionToken = crypto.randomBytes(16).toString('hex');
+    const socket = getSocket(playerId);
+    sessions.set(hashSessionToken(sessionToken), { roomId, playerId, clientId: socket ? socket.clientId : playerId });
+    return sessionToken;
+}
+
+/**
+ * Hash a session token, only the hash is kept in memory and in the room store
+ * @param {string} sessionToken - Session token handed to the player
+ * @returns {string} SHA-256 hex digest
+ */
+function hashSessionToken(sessionToken) {
+    return crypto.createHash('sha256').update(sessionToken).digest('hex');
+}
+
+/**
+ * Get the client identity behind a player, even while they are disconnected
+ * @param {string} playerId - Player socket ID
+ * @returns {string} Client identity
+ */
+function getClientId(playerId) {
+    const socket = getSocket(playerId);
+    if (socket) return socket.clientId;
+    
+    for (const session of sessions.values()) {
+        if (session.playerId === playerId) return session.clientId;
+    }
+    
+    return playerId;
+}
+
+/**
+ * Find the player or spectator a host moderation request is about
+ * @param {Object} socket - Socket.io socket of the requesting player
+ * @param {string} playerId - ID of the targeted player or spectator
+ * @returns {Object|null} { room, player } or null if the request isn't allowed
+ */
+function getModerationTarget(socket, playerId) {
+    const room = socket.roomId ? rooms.get(socket.roomId) : null;
+    
+    // Only the host moderates, and never themselves
+    if (!room || room.host !== socket.id || !playerId || playerId === socket.id) {
+        return null;
+    }
+    
+    const player = room.players.find(p => p.id === playerId) ||
+        room.spectators.find(s => s.id === playerId);
+    
+    return player ? { room, player } : null;
+}
+
+/**
+ * Mute or unmute a player or spectator in chat and tell the room
+ * @param {Object} room - Room object
+ * @param {Object} player - Player or spectator
+ * @param {boolean} muted - Whether the player should be muted
+ */
+function setPlayerMuted(room, player, muted) {
+    player.isMuted = muted;
+    
+    console.log(`Host ${muted ? 'muted' : 'unmuted'} ${player.id} (${player.name}) in room ${room.id}`);
+    
+    io.to(room.id).emit('room:player_muted', {
+        id: player.id,
+        name: player.name,
+        isMuted: muted
+    });
+    
+    const muteMessage = {
+        id: `sys_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        message: `${player.name} was ${muted ? 'muted' : 'unmuted'} by the host`,
+        timestamp: new Date().toISOString(),
+        type: 'system'
+    };
+    broadcastChatMessage(room.id, muteMessage);
+}
+
+/**
+ * Remove a player or spectator the host (or a server admin) kicked or banned
+ * @param {Object} room - Room object
+ * @param {Object} player - Player or spectator to remove
+ * @param {boolean} banned - Whether the player is banned from coming back
+ * @param {string} [moderator] - Who removed the player, as shown to the room
+ */
+function removeModeratedPlayer(room, player, banned, moderator = 'the host') {
+    const reason = banned ? 'banned' : 'kicked';
+    
+    console.log(`${player.id} (${player.name}) ${reason} from room ${room.id} by ${moderator}`);
+    
+    // Take the player out of the socket.io room first so the broadcasts skip them
+    const playerSocket = getSocket(player.id);
+    if (playerSocket) {
+        playerSocket.emit('room:kicked', {
+            roomId: room.id,
+            banned,
+            message: `You were ${reason} from the room by ${moderator}`
+        });
+        playerSocket.leave(room.id);
+        playerSocket.roomId = null;
+        playerSocket.playerName = null;
+    }
+    
+    if (player.isSpectator) {
+        removeSpectator(room.id, player.id);
+    } else {
+        room.players = room.players.filter(p => p.id !== player.id);
+        room.restartVotes.delete(player.id);
+        endPlayerSession(player.id);
+        
+        // A disconnected player's seat isn't held any longer
+        clearTimeout(reconnectTimers.get(player.id));
+        reconnectTimers.delete(player.id);
+        
+        io.to(room.id).emit('room:player_left', {
+            id: player.id,
+            name: player.name,
+            reason
+        });
+    }
+    
+    const kickMessage = {
+        id: `sys_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        message: `${player.name} was ${reason} by ${moderator}`,
+        timestamp: new Date().toISOString(),
+        type: 'system'
+    };
+    broadcastChatMessage(room.id, kickMessage);
+    
+    if (player.isSpectator) return;
+    
+    updateAutoStart(room);
+    notifyLobby(room.id);
+    recountRestartVotes(room);
+    
+    // Same as a player quitting mid-round
+    if (room.gameInProgress && room.players.length >= 2) {
+        io.to(room.id).emit('player:quit', {
+            playerId: player.id,
+            playerName: player.name
+        });
+    } else if (room.gameInProgress) {
+        endRound(room.id, 'quit', { playerId: player.id, playerName: player.name });
+    }
+}
+
+/**
+ * Make a player the host of their room
+ * @param {Object} room - Room object
+ * @param {Object} player - New host
+ */
+function transferHost(room, player) {
+    const previousHost = room.players.find(p => p.id === room.host);
+    if (previousHost) {
+        previousHost.isHost = false;
+    }
+    
+    room.host = player.id;
+    room.hostName = player.name;
+    player.isHost = true;
+    
+    console.log(`Host of room ${room.id} handed to ${player.id} (${player.name})`);
+    
+    // Everyone, including the previous host, learns who the host is now
+    io.to(room.id).emit('room:host_changed', {
+        host: player.id,
+        hostName: player.name
+    });
+    notifyLobby(room.id);
+    
+    const transferMessage = {
+        id: `sys_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        message: `${player.name} is now the host`,
+        timestamp: new Date().toISOString(),
+        type: 'system'
+    };
+    broadcastChatMessage(room.id, transferMessage);
+}
+
+/**
+ * Close a room for everyone in it, players lose their seats for good
+ * @param {Object} room - Room object
+ * @param {Object} closeData - room:closed payload
+ */
+function closeRoom(room, closeData) {
+    io.to(room.id).emit('room:closed', closeData);
+    stopRoomSimulation(room);
+    
+    for (const player of room.players) {
+        clearTimeout(reconnectTimers.get(player.id));
+        reconnectTimers.delete(player.id);
+        endPlayerSession(player.id);
+        
+        const playerSocket = getSocket(player.id);
+        if (playerSocket) {
+            playerSocket.leave(room.id);
+            playerSocket.roomId = null;
+            playerSocket.playerName = null;
+        }
+    }
+    
+    releaseSpectators(room);
+    deleteRoom(room.id);
+}
+
+/**
+ * Forget the session of a player who left for good
+ * @param {string} playerId - Player socket ID
+ */
+function endPlayerSession(playerId) {
+    for (const [sessionHash, session] of sessions.entries()) {
+        if (session.playerId === playerId) {
+            sessions.delete(sessionHash);
+        }
+    }
+}
+
+/**
+ * Check a color picked by a client
+ * @param {*} color - Color sent by the client
+ * @returns {string} The color if it's a hex color like #FF5252, else the default color
+ */
+function sanitizePlayerColor(color) {
+    return typeof color === 'string' && PLAYER_COLOR_PATTERN.test(color) ? color : DEFAULT_PLAYER_COLOR;
+}
+
+/**
+ * Build a chat message sent by a player
+ * @param {string} type - Message kind ('player', 'emote', 'roll' or 'whisper')
+ * @param {string} message - Message text
+ * @param {Object} sender - Player or spectator who sent it
+ * @returns {Object} Chat message
+ */
+function createChatMessage(type, message, sender) {
+    return {
+        id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        playerId: sender.id,
+        playerName: sender.name,
+        playerColor: sender.color,
+        message,
+        timestamp: new Date().toISOString(),
+        isSpectator: !!sender.isSpectator,
+        type
+    };
+}
+
+/**
+ * Send a chat message to a room and remember it for players who join later
+ * @param {string} roomId - Room ID
+ * @param {Object} message - Chat message
+ * @param {Object} [fromSocket] - Leave this socket out of the broadcast
+ */
+function broadcastChatMessage(roomId, message, fromSocket = null) {
+    const room = rooms.get(roomId);
+    if (room) {
+        addToChatHistory(room, message);
+    }
+    
+    (fromSocket ? fromSocket.to(roomId) : io.to(roomId)).emit('chat:message', message);
+}
+
+/**
+ * Store a chat message in the room's history
+ * Once full, the oldest message is overwritten
+ * @param {Object} room - Room object
+ * @param {Object} message - Chat message
+ */
+function addToChatHistory(room, message) {
+    const history = room.chatHistory;
+    
+    if (history.messages.length < CHAT_HISTORY_SIZE) {
+        history.messages.push(message);
+    } else {
+        history.messages[history.next] = message;
+        history.next = (history.next + 1) % CHAT_HISTORY_SIZE;
+    }
+}
+
+/**
+ * Get the whole chat history, oldest message first
+ * @param {Object} room - Room object
+ * @returns {Array} Chat messages
+ */
+function getOrderedChatHistory(room) {
+    const { messages, next } = room.chatHistory;
+    return messages.slice(next).concat(messages.slice(0, next));
+}
+
+/**
+ * Get one page of chat history, oldest message first
+ * @param {Object} room - Room object
+ * @param {string} [beforeId] - Only return messages older than this one
+ * @returns {Object} { messages, hasMore }
+ */
+function getChatHistoryPage(room, beforeId) {
+    const ordered = getOrderedChatHistory(room);
+    
+    let end = ordered.length;
+    if (beforeId) {
+        end = ordered.findIndex(message => message.id === beforeId);
+        
+        // The message has already been overwritten, nothing older is left
+        if (end === -1) {
+            return { messages: [], hasMore: false };
+        }
+    }
+    
+    const start = Math.max(0, end - CHAT_HISTORY_PAGE_SIZE);
+    return {
+        messages: ordered.slice(start, end),
+        hasMore: start > 0
+    };
+}
+
+/**
+ * Send a chat line only the given socket sees (command results and errors)
+ * @param {Object} socket - Socket.io socket
+ * @param {string} message - Message text
+ */
+function sendChatReply(socket, message) {
+    socket.emit('chat:message', {
+        id: `cmd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        message,
+        timestamp: new Date().toISOString(),
+        type: 'command'
+    });
+}
+
+/**
+ * Find the room member whose name starts a piece of command text
+ * Names may contain spaces, so the longest matching name wins
+ * @param {Object} room - Room object
+ * @param {string} text - Command arguments, starting with a name
+ * @returns {Object|null} { member, rest } or null if no name matches
+ */
+function findChatTarget(room, text) {
+    const lowerText = text.toLowerCase();
+    let best = null;
+    
+    for (const member of [...room.players, ...room.spectators]) {
+        const name = member.name.toLowerCase();
+        const matches = lowerText === name || lowerText.startsWith(`${name} `);
+        
+        if (matches && (!best || name.length > best.member.name.length)) {
+            best = { member, rest: text.substring(name.length).trim() };
+        }
+    }
+    
+    return best;
+}
+
+/**
+ * Run a chat slash command
+ * @param {Object} socket - Socket.io socket of the sender
+ * @param {Object} room - Room object
+ * @param {Object} sender - Player or spectator who sent the command
+ * @param {string} text - Full message, starting with '/'
+ */
+function handleChatCommand(socket, room, sender, text) {
+    const match = text.match(/^\/(\S*)\s*([\s\S]*)$/);
+    if (!match) return;
+    
+    const [, command, args] = match;
+    const name = command.toLowerCase();
+    
+    // Muted players can still look up the commands, but not talk through them
+    if (sender.isMuted && name !== 'help') {
+        sendChatReply(socket, 'You have been muted by the host');
+        return;
+    }
+    
+    switch (name) {
+        case 'w':
+        case 'whisper':
+            sendWhisper(socket, room, sender, args);
+            break;
+        case 'me':
+            if (!args) {
+                sendChatReply(socket, 'Usage: /me <action>');
+                break;
+            }
+            broadcastChatMessage(room.id, createChatMessage('emote', args, sender));
+            break;
+        case 'roll':
+            rollDice(socket, room, sender, args);
+            break;
+        case 'help':
+            sendChatReply(socket, getChatHelp(room.host === socket.id));
+            break;
+        case 'kick':
+        case 'ban':
+        case 'mute':
+        case 'unmute':
+            runModerationCommand(socket, room, name, args);
+            break;
+        default:
+            sendChatReply(socket, `Unknown command "/${command}". Type /help for a list of commands`);
+    }
+}
+
+/**
+ * Send a private message to one room member, both sides see it
+ * @param {Object} socket - Socket.io socket of the sender
+ * @param {Object} room - Room object
+ * @param {Object} sender - Player or spectator who whispers
+ * @param {string} args - Target name followed by the message
+ */
+function sendWhisper(socket, room, sender, args) {
+    const target = findChatTarget(room, args);
+    
+    if (!target || !target.rest) {
+        sendChatReply(socket, target ? 'Usage: /w <name> <message>' : `No one named "${args.split(' ')[0]}" is in this room`);
+        return;
+    }
+    
+    const { member, rest } = target;
+    if (member.id === sender.id) {
+        sendChatReply(socket, 'You can\'t whisper to yourself');
+        return;
+    }
+    
+    if (member.disconnected) {
+        sendChatReply(socket, `${member.name} is reconnecting and can't receive whispers right now`);
+        return;
+    }
+    
+    const whisper = {
+        ...createChatMessage('whisper', rest, sender),
+        targetId: member.id,
+        targetName: member.name
+    };
+    
+    io.to(member.id).emit('chat:message', whisper);
+    socket.emit('chat:message', whisper);
+}
+
+/**
+ * Roll dice for everyone to see
+ * Accepts "/roll" (1-100), "/roll 20" (1-20) and "/roll 2d6"
+ * @param {Object} socket - Socket.io socket of the sender
+ * @param {Object} room - Room object
+ * @param {Object} sender - Player or spectator who rolls
+ * @param {string} args - Dice to roll
+ */
+function rollDice(socket, room, sender, args) {
+    const match = args.match(/^(?:(\d*)d)?(\d+)$/i);
+    const count = match && match[1] ? parseInt(match[1], 10) : 1;
+    const sides = match ? parseInt(match[2], 10) : DEFAULT_DICE_SIDES;
+    
+    if ((args && !match) || count < 1 || count > MAX_DICE_COUNT || sides < 2 || sides > MAX_DICE_SIDES) {
+        sendChatReply(socket, `Usage: /roll, /roll <sides> or /roll <count>d<sides> (up to ${MAX_DICE_COUNT}d${MAX_DICE_SIDES})`);
+        return;
+    }
+    
+    const rolls = [];
+    for (let i = 0; i < count; i++) {
+        rolls.push(crypto.randomInt(1, sides + 1));
+    }
+    const total = rolls.reduce((sum, roll) => sum + roll, 0);
+    
+    const message = count === 1
+        ? `rolled ${total} (1-${sides})`
+        : `rolled ${total} (${count}d${sides}: ${rolls.join(' + ')})`;
+    
+    broadcastChatMessage(room.id, createChatMessage('roll', message, sender));
+}
+
+/**
+ * Run a host moderation command typed in chat
+ * @param {Object} socket - Socket.io socket of the sender
+ * @param {Object} room - Room object
+ * @param {string} command - 'kick', 'ban', 'mute' or 'unmute'
+ * @param {string} args - Name of the targeted player
+ */
+function runModerationCommand(socket, room, command, args) {
+    if (room.host !== socket.id) {
+        sendChatReply(socket, `Only the host can use /${command}`);
+        return;
+    }
+    
+    const target = args ? findChatTarget(room, args) : null;
+    const moderation = target ? getModerationTarget(socket, target.member.id) : null;
+    
+    if (!moderation) {
+        sendChatReply(socket, args ? `Can't ${command} "${args}"` : `Usage: /${command} <name>`);
+        return;
+    }
+    
+    const { player } = moderation;
+    
+    if (command === 'kick') {
+        removeModeratedPlayer(room, player, false);
+    } else if (command === 'ban') {
+        room.bannedClients.add(getClientId(player.id));
+        removeModeratedPlayer(room, player, true);
+    } else {
+        setPlayerMuted(room, player, command === 'mute');
+    }
+}
+
+/**
+ * List the chat commands
+ * @param {boolean} isHost - Whether to include the host commands
+ * @returns {string} Help text
+ */
+function getChatHelp(isHost) {
+    const lines = [
+        'Chat commands:',
+        '/w <name> <message> - Whisper to one player',
+        '/me <action> - Describe what you are doing',
+        '/roll, /roll 20, /roll 2d6 - Roll dice (1-100 by default)',
+        '/help - Show this list'
+    ];
+    
+    if (isHost) {
+        lines.push(
+            '/kick <name> - Remove a player from the room',
+            '/ban <name> - Remove a player and keep them out',
+            '/mute <name>, /unmute <name> - Silence a player in chat'
+        );
+    }
+    
+    return lines.join('\n');
+}
+
+/**
+ * Start a round in a room
+ * @param {string} roomId - Room ID
+ */
+function startRoomGame(roomId) {
+    const room = rooms.get(roomId);
+    if (!room || room.gameInProgress) return;
+    
+    if (shutdownState) {
+        io.to(roomId).emit('error', { message: 'The server is restarting, no new matches can start' });
+        return;
+    }
+    
+    cancelAutoStart(room);
+    room.restartVotes.clear();
+    
+    // After the first round the room is run by its host like any other
+    room.matchmaking = false;
+    
+    room.gameInProgress = true;
+    room.gameStarted = true;
+    room.gameStartTime = Date.now(); // Store synchronized game start time
+    
+    // Initialize game entities for the room
+    room.asteroids = [];
+    room.powerups = [];
+    room.nextAsteroidId = 0;
+    room.nextPowerupId = 0;
+    room.lastAsteroidSpawn = room.gameStartTime;
+    room.lastPowerupSpawn = room.gameStartTime;
+    room.lastSnapshot = room.gameStartTime;
+    
+    // Round clock, paused time doesn't count toward the round duration
+    room.pausedAt = null;
+    room.pausedTotal = 0;
+    room.lastTimerUpdate = room.gameStartTime;
+    
+    // Reset server-side ship state from previous rounds
+    room.players.forEach(player => {
+        player.ship = null;
+        player.lastPosition = null;
+        player.score = 0;
+        player.lives = room.settings.startingLives;
+        player.isAlive = true;
+        player.survivalTime = 0;
+        player.invulnerableUntil = 0;
+        player.hasQuit = false;
+        
+        // Everyone has to ready up again for the next round
+        player.isReady = false;
+    });
+    
+    gameMetrics.started++;
+    
+    // Start entity simulation loop for this room
+    startRoomSimulation(roomId);
+    notifyLobby(roomId);
+    
+    // Notify all players in the room
+    io.to(roomId).emit('game:start', {
+        players: room.players,
+        startTime: room.gameStartTime,
+        settings: room.settings,
+        netcodeMode: room.netcodeMode
+    });
+    
+    console.log(`Game started in room ${roomId}`);
+}
+
+/**
+ * Send a room back to the waiting room after a round
+ * @param {string} roomId - Room ID
+ * @param {Object|null} restartedBy - Player who restarted, or null when players voted
+ * @param {boolean} autoStart - Whether the next round should start right away
+ */
+function restartRoom(roomId, restartedBy, autoStart) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    
+    room.gameInProgress = false;
+    room.gameStarted = false;
+    room.restartVotes.clear();
+    
+    // Clean up entity simulation
+    stopRoomSimulation(room);
+    
+    // Update game start time for restart
+    room.gameStartTime = Date.now();
+    io.to(roomId).emit('game:restart', {
+        playerId: restartedBy ? restartedBy.id : null,
+        playerName: restartedBy ? restartedBy.name : 'The players',
+        startTime: room.gameStartTime,
+        autoStart,
+        byVote: !restartedBy
+    });
+    promoteQueuedSpectators(room);
+    notifyLobby(roomId);
+}
+
+/**
+ * Count restart votes and restart the room once a majority agrees
+ * Doesn't need the host, so an AFK host can't hold the room up
+ * @param {string} roomId - Room ID
+ * @param {Object|null} voter - Player who just voted, or null when the players changed
+ */
+function countRestartVotes(roomId, voter) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    
+    // Only players still in the room count, on both sides of the vote. The host restarts
+    // directly instead of voting, so the majority is among the other players
+    const voters = room.players.filter(p => !p.disconnected && p.id !== room.host);
+    const votes = voters.filter(p => room.restartVotes.has(p.id)).length;
+    const needed = Math.floor(voters.length / 2) + 1;
+    
+    console.log(`Restart vote in room ${roomId}: ${votes}/${needed}`);
+    
+    io.to(roomId).emit('game:restart_votes', {
+        playerId: voter ? voter.id : null,
+        playerName: voter ? voter.name : null,
+        votes,
+        needed
+    });
+    
+    if (votes >= needed) {
+        restartRoom(roomId, null, true);
+        
+        // Nobody has to press start, the players already agreed
+        startRoomGame(roomId);
+    }
+}
+
+/**
+ * Count a running restart vote again after a player left or lost connection,
+ * fewer voters can mean the remaining votes are already a majority
+ * @param {Object} room - Room object
+ */
+function recountRestartVotes(room) {
+    if (rooms.get(room.id) !== room || room.gameInProgress) return;
+    if (!room.settings.restartVote || room.restartVotes.size === 0) return;
+    
+    countRestartVotes(room.id, null);
+}
+
+/**
+ * Check whether every player in a room is ready to start
+ * @param {Object} room - Room object
+ * @returns {boolean} True if there are enough players and all of them are ready
+ */
+function areAllPlayersReady(room) {
+    return room.players.length >= 2 &&
+        room.players.every(p => p.isReady && !p.disconnected);
+}
+
+/**
+ * Tell the room that a player's ready state changed
+ * @param {Object} room - Room object
+ * @param {Object} player - Player whose ready state changed
+ */
+function emitReadyState(room, player) {
+    io.to(room.id).emit('room:player_ready', {
+        id: player.id,
+        isReady: player.isReady,
+        allReady: areAllPlayersReady(room)
+    });
+}
+
+/**
+ * Start or cancel the auto-start countdown after the room changed
+ * The countdown only runs while the room is full and everyone is ready
+ * @param {Object} room - Room object
+ */
+function updateAutoStart(room) {
+    if (shutdownState) return;
+    
+    if (room.matchmaking) {
+        updateMatchmakingStart(room);
+        return;
+    }
+    
+    const delay = room.settings.autoStartDelay;
+    const shouldRun = delay > 0 &&
+        !room.gameInProgress &&
+        room.players.length >= room.settings.maxPlayers &&
+        areAllPlayersReady(room);
+    
+    if (!shouldRun) {
+        cancelAutoStart(room);
+        return;
+    }
+    
+    // Already counting down
+    if (room.autoStartTimer) return;
+    
+    console.log(`Room ${room.id} is full and ready, starting in ${delay}s`);
+    
+    room.autoStartTimer = setTimeout(() => {
+        room.autoStartTimer = null;
+        startRoomGame(room.id);
+    }, delay * 1000);
+    
+    io.to(room.id).emit('room:auto_start', { delay });
+}
+
+/**
+ * Start or stop the fill timer of a matchmade room
+ * Once enough players are in, the room waits a little for more and then starts
+ * without a ready check, a full room starts sooner
+ * @param {Object} room - Room object
+ */
+function updateMatchmakingStart(room) {
+    const connectedPlayers = room.players.filter(p => !p.disconnected).length;
+    
+    if (room.gameInProgress || connectedPlayers < MATCHMAKING_MIN_PLAYERS) {
+        cancelAutoStart(room);
+        return;
+    }
+    
+    const isFull = connectedPlayers >= room.settings.maxPlayers;
+    const delay = isFull ? MATCHMAKING_FULL_START_DELAY : MATCHMAKING_FILL_TIME;
+    
+    // Keep the running countdown unless the room just filled up and can start sooner
+    if (room.autoStartTimer) {
+        if (room.autoStartAt - Date.now() <= delay * 1000) return;
+        clearTimeout(room.autoStartTimer);
+    }
+    
+    console.log(`Matchmade room ${room.id} has ${connectedPlayers} players, starting in ${delay}s`);
+    
+    room.autoStartAt = Date.now() + delay * 1000;
+    room.autoStartTimer = setTimeout(() => {
+        room.autoStartTimer = null;
+        startRoomGame(room.id);
+    }, delay * 1000);
+    
+    io.to(room.id).emit('room:auto_start', { delay, reason: 'matchmaking' });
+}
+
+/**
+ * Stop a running auto-start countdown
+ * @param {Object} room - Room object
+ */
+function cancelAutoStart(room) {
+    if (!room.autoStartTimer) return;
+    
+    clearTimeout(room.autoStartTimer);
+    room.autoStartTimer = null;
+    
+    io.to(room.id).emit('room:auto_start_cancelled');
+}
+
+/**
+ * Start the fixed-tick entity simulation for a room
+ * @param {string} roomId - Room ID
+ */
+function startRoomSimulation(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    
+    // Make sure only one simulation loop runs per room
+    stopRoomSimulation(room);
+    
+    // Match settings chosen by the host
+    const settings = {
+        ...room.settings,
+        gameBounds: GAME_BOUNDS
+    };
+    
+    let lastTick = Date.now();
+    
+    // Step timings for /metrics
+    room.simulationTicks = { count: 0, totalTime: 0, maxTime: 0 };
+    
+    // Create simulation interval
+    room.spawnInterval = setInterval(() => {
+        const tickStart = performance.now();
+        try {
+            if (!room.gameInProgress || !rooms.has(roomId)) {
+                stopRoomSimulation(room);
+                return;
+            }
+            
+            const now = Date.now();
+            const deltaTime = now - lastTick;
+            lastTick = now;
+            
+            // Nothing moves while the game is paused
+            if (room.pausedAt) return;
+            
+            // The server owns the round clock
+            const roundElapsed = getRoundElapsed(room, now);
+            if (roundElapsed >= settings.gameDuration * 1000) {
+                endRound(roomId, 'time_limit');
+                return;
+            }
+            
+            // Round is over once at most one player is still alive
+            const alivePlayers = room.players.filter(p => p.isAlive !== false);
+            if (alivePlayers.length <= 1) {
+                endRound(roomId, 'last_player_standing');
+                return;
+            }
             
-            if (room) {
-                // Check if player is the host and game hasn't started yet
-                const isHost = room.host === socket.id;
-                const gameNotStarted = !room.gameInProgress;
-                
-                // Find the leaving player before removing them from the array
-                const leavingPlayer = room.players.find(p => p.id === socket.id);
-                const playerName = leavingPlayer ? leavingPlayer.name : (socket.playerName || 'Unknown player');
-                
-                // Remove player from room
-                room.players = room.players.filter(p => p.id !== socket.id);
-                
-                // Special case: If the host is disconnecting before the game starts, close the room
-                if (isHost && gameNotStarted) {
-                    console.log(`Host ${socket.id} (${playerName}) disconnected from room ${roomId} before game start - closing room`);
-                    
-                    // Notify all players that the room is being closed because host left
-                    socket.to(roomId).emit('room:closed', { 
-                        reason: 'host_disconnected',
-                        message: 'Room closed because the host disconnected',
-                        hostName: playerName
-                    });
-                    
-                    // Force all remaining players to leave the socket.io room
-                    for (const player of room.players) {
-                        const playerSocket = io.sockets.sockets.get(player.id);
-                        if (playerSocket) {
-                            playerSocket.leave(roomId);
-                            playerSocket.roomId = null;
-                            playerSocket.playerName = null;
-                        }
-                    }
-                    
-                    // Remove the room
-                    rooms.delete(roomId);
-                    console.log(`Room ${roomId} removed (host disconnected before game start)`);
-                } else {
-                    // Standard case: Regular player disconnecting or host disconnecting during game
-                    console.log(`Player ${socket.id} (${playerName}) disconnected from room ${roomId}`);
-                    
-                    // Notify other players
-                    socket.to(roomId).emit('room:player_left', { 
-                        id: socket.id,
-                        name: playerName
-                    });
-                    
-                    // Send system chat message for player disconnect
-                    const disconnectMessage = {
-                        id: `sys_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                        message: `${playerName} disconnected`,
-                        timestamp: new Date().toISOString(),
-                        type: 'system'
-                    };
-                    socket.to(roomId).emit('chat:message', disconnectMessage);
-                    
-                    // If room is empty, remove it
-                    if (room.players.length === 0) {
-                        rooms.delete(roomId);
-                        console.log(`Room ${roomId} removed (empty)`);
-                    } else if (isHost && room.players.length > 0) {
-                        // Host left during game, assign new host
-                        const newHost = room.players[0];
-                        room.host = newHost.id;
-                        room.hostName = newHost.name;
-                        
-                        // Update player as new host
-                        newHost.isHost = true;
-                        
-                        // Notify new host
-                        io.to(newHost.id).emit('room:host_changed', { isHost: true });
-                        
-                        // Notify all players about the new host
-                        socket.to(roomId).emit('room:host_changed', { 
-                            host: newHost.id,
-                            hostName: newHost.name
-                        });
-                        
-                        console.log(`New host for room ${roomId}: ${newHost.id} (${newHost.name})`);
-                    }
-                    
-                    // If game is in progress and there are enough players left (more than 1)
-                    if (room.gameInProgress && room.players.length >= 2) {
-                        // Game should continue, inform remaining players about the disconnection
-                        socket.to(roomId).emit('player:quit', { 
-                            playerId: socket.id,
-                            playerName: playerName
-                        });
-                    } else if (room.gameInProgress) {
-                        // Not enough players left, end the game
-                        room.gameInProgress = false;
-                        room.gameStarted = false;
-                        
-                        // Clean up entity spawning
-                        if (room.spawnInterval) {
-                            clearInterval(room.spawnInterval);
-                            room.spawnInterval = null;
-                        }
-                        
-                        const gameEndTime = Date.now(); // Synchronized timestamp
-                        socket.to(roomId).emit('game:end', { 
-                            playerId: socket.id, 
-                            reason: 'quit',
-                            playerName: playerName,
-                            timestamp: gameEndTime
-                        });
-                    }
+            if (now - room.lastTimerUpdate >= ROUND_TIMER_RATE) {
+                io.to(roomId).emit('game:timer', {
+                    elapsed: roundElapsed,
+                    remaining: settings.gameDuration * 1000 - roundElapsed
+                });
+                room.lastTimerUpdate = now;
+            }
+            
+            // Spawn asteroids
+            if (now - room.lastAsteroidSpawn > settings.asteroidSpawnRate) {
+                if (room.asteroids.length < settings.maxAsteroids) {
+                    spawnAsteroid(roomId, settings.gameBounds);
                 }
-                
-                // Clean up socket data
-                socket.roomId = null;
-                socket.playerName = null;
+                room.lastAsteroidSpawn = now;
+            }
+            
+            // Spawn powerups
+            if (now - room.lastPowerupSpawn > settings.powerupSpawnRate) {
+                if (Math.random() < 0.5) { // 50% chance
+                    spawnPowerup(roomId, settings.gameBounds);
+                }
+                room.lastPowerupSpawn = now;
+            }
+            
+            // Move entities and remove the ones that left the arena or expired
+            simulateRoomEntities(roomId, deltaTime, now, settings.gameBounds);
+            
+            // Broadcast authoritative snapshot
+            if (now - room.lastSnapshot >= SNAPSHOT_RATE) {
+                io.to(roomId).emit('entity:snapshot', createEntitySnapshot(room, now));
+                room.lastSnapshot = now;
             }
+        } finally {
+            recordSimulationTick(room, performance.now() - tickStart);
         }
-    });
+    }, SIMULATION_TICK_RATE);
+}
+
+/**
+ * Get how long the current round has been running, excluding countdown and pauses
+ * @param {Object} room - Room object
+ * @param {number} now - Current server time
+ * @returns {number} Elapsed round time in ms
+ */
+function getRoundElapsed(room, now) {
+    const pausedTime = room.pausedTotal + (room.pausedAt ? now - room.pausedAt : 0);
+    return Math.max(0, now - room.gameStartTime - ROUND_START_DELAY - pausedTime);
+}
+
+/**
+ * End the current round and tell everyone in the room
+ * @param {string} roomId - Room ID
+ * @param {string} reason - Why the round ended ('time_limit', 'last_player_standing', 'quit')
+ * @param {Object} [details] - Extra data for the game:end event
+ */
+function endRound(roomId, reason, details = {}) {
+    const room = rooms.get(roomId);
+    if (!room || !room.gameInProgress) return;
     
-    // Handle request for active rooms
-    socket.on('room:list', () => {
-        const activeRooms = getActiveRooms();
-        socket.emit('room:list', activeRooms);
-        console.log(`Player ${socket.id} requested room list. Found ${activeRooms.length} active rooms.`);
+    gameMetrics.finished.set(reason, (gameMetrics.finished.get(reason) || 0) + 1);
+    gameMetrics.matchCount++;
+    gameMetrics.totalMatchTime += getRoundElapsed(room, Date.now());
+    
+    room.gameInProgress = false;
+    room.gameStarted = false;
+    room.pausedAt = null;
+    
+    // Clean up entity simulation
+    stopRoomSimulation(room);
+    
+    console.log(`Round ended in room ${roomId} (${reason})`);
+    
+    const now = Date.now(); // Synchronized timestamp
+    const results = computeRoundResults(room, now);
+    io.to(roomId).emit('game:end', {
+        ...details,
+        reason,
+        timestamp: now,
+        gameStartTime: room.gameStartTime,
+        results
     });
-});
+    
+    // Kept with the room, so the file room store saves it
+    room.lastRoundResults = { reason, endedAt: now, results };
+    
+    promoteQueuedSpectators(room);
+    notifyLobby(roomId);
+}
 
 /**
- * Generate a unique room ID
- * @returns {string} Room ID
+ * Take a player out of the current round
+ * @param {Object} room - Room object
+ * @param {Object} player - Player who lost their last life or quit
+ * @param {number} now - Current server time
  */
-function generateRoomId() {
-    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-    let result = '';
+function eliminatePlayer(room, player, now) {
+    if (!player.isAlive) return;
     
-    // Generate a 6-character code
-    for (let i = 0; i < 6; i++) {
-        result += chars.charAt(Math.floor(Math.random() * chars.length));
+    player.isAlive = false;
+    player.survivalTime = getRoundElapsed(room, now) / 1000;
+}
+
+/**
+ * Get the server-tracked stats of a player
+ * @param {Object} player - Player object
+ * @returns {Object} Player stats
+ */
+function getPlayerStats(player) {
+    return {
+        id: player.id,
+        score: player.score,
+        lives: player.lives,
+        isAlive: player.isAlive
+    };
+}
+
+/**
+ * Send a player's server-tracked stats to everyone in the room
+ * @param {string} roomId - Room ID
+ * @param {Object} player - Player object
+ */
+function emitPlayerStats(roomId, player) {
+    io.to(roomId).emit('player:stats', getPlayerStats(player));
+}
+
+/**
+ * Compare two round results for ranking
+ * Quitters rank last, then higher score, longer survival and more lives win
+ * @param {Object} a - First result
+ * @param {Object} b - Second result
+ * @returns {number} Negative if a ranks higher, 0 for a tie
+ */
+function compareRoundResults(a, b) {
+    if (a.hasQuit !== b.hasQuit) {
+        return a.hasQuit ? 1 : -1;
     }
-    
-    // Check if already exists
-    if (rooms.has(result)) {
-        return generateRoomId(); // Try again
+    if (b.score !== a.score) {
+        return b.score - a.score;
     }
-    
-    return result;
+    if (Math.abs(b.survivalTime - a.survivalTime) >= SURVIVAL_TIE_TOLERANCE) {
+        return b.survivalTime - a.survivalTime;
+    }
+    return b.lives - a.lives;
 }
 
 /**
- * Create a new game room
- * @param {string} roomId - Room ID
- * @returns {Object} Room object
+ * Rank the players at the end of a round
+ * @param {Object} room - Room object
+ * @param {number} now - Round end time
+ * @returns {Object} { ranking, winnerId, isDraw } where tied players share a rank
  */
-function createRoom(roomId) {
-    const room = {
-        id: roomId,
-        host: null,
-        hostName: null,
-        players: [],
-        gameInProgress: false,
-        gameStarted: false,
-        createdAt: Date.now()
-    };
+function computeRoundResults(room, now) {
+    const roundTime = getRoundElapsed(room, now) / 1000;
     
-    rooms.set(roomId, room);
-    console.log(`Room ${roomId} created`);
+    const ranking = room.players.map(player => ({
+        id: player.id,
+        name: player.name,
+        color: player.color,
+        score: player.score || 0,
+        lives: player.lives || 0,
+        isAlive: player.isAlive !== false,
+        hasQuit: !!player.hasQuit,
+        // Players still alive survived the whole round
+        survivalTime: player.isAlive !== false ? roundTime : (player.survivalTime || 0)
+    }));
     
-    return room;
+    ranking.sort(compareRoundResults);
+    
+    // Tied players share the same rank
+    ranking.forEach((result, index) => {
+        const tiedWithPrevious = index > 0 && compareRoundResults(ranking[index - 1], result) === 0;
+        result.rank = tiedWithPrevious ? ranking[index - 1].rank : index + 1;
+    });
+    
+    const winners = ranking.filter(result => result.rank === 1 && !result.hasQuit);
+    const isDraw = winners.length > 1;
+    
+    ranking.forEach(result => {
+        result.isWinner = winners.includes(result);
+    });
+    
+    return {
+        ranking,
+        winnerId: winners.length === 1 ? winners[0].id : null,
+        isDraw
+    };
 }
 
 /**
- * Find which room a player is in
- * @param {string} playerId - Player socket ID
- * @returns {string|null} Room ID or null
+ * Stop the entity simulation for a room
+ * @param {Object} room - Room object
  */
-function findPlayerRoom(playerId) {
-    for (const [roomId, room] of rooms.entries()) {
-        if (room.players.some(p => p.id === playerId)) {
-            return roomId;
-        }
+function stopRoomSimulation(room) {
+    if (room.spawnInterval) {
+        clearInterval(room.spawnInterval);
+        room.spawnInterval = null;
     }
-    return null;
 }
 
 /**
- * Start entity spawning for a room
+ * Advance all entities of a room by one simulation step
  * @param {string} roomId - Room ID
+ * @param {number} deltaTime - Time since last step in ms
+ * @param {number} now - Current timestamp
+ * @param {Object} bounds - Game bounds
  */
-function startEntitySpawning(roomId) {
+function simulateRoomEntities(roomId, deltaTime, now, bounds) {
     const room = rooms.get(roomId);
     if (!room) return;
     
-    // Game settings (matching client-side)
-    const settings = {
-        maxAsteroids: 15,
-        asteroidSpawnRate: 2000, // ms
-        powerupSpawnRate: 1000, // ms
-        gameBounds: { width: 1000, height: 700 } // Default bounds
-    };
+    // Move asteroids (velocities are expressed per 16ms frame, as on the client)
+    const despawnedAsteroids = [];
+    room.asteroids = room.asteroids.filter(asteroid => {
+        asteroid.x += asteroid.velocityX * deltaTime / 16;
+        asteroid.y += asteroid.velocityY * deltaTime / 16;
+        
+        // Despawn if out of bounds
+        if (asteroid.x < -DESPAWN_MARGIN || asteroid.x > bounds.width + DESPAWN_MARGIN ||
+            asteroid.y < -DESPAWN_MARGIN || asteroid.y > bounds.height + DESPAWN_MARGIN) {
+            despawnedAsteroids.push(asteroid.id);
+            return false;
+        }
+        return true;
+    });
     
-    // Create spawning interval
-    room.spawnInterval = setInterval(() => {
-        if (!room.gameInProgress || !rooms.has(roomId)) {
-            clearInterval(room.spawnInterval);
-            return;
+    // Expire old powerups
+    const expiredPowerups = [];
+    room.powerups = room.powerups.filter(powerup => {
+        if (now - powerup.spawnTime >= POWERUP_LIFETIME) {
+            expiredPowerups.push(powerup.id);
+            return false;
         }
+        return true;
+    });
+    
+    // Notify players about removed entities
+    despawnedAsteroids.forEach(id => {
+        io.to(roomId).emit('entity:expire', { type: 'asteroid', id });
+    });
+    expiredPowerups.forEach(id => {
+        io.to(roomId).emit('entity:expire', { type: 'powerup', id });
+    });
+}
+
+/**
+ * Create an authoritative snapshot of all entities in a room
+ * @param {Object} room - Room object
+ * @param {number} now - Current timestamp
+ * @returns {Object} Snapshot with timestamp, asteroids and powerups
+ */
+function createEntitySnapshot(room, now) {
+    // Round positions to keep the payload small
+    const round = (value) => Math.round(value * 10) / 10;
+    
+    return {
+        timestamp: now,
+        asteroids: room.asteroids.map(asteroid => ({
+            id: asteroid.id,
+            x: round(asteroid.x),
+            y: round(asteroid.y),
+            velocityX: asteroid.velocityX,
+            velocityY: asteroid.velocityY,
+            size: asteroid.size,
+            rotationSpeed: asteroid.rotationSpeed
+        })),
+        powerups: room.powerups.map(powerup => ({
+            id: powerup.id,
+            x: round(powerup.x),
+            y: round(powerup.y),
+            type: powerup.type
+        }))
+    };
+}
+
+/**
+ * Create a server-simulated ship at a spawn point the server picks
+ * Only the client's game bounds are used, not the position it reports
+ * @param {Object} initialState - Client spawn state with its game bounds
+ * @param {number} playerIndex - Index of the player in the room, spreads the spawns out
+ * @param {number} now - Current timestamp
+ * @returns {Object} Ship state
+ */
+function createServerShip(initialState, playerIndex, now) {
+    const toNumber = (value, fallback) => Number.isFinite(value) ? value : fallback;
+    const clientBounds = initialState.bounds || {};
+    
+    // Clients have different arena sizes, keep them within reason
+    const bounds = {
+        width: Math.max(400, Math.min(2000, toNumber(clientBounds.width, GAME_BOUNDS.width))),
+        height: Math.max(300, Math.min(1500, toNumber(clientBounds.height, GAME_BOUNDS.height)))
+    };
+    
+    // Around the center like the client places ships, facing outward
+    const centerX = bounds.width / 2;
+    const centerY = bounds.height / 2;
+    const positionAngle = playerIndex * Math.PI / 2 + Math.random() * Math.PI / 4;
+    const distanceFromCenter = Math.min(bounds.width, bounds.height) * 0.8 * 0.3;
+    
+    const ship = {
+        x: centerX + Math.cos(positionAngle) * distanceFromCenter,
+        y: centerY + Math.sin(positionAngle) * distanceFromCenter,
+        angle: positionAngle * 180 / Math.PI,
+        velocityX: 0,
+        velocityY: 0,
+        maxSpeed: ShipPhysics.defaults.maxSpeed,
+        bounds,
+        lastProcessedInput: 0,
+        simulatedTime: 0,
+        startedAt: now,
+        speedBoostUntil: 0
+    };
+    
+    return ShipPhysics.clampToBounds(ship, bounds);
+}
+
+/**
+ * Simulate a batch of client input frames on a server ship
+ * @param {Object} ship - Ship state
+ * @param {Array} frames - Input frames { seq, keys, deltaTime }
+ * @param {number} now - Current timestamp
+ */
+function processInputFrames(ship, frames, now) {
+    if (!Array.isArray(frames)) return;
+    
+    // Speed boost from a validated powerup pickup
+    ship.maxSpeed = now < ship.speedBoostUntil
+        ? ShipPhysics.defaults.maxSpeed * 1.5
+        : ShipPhysics.defaults.maxSpeed;
+    
+    // Clients can't simulate more time than has actually passed
+    const allowedTime = now - ship.startedAt + INPUT_TIME_TOLERANCE;
+    
+    for (const frame of frames.slice(0, MAX_INPUT_FRAMES)) {
+        if (!frame || !Number.isInteger(frame.seq) || frame.seq <= ship.lastProcessedInput) continue;
         
-        const now = Date.now();
+        // Acknowledge every frame, even the ones that are dropped
+        ship.lastProcessedInput = frame.seq;
         
-        // Spawn asteroids
-        if (now - room.lastAsteroidSpawn > settings.asteroidSpawnRate) {
-            if (room.asteroids.length < settings.maxAsteroids) {
-                spawnAsteroid(roomId, settings.gameBounds);
-            }
-            room.lastAsteroidSpawn = now;
-        }
+        const deltaTime = Math.max(0, Math.min(MAX_INPUT_FRAME_TIME, Number(frame.deltaTime) || 0));
+        if (ship.simulatedTime + deltaTime > allowedTime) continue;
+        ship.simulatedTime += deltaTime;
         
-        // Spawn powerups
-        if (now - room.lastPowerupSpawn > settings.powerupSpawnRate) {
-            if (Math.random() < 0.5) { // 50% chance
-                spawnPowerup(roomId, settings.gameBounds);
-            }
-            room.lastPowerupSpawn = now;
+        const keys = frame.keys || {};
+        ShipPhysics.step(ship, {
+            up: keys.up === true,
+            down: keys.down === true,
+            left: keys.left === true,
+            right: keys.right === true
+        }, deltaTime, ship.bounds);
+    }
+}
+
+/**
+ * Check a reported collision against the server's view of the room
+ * @param {Object} room - Room object
+ * @param {Object} player - Reporting player
+ * @param {string} entityType - Type of entity ('asteroid' or 'powerup')
+ * @param {number} entityId - ID of the entity
+ * @param {number} now - Current timestamp
+ * @returns {Object} Result with valid flag and rejection reason
+ */
+function validateCollision(room, player, entityType, entityId, now) {
+    if (!player) {
+        return { valid: false, reason: 'unknown_player' };
+    }
+    
+    // Only a running round with the player still in it can score or cost lives
+    if (!player.isAlive) {
+        return { valid: false, reason: 'player_eliminated' };
+    }
+    
+    if (room.pausedAt) {
+        return { valid: false, reason: 'game_paused' };
+    }
+    
+    if (now < room.gameStartTime + ROUND_START_DELAY) {
+        return { valid: false, reason: 'round_not_started' };
+    }
+    
+    let entity;
+    let entityRadius;
+    let entitySpeed = 0;
+    
+    if (entityType === 'asteroid') {
+        entity = room.asteroids.find(a => a.id === entityId);
+        if (entity) {
+            entityRadius = entity.size / 2;
+            entitySpeed = Math.sqrt(entity.velocityX * entity.velocityX + entity.velocityY * entity.velocityY);
         }
-    }, 500); // Check every 500ms
+    } else if (entityType === 'powerup') {
+        entity = room.powerups.find(p => p.id === entityId);
+        entityRadius = POWERUP_RADIUS;
+    } else {
+        return { valid: false, reason: 'invalid_entity_type' };
+    }
+    
+    // Entity was already collected, destroyed or never existed
+    if (!entity) {
+        return { valid: false, reason: 'unknown_entity' };
+    }
+    
+    if (!player.lastPosition) {
+        return { valid: false, reason: 'unknown_position' };
+    }
+    
+    // Without recent updates any position could be claimed
+    const positionAge = now - player.lastPosition.timestamp;
+    if (positionAge > MAX_POSITION_AGE) {
+        return { valid: false, reason: 'stale_position' };
+    }
+    
+    // Both the ship and the entity may have moved since the positions we know about,
+    // a fixed allowance so a client can't widen it by going quiet
+    const shipTravel = MAX_SHIP_SPEED * COLLISION_LATENCY_TOLERANCE / 16;
+    const entityTravel = entitySpeed * COLLISION_LATENCY_TOLERANCE / 16;
+    const maxDistance = SHIP_RADIUS + entityRadius + shipTravel + entityTravel + COLLISION_DISTANCE_TOLERANCE;
+    
+    const dx = entity.x - player.lastPosition.x;
+    const dy = entity.y - player.lastPosition.y;
+    if (Math.sqrt(dx * dx + dy * dy) > maxDistance) {
+        return { valid: false, reason: 'too_far' };
+    }
+    
+    return { valid: true };
 }
 
 /**
@@ -843,22 +4646,11 @@ function spawnPowerup(roomId, bounds) {
     room.powerups.push(powerup);
     
     // Broadcast to all players in room
+    // (expiry is handled by the simulation loop after POWERUP_LIFETIME)
     io.to(roomId).emit('entity:spawn', {
         type: 'powerup',
         data: powerup
     });
-    
-    // Auto-expire after 10 seconds
-    setTimeout(() => {
-        const room = rooms.get(roomId);
-        if (room) {
-            room.powerups = room.powerups.filter(p => p.id !== powerup.id);
-            io.to(roomId).emit('entity:expire', {
-                type: 'powerup',
-                id: powerup.id
-            });
-        }
-    }, 10000);
 }
 
 // Clean up old rooms periodically (every 5 minutes)
@@ -876,8 +4668,10 @@ setInterval(() => {
         
         // Remove rooms where all players have disconnected (ghost rooms)
         if (room.players.length > 0) {
+            // Players waiting to reconnect are removed by their own grace period timer
             const connectedPlayers = room.players.filter(player => {
-                const socket = io.sockets.sockets.get(player.id);
+                if (player.disconnected) return true;
+                const socket = getSocket(player.id);
                 return socket && socket.connected;
             });
             
@@ -889,6 +4683,7 @@ setInterval(() => {
                 const disconnectedCount = room.players.length - connectedPlayers.length;
                 room.players = connectedPlayers;
                 console.log(`Removed ${disconnectedCount} disconnected players from room ${roomId}`);
+                notifyLobby(roomId);
                 
                 // If host was disconnected, assign new host
                 if (connectedPlayers.length > 0 && !connectedPlayers.some(p => p.id === room.host)) {
@@ -912,7 +4707,11 @@ setInterval(() => {
         }
         
         if (shouldRemove) {
-            rooms.delete(roomId);
+            releaseSpectators(room, {
+                reason: 'inactive',
+                message: 'Room closed due to inactivity'
+            });
+            deleteRoom(roomId);
             roomsRemoved++;
         }
     }
@@ -920,8 +4719,240 @@ setInterval(() => {
     if (roomsRemoved > 0) {
         console.log(`Cleaned up ${roomsRemoved} inactive/ghost rooms`);
     }
+    
+    // Forget closed rooms once their invite links are too old to matter
+    for (const [roomId, closedAt] of closedRooms.entries()) {
+        if (now - closedAt > CLOSED_ROOM_MEMORY) {
+            closedRooms.delete(roomId);
+        }
+    }
 }, 5 * 60 * 1000);
 
+// Keep matching queued players as rooms open up, and keep their status fresh
+setInterval(() => {
+    if (matchmakingQueue.length > 0) {
+        processMatchmakingQueue();
+    }
+}, MATCHMAKING_TICK_RATE);
+
+/**
+ * Create the room store chosen by the ROOM_STORE environment variable
+ * @returns {MemoryRoomStore} Room store
+ */
+function createRoomStore() {
+    if (ROOM_STORE === 'file') {
+        console.log(`Saving rooms to ${ROOM_STORE_FILE}`);
+        return new FileRoomStore(ROOM_STORE_FILE, serializeRoom, ROOM_STORE_SAVE_INTERVAL);
+    }
+    
+    return new MemoryRoomStore();
+}
+
+/**
+ * Create the room directory, shared through the room broker when ROOM_BROKER is set
+ * @returns {LocalRoomDirectory} Room directory
+ */
+function createRoomDirectory() {
+    if (!ROOM_BROKER) {
+        return new LocalRoomDirectory(INSTANCE_ID);
+    }
+    
+    const broker = new BrokerClient(ROOM_BROKER, BROKER_RECONNECT_DELAY);
+    io.adapter(class extends BrokerAdapter {
+        constructor(nsp) {
+            super(nsp, broker);
+        }
+    });
+    
+    console.log(`Instance ${INSTANCE_ID} sharing rooms through the broker at ${ROOM_BROKER}`);
+    return new SharedRoomDirectory(INSTANCE_ID, broker);
+}
+
+/**
+ * Turn a room into plain data the room store can save
+ * Timers, running rounds and spectators are left out, a restored room starts as a lobby
+ * @param {Object} room - Room object
+ * @returns {Object} Saved room data
+ */
+function serializeRoom(room) {
+    // Players need their sessions to reclaim their seats after a restart
+    const roomSessions = [];
+    for (const [sessionHash, session] of sessions.entries()) {
+        if (session.roomId === room.id) {
+            roomSessions.push({ sessionHash, ...session });
+        }
+    }
+    
+    return {
+        id: room.id,
+        host: room.host,
+        hostName: room.hostName,
+        createdAt: room.createdAt,
+        settings: room.settings,
+        isPrivate: room.isPrivate,
+        passwordHash: room.passwordHash ? room.passwordHash.toString('hex') : null,
+        passwordSalt: room.passwordSalt,
+        matchmaking: room.matchmaking,
+        players: room.players.map(player => ({
+            id: player.id,
+            name: player.name,
+            color: player.color,
+            isHost: player.isHost,
+            isMuted: !!player.isMuted
+        })),
+        bannedClients: Array.from(room.bannedClients),
+        chatHistory: getOrderedChatHistory(room),
+        lastRoundResults: room.lastRoundResults || null,
+        sessions: roomSessions
+    };
+}
+
+/**
+ * Bring back the rooms saved before the last restart
+ * Every player is marked disconnected and has a while to rejoin with their session,
+ * the usual grace period timers and cleanup remove whoever doesn't come back
+ */
+function restoreRooms() {
+    const now = Date.now();
+    let restoredCount = 0;
+    
+    for (const data of rooms.load()) {
+        if (!data || !data.id || !Array.isArray(data.players) || data.players.length === 0 || rooms.has(data.id)) {
+            continue;
+        }
+        
+        const room = createRoom(data.id);
+        room.host = data.host;
+        room.hostName = data.hostName;
+        room.createdAt = data.createdAt || now;
+        room.settings = { ...DEFAULT_ROOM_SETTINGS, ...data.settings };
+        room.isPrivate = !!data.isPrivate;
+        room.passwordHash = data.passwordHash ? Buffer.from(data.passwordHash, 'hex') : null;
+        room.passwordSalt = data.passwordSalt || null;
+        room.matchmaking = !!data.matchmaking;
+        room.bannedClients = new Set(data.bannedClients || []);
+        room.lastRoundResults = data.lastRoundResults || null;
+        // Saves from older versions may hold colors that were never checked
+        (data.chatHistory || []).forEach(message => addToChatHistory(room, message.playerColor
+            ? { ...message, playerColor: sanitizePlayerColor(message.playerColor) }
+            : message));
+        
+        room.players = data.players.map(player => ({
+            ...player,
+            color: sanitizePlayerColor(player.color),
+            isReady: false,
+            disconnected: true,
+            disconnectedAt: now
+        }));
+        
+        // Older snapshots kept the raw token
+        (data.sessions || []).forEach(({ sessionHash, sessionToken, roomId, playerId, clientId }) => {
+            sessions.set(sessionHash || hashSessionToken(sessionToken), { roomId, playerId, clientId });
+        });
+        
+        room.players.forEach(player => {
+            const playerId = player.id;
+            reconnectTimers.set(playerId, setTimeout(() => {
+                reconnectTimers.delete(playerId);
+                removeDisconnectedPlayer(room.id, playerId);
+            }, RESTORED_SEAT_GRACE_PERIOD));
+        });
+        
+        // List the room in the lobby and in the directory other instances read
+        notifyLobby(room.id);
+        restoredCount++;
+    }
+    
+    if (restoredCount > 0) {
+        console.log(`Restored ${restoredCount} rooms, waiting ${RESTORED_SEAT_GRACE_PERIOD / 1000}s for players to rejoin`);
+    }
+}
+
+/**
+ * Start draining the server: no new rooms, joins or rounds
+ * Running rounds may finish until the deadline, then rooms are saved and the process exits
+ * @param {string} signal - Signal that asked for the shutdown
+ */
+function beginShutdown(signal) {
+    if (shutdownState) {
+        console.log(`Received ${signal} again, shutting down now`);
+        finishShutdown();
+        return;
+    }
+    
+    const deadline = Date.now() + SHUTDOWN_GRACE_PERIOD;
+    shutdownState = { deadline, checkTimer: null, finished: false };
+    console.log(`Received ${signal}, draining rooms for up to ${SHUTDOWN_GRACE_PERIOD / 1000}s`);
+    
+    // Nobody should wait for a match that will never start
+    matchmakingQueue.length = 0;
+    for (const room of rooms.values()) {
+        cancelAutoStart(room);
+    }
+    
+    sendServerNotice({
+        type: 'shutdown',
+        message: 'The server is restarting. Matches in progress can finish, but no new rooms or matches can start.',
+        deadline
+    });
+    
+    shutdownState.checkTimer = setInterval(checkShutdown, SHUTDOWN_CHECK_RATE);
+    checkShutdown();
+}
+
+/**
+ * Finish the shutdown once no round is running, or end the remaining rounds at the deadline
+ */
+function checkShutdown() {
+    const runningRooms = Array.from(rooms.values()).filter(room => room.gameInProgress);
+    if (runningRooms.length > 0 && Date.now() < shutdownState.deadline) return;
+    
+    if (runningRooms.length > 0) {
+        console.log(`Shutdown deadline reached, ending ${runningRooms.length} running rounds`);
+        runningRooms.forEach(room => endRound(room.id, 'server_shutdown'));
+    }
+    
+    finishShutdown();
+}
+
+/**
+ * Save the rooms, close every connection and exit
+ */
+function finishShutdown() {
+    if (shutdownState.finished) return;
+    shutdownState.finished = true;
+    clearInterval(shutdownState.checkTimer);
+    
+    // The file room store writes its final snapshot, including each room's last results
+    rooms.close().catch(error => {
+        console.error(`Could not save rooms on shutdown: ${error.message}`);
+    }).then(() => {
+        // Give the last messages (like game:end) a moment to reach the players
+        setTimeout(() => {
+            console.log('Closing connections and exiting');
+            io.close(() => process.exit(0));
+            setTimeout(() => process.exit(0), SHUTDOWN_EXIT_TIMEOUT).unref();
+        }, SHUTDOWN_FLUSH_DELAY);
+    });
+}
+
+/**
+ * Send a notice to every player and spectator on this instance, including
+ * players connected to other instances who play in rooms hosted here
+ * @param {Object} notice - { type, message, ... }
+ */
+function sendServerNotice(notice) {
+    io.local.emit('server:notice', notice);
+    for (const socket of remoteSockets.values()) {
+        socket.emit('server:notice', notice);
+    }
+}
+
+process.on('SIGTERM', () => beginShutdown('SIGTERM'));
+process.on('SIGINT', () => beginShutdown('SIGINT'));
+
+restoreRooms();
+
 // Set port (default: 3000)
 const PORT = process.env.PORT || 3000;
 
@@ -0,0 +1,143 @@
+/**
+ * Room broker for running several game server instances on one host
+ *
+ * A small stand-in for Redis. Server instances connect over TCP and exchange
+ * newline-delimited JSON messages:
+ * - { op: 'subscribe', channel } and { op: 'publish', channel, message }
+ *   Pub/sub, used by the socket.io adapter to reach sockets on other instances
+ * - { op: 'set', key, value }, { op: 'del', key } and { op: 'watch' }
+ *   The shared room directory. Entries belong to the connection that set them
+ *   and are dropped when it goes away (a del with ownerGone set). Watchers get a
+ *   snapshot, then every change
+ */
+const net = require('net');
+
+/**
+ * Start a broker
+ * @param {number} port - Port to listen on
+ * @param {string} [host] - Interface to listen on, only local instances by default
+ * @returns {net.Server} Broker server
+ */
+function startBroker(port, host = '127.0.0.1') {
+    const connections = new Set();
+    const entries = new Map(); // key -> { value, owner }
+    
+    /**
+     * Send a message to a connection
+     * @param {Object} connection - Broker connection
+     * @param {Object} message - Message to send
+     */
+    function send(connection, message) {
+        connection.socket.write(JSON.stringify(message) + '\n');
+    }
+    
+    /**
+     * Tell every watcher (except the one making the change) about a directory change
+     * @param {Object} from - Connection that made the change
+     * @param {Object} message - Change to send
+     */
+    function notifyWatchers(from, message) {
+        for (const connection of connections) {
+            if (connection !== from && connection.watching) {
+                send(connection, message);
+            }
+        }
+    }
+    
+    /**
+     * Handle a message from a connection
+     * @param {Object} connection - Broker connection
+     * @param {Object} message - Received message
+     */
+    function handleMessage(connection, message) {
+        switch (message.op) {
+            case 'subscribe':
+                connection.channels.add(message.channel);
+                break;
+            
+            case 'publish':
+                for (const other of connections) {
+                    if (other !== connection && other.channels.has(message.channel)) {
+                        send(other, { op: 'message', channel: message.channel, message: message.message });
+                    }
+                }
+                break;
+            
+            case 'set':
+                entries.set(message.key, { value: message.value, owner: connection });
+                notifyWatchers(connection, { op: 'set', key: message.key, value: message.value });
+                break;
+            
+            case 'del':
+                entries.delete(message.key);
+                notifyWatchers(connection, { op: 'del', key: message.key });
+                break;
+            
+            case 'watch':
+                connection.watching = true;
+                send(connection, {
+                    op: 'snapshot',
+                    entries: Array.from(entries, ([key, entry]) => [key, entry.value])
+                });
+                break;
+            
+            default:
+                console.log(`Room broker ignored unknown message "${message.op}"`);
+        }
+    }
+    
+    const server = net.createServer((socket) => {
+        const connection = { socket, channels: new Set(), watching: false, buffer: '' };
+        connections.add(connection);
+        socket.setEncoding('utf8');
+        console.log(`Room broker: instance connected (${connections.size} connected)`);
+        
+        socket.on('data', (chunk) => {
+            connection.buffer += chunk;
+            
+            let newline;
+            while ((newline = connection.buffer.indexOf('\n')) !== -1) {
+                const line = connection.buffer.slice(0, newline);
+                connection.buffer = connection.buffer.slice(newline + 1);
+                if (!line) continue;
+                
+                try {
+                    handleMessage(connection, JSON.parse(line));
+                } catch (error) {
+                    console.error('Room broker received a bad message:', error.message);
+                }
+            }
+        });
+        
+        socket.on('error', (error) => {
+            console.error('Room broker connection error:', error.message);
+        });
+        
+        // The rooms of an instance that went away are gone with it
+        socket.on('close', () => {
+            connections.delete(connection);
+            
+            for (const [key, entry] of entries.entries()) {
+                if (entry.owner === connection) {
+                    entries.delete(key);
+                    notifyWatchers(connection, { op: 'del', key, ownerGone: true });
+                }
+            }
+            
+            console.log(`Room broker: instance disconnected (${connections.size} connected)`);
+        });
+    });
+    
+    server.listen(port, host, () => {
+        console.log(`Room broker listening on ${host}:${port}`);
+    });
+    
+    return server;
+}
+
+module.exports = { startBroker };
+
+// Run on its own with `npm run broker`
+if (require.main === module) {
+    startBroker(Number(process.env.BROKER_PORT) || 3100);
+}
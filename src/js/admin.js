@@ -0,0 +1,356 @@
+/**
+ * Admin dashboard, a view on top of the /admin/api routes of the server
+ */
+class AdminDashboard {
+    constructor() {
+        this.token = sessionStorage.getItem('adminToken');
+        this.refreshRate = 3000; // ms between room list refreshes
+        this.refreshTimer = null;
+        this.selectedRoomId = null;
+        
+        this.elements = {
+            login: document.getElementById('admin-login'),
+            tokenInput: document.getElementById('admin-token'),
+            loginError: document.getElementById('admin-login-error'),
+            logoutButton: document.getElementById('admin-logout-btn'),
+            main: document.getElementById('admin-main'),
+            instance: document.getElementById('admin-instance'),
+            status: document.getElementById('admin-status'),
+            announcement: document.getElementById('admin-announcement'),
+            announcementText: document.getElementById('admin-announcement-text'),
+            roomCount: document.getElementById('admin-room-count'),
+            rooms: document.getElementById('admin-rooms'),
+            details: document.getElementById('admin-room-details'),
+            detailsId: document.getElementById('admin-room-id'),
+            detailsPlayers: document.getElementById('admin-room-players'),
+            detailsSpectators: document.getElementById('admin-room-spectators'),
+            detailsChat: document.getElementById('admin-room-chat')
+        };
+    }
+    
+    /**
+     * Wire up the page and sign in with a remembered token
+     */
+    init() {
+        this.elements.login.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.signIn(this.elements.tokenInput.value.trim());
+        });
+        
+        this.elements.logoutButton.addEventListener('click', () => this.signOut());
+        
+        this.elements.announcement.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.sendAnnouncement();
+        });
+        
+        if (this.token) {
+            this.signIn(this.token);
+        }
+    }
+    
+    /**
+     * Check a token against the server and show the dashboard if it works
+     * @param {string} token - Admin token
+     */
+    async signIn(token) {
+        this.token = token;
+        
+        try {
+            await this.refresh();
+        } catch (error) {
+            this.token = null;
+            sessionStorage.removeItem('adminToken');
+            this.elements.loginError.textContent = error.message;
+            return;
+        }
+        
+        sessionStorage.setItem('adminToken', token);
+        this.elements.loginError.textContent = '';
+        this.elements.login.classList.add('hidden');
+        this.elements.main.classList.remove('hidden');
+        this.elements.logoutButton.classList.remove('hidden');
+        
+        this.refreshTimer = setInterval(() => {
+            this.refresh().catch(error => this.showStatus(error.message, true));
+        }, this.refreshRate);
+    }
+    
+    /**
+     * Forget the token and go back to the token prompt
+     */
+    signOut() {
+        clearInterval(this.refreshTimer);
+        this.token = null;
+        this.selectedRoomId = null;
+        sessionStorage.removeItem('adminToken');
+        
+        this.elements.main.classList.add('hidden');
+        this.elements.logoutButton.classList.add('hidden');
+        this.elements.details.classList.add('hidden');
+        this.elements.login.classList.remove('hidden');
+        this.elements.tokenInput.value = '';
+    }
+    
+    /**
+     * Call an admin API route
+     * @param {string} method - HTTP method
+     * @param {string} route - Route below /admin/api
+     * @param {Object} [body] - JSON body
+     * @returns {Promise<Object>} Response data
+     */
+    async request(method, route, body) {
+        const response = await fetch(`/admin/api${route}`, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${this.token}`,
+                'Content-Type': 'application/json'
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Request failed (${response.status})`);
+        }
+        return data;
+    }
+    
+    /**
+     * Reload the room list and the selected room
+     */
+    async refresh() {
+        const data = await this.request('GET', '/rooms');
+        this.elements.instance.textContent = `Instance ${data.instanceId}`;
+        this.renderRooms(data.rooms);
+        
+        if (this.selectedRoomId) {
+            if (data.rooms.some(room => room.id === this.selectedRoomId)) {
+                this.renderRoomDetails(await this.request('GET', `/rooms/${this.selectedRoomId}`));
+            } else {
+                this.selectedRoomId = null;
+                this.elements.details.classList.add('hidden');
+            }
+        }
+    }
+    
+    /**
+     * Show the room list
+     * @param {Array} rooms - Rooms from the admin API
+     */
+    renderRooms(rooms) {
+        this.elements.roomCount.textContent = `(${rooms.length})`;
+        this.elements.rooms.innerHTML = '';
+        
+        if (rooms.length === 0) {
+            const row = this.createRow(['No rooms right now']);
+            row.firstChild.colSpan = 8;
+            this.elements.rooms.appendChild(row);
+            return;
+        }
+        
+        for (const room of rooms) {
+            const flags = [room.isPrivate && 'private', room.hasPassword && 'password', room.matchmaking && 'Quick Play'];
+            const row = this.createRow([
+                [room.id, ...flags.filter(Boolean)].join(' · '),
+                room.host || '-',
+                room.roundElapsed !== null ? `${room.state} ${this.formatDuration(room.roundElapsed / 1000)}` : room.state,
+                `${room.players.length}/${room.settings.maxPlayers} ${room.players.map(player => player.name).join(', ')}`,
+                room.spectatorCount,
+                `${room.settings.gameDuration}s, ${room.settings.startingLives} lives, ${room.settings.maxAsteroids} asteroids`,
+                this.formatDuration(room.age)
+            ]);
+            
+            if (room.id === this.selectedRoomId) {
+                row.classList.add('selected');
+            }
+            
+            const actions = document.createElement('td');
+            actions.appendChild(this.createButton('Inspect', () => this.inspectRoom(room.id)));
+            actions.appendChild(this.createButton('Close', () => this.closeRoom(room.id), 'danger'));
+            row.appendChild(actions);
+            
+            this.elements.rooms.appendChild(row);
+        }
+    }
+    
+    /**
+     * Show one room's players, spectators and chat
+     * @param {Object} room - Room details from the admin API
+     */
+    renderRoomDetails(room) {
+        this.elements.details.classList.remove('hidden');
+        this.elements.detailsId.textContent = `${room.id} (${room.state})`;
+        
+        this.elements.detailsPlayers.innerHTML = '';
+        for (const player of room.players) {
+            const flags = [
+                player.isHost && 'host',
+                player.isReady && 'ready',
+                player.isMuted && 'muted',
+                player.disconnected && 'disconnected',
+                player.score !== null && `${player.score} points, ${player.lives} lives`
+            ];
+            const item = this.createListItem([player.name, ...flags.filter(Boolean)].join(' · '));
+            item.appendChild(this.createButton('Kick', () => this.kickPlayer(room.id, player), 'danger'));
+            this.elements.detailsPlayers.appendChild(item);
+        }
+        
+        this.elements.detailsSpectators.innerHTML = '';
+        for (const spectator of room.spectators) {
+            const item = this.createListItem(spectator.wantsToPlay ? `${spectator.name} · waiting for a seat` : spectator.name);
+            item.appendChild(this.createButton('Kick', () => this.kickPlayer(room.id, spectator), 'danger'));
+            this.elements.detailsSpectators.appendChild(item);
+        }
+        
+        this.elements.detailsChat.innerHTML = '';
+        for (const message of room.chatHistory.slice(-50)) {
+            const time = new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            const sender = message.playerName ? `${message.playerName}: ` : '';
+            const item = this.createListItem(`${time} ${sender}${message.message}`);
+            item.className = message.type;
+            this.elements.detailsChat.appendChild(item);
+        }
+    }
+    
+    /**
+     * Select a room and load its details
+     * @param {string} roomId - Room ID
+     */
+    async inspectRoom(roomId) {
+        this.selectedRoomId = roomId;
+        
+        try {
+            await this.refresh();
+        } catch (error) {
+            this.showStatus(error.message, true);
+        }
+    }
+    
+    /**
+     * Close a room after asking for confirmation
+     * @param {string} roomId - Room ID
+     */
+    async closeRoom(roomId) {
+        if (!confirm(`Close room ${roomId}? Everyone in it is sent back to the join screen.`)) return;
+        
+        await this.runAction(() => this.request('POST', `/rooms/${roomId}/close`), `Closed room ${roomId}`);
+    }
+    
+    /**
+     * Kick a player or spectator after asking for confirmation
+     * @param {string} roomId - Room ID
+     * @param {Object} player - Player or spectator
+     */
+    async kickPlayer(roomId, player) {
+        if (!confirm(`Kick ${player.name} from room ${roomId}?`)) return;
+        
+        await this.runAction(
+            () => this.request('POST', `/rooms/${roomId}/players/${encodeURIComponent(player.id)}/kick`),
+            `Kicked ${player.name}`
+        );
+    }
+    
+    /**
+     * Post the announcement to every room
+     */
+    async sendAnnouncement() {
+        const message = this.elements.announcementText.value.trim();
+        if (!message) return;
+        
+        await this.runAction(async () => {
+            const data = await this.request('POST', '/announcements', { message });
+            this.elements.announcementText.value = '';
+            return data;
+        }, 'Announcement sent');
+    }
+    
+    /**
+     * Run an admin action, report how it went and refresh the lists
+     * @param {Function} action - Returns a promise for the API call
+     * @param {string} successMessage - Shown when the action worked
+     */
+    async runAction(action, successMessage) {
+        try {
+            await action();
+            this.showStatus(successMessage);
+            await this.refresh();
+        } catch (error) {
+            this.showStatus(error.message, true);
+        }
+    }
+    
+    /**
+     * Show the result of the last action
+     * @param {string} message - Message to show
+     * @param {boolean} [isError] - Whether the action failed
+     */
+    showStatus(message, isError = false) {
+        this.elements.status.textContent = message;
+        this.elements.status.classList.toggle('admin-error', isError);
+    }
+    
+    /**
+     * Create a table row, values are shown as text
+     * @param {Array} values - Cell values
+     * @returns {HTMLElement} Table row
+     */
+    createRow(values) {
+        const row = document.createElement('tr');
+        for (const value of values) {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        }
+        return row;
+    }
+    
+    /**
+     * Create a list item, the text is never parsed as HTML (player names come from players)
+     * @param {string} text - Item text
+     * @returns {HTMLElement} List item
+     */
+    createListItem(text) {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = text;
+        item.appendChild(label);
+        return item;
+    }
+    
+    /**
+     * Create an action button
+     * @param {string} label - Button text
+     * @param {Function} onClick - Click handler
+     * @param {string} [className] - Extra class
+     * @returns {HTMLElement} Button
+     */
+    createButton(label, onClick, className = '') {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.className = className;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    /**
+     * Format seconds as "1h 2m", "3m 4s" or "5s"
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} Formatted duration
+     */
+    formatDuration(seconds) {
+        const total = Math.floor(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        if (minutes > 0) return `${minutes}m ${total % 60}s`;
+        return `${total}s`;
+    }
+}
+
+// Initialize the dashboard when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    const dashboard = new AdminDashboard();
+    dashboard.init();
+});
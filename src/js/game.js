@@ -29,10 +29,14 @@ class Game {
         this.settings = {
             gameDuration: 120, // 2 minutes
             maxPlayers: 4,
+            startingLives: 3,
             maxAsteroids: 15,
             asteroidSpawnRate: 2000, // ms
             powerupSpawnRate: 1000, // ms
-            roundStartCountdown: 3 // seconds
+            roundStartCountdown: 3, // seconds
+            snapshotSnapDistance: 60, // px error before snapping to server position
+            snapshotCorrectionFactor: 0.3, // Portion of smaller errors corrected per snapshot
+            interpolationDelay: 100 // ms in the past remote players are rendered
         };
         
         // Game area dimensions
@@ -178,6 +182,21 @@ class Game {
         }
     }
     
+    /**
+     * Apply the match settings chosen by the room host
+     * @param {Object} settings - Room settings from the server
+     */
+    applySettings(settings) {
+        const matchSettings = ['gameDuration', 'startingLives', 'maxAsteroids',
+            'asteroidSpawnRate', 'powerupSpawnRate', 'maxPlayers'];
+        
+        matchSettings.forEach(key => {
+            if (Number.isFinite(settings[key])) {
+                this.settings[key] = settings[key];
+            }
+        });
+    }
+    
     /**
      * Add a player to the game
      * @param {Object} playerData - Player data object
@@ -185,6 +204,8 @@ class Game {
      */
     addPlayer(playerData) {
         const player = new Player(playerData);
+        player.interpolationDelay = this.settings.interpolationDelay;
+        player.lives = this.settings.startingLives;
         
         // Set as local player if isLocal flag is true
         if (playerData.isLocal) {
@@ -281,6 +302,24 @@ class Game {
         }
     }
     
+    /**
+     * Move a player to a new ID after they reconnected with a new socket
+     * @param {string} oldId - Previous player ID
+     * @param {string} newId - New player ID
+     */
+    renamePlayer(oldId, newId) {
+        const player = this.players.get(oldId);
+        if (!player || oldId === newId) return;
+        
+        this.players.delete(oldId);
+        player.id = newId;
+        this.players.set(newId, player);
+        
+        if (this.localPlayerId === oldId) {
+            this.localPlayerId = newId;
+        }
+    }
+    
     /**
      * Start the game with connected players
      * @param {number} synchronizedStartTime - Synchronized game start timestamp (optional)
@@ -298,16 +337,16 @@ class Game {
         // Play countdown sound
         AudioSystem.play('countdown');
         
-        // Start countdown with UI display
-        let countdown = this.settings.roundStartCountdown;
+        // Start countdown with UI display, aligned to the synchronized start
+        // time so every client counts down together
+        const countdownStart = synchronizedStartTime || Date.now();
+        let shownCountdown = null;
         
-        // Show initial countdown number
-        if (this.ui) {
-            this.ui.showCountdown(countdown);
-        }
-        
-        const countdownInterval = setInterval(() => {
-            countdown--;
+        const updateCountdown = () => {
+            const elapsed = Math.max(0, Date.now() - countdownStart);
+            const countdown = this.settings.roundStartCountdown - Math.floor(elapsed / 1000);
+            if (countdown === shownCountdown) return;
+            shownCountdown = countdown;
             
             if (countdown > 0) {
                 // Show next countdown number
@@ -330,7 +369,72 @@ class Game {
                 this.startGameLoop(synchronizedStartTime);
                 AudioSystem.play('start');
             }
-        }, 1000);
+        };
+        
+        const countdownInterval = setInterval(updateCountdown, 50);
+        
+        // Show initial countdown number
+        updateCountdown();
+    }
+    
+    /**
+     * Apply score and lives tracked by the server
+     * @param {Object} stats - Player stats (id, score, lives, isAlive)
+     */
+    applyPlayerStats(stats) {
+        const player = this.players.get(stats.id);
+        if (!player) return;
+        
+        player.score = stats.score;
+        player.lives = stats.lives;
+        
+        if (!stats.isAlive && player.isAlive) {
+            player.die();
+        } else if (stats.isAlive && !player.isAlive && this.isRunning) {
+            player.revive(this.gameArea);
+        }
+    }
+    
+    /**
+     * Show the final ranking sent by the server
+     * @param {Object} results - Ranking, winner ID and draw flag from game:end
+     */
+    reportServerResults(results) {
+        const scores = results.ranking.map(result => {
+            // Keep local players in sync with the final numbers
+            const player = this.players.get(result.id);
+            if (player) {
+                player.score = result.score;
+                player.survivalTime = result.survivalTime;
+            }
+            
+            return {
+                id: result.id,
+                name: result.name,
+                score: result.score,
+                rank: result.rank,
+                isWinner: result.isWinner,
+                color: result.color,
+                survivalTime: result.survivalTime,
+                formattedSurvivalTime: player ? player.getFormattedSurvivalTime() : Utils.formatTime(Math.floor(result.survivalTime)),
+                isAlive: result.isAlive,
+                isDraw: results.isDraw
+            };
+        });
+        
+        if (this.callbacks.onGameOver) {
+            this.callbacks.onGameOver(results.winnerId, scores);
+        }
+    }
+    
+    /**
+     * Align the game timer with the round clock kept by the server
+     * @param {number} elapsedSeconds - Round time elapsed on the server
+     */
+    syncRoundTime(elapsedSeconds) {
+        if (!this.isRunning) return;
+        
+        this.gameTime = elapsedSeconds;
     }
     
     /**
@@ -407,6 +511,7 @@ class Game {
                         lives: p.lives,
                         color: p.color,
                         isAlive: p.isAlive,
+                        isReconnecting: p.isReconnecting,
                         survivalTime: p.survivalTime,
                         formattedSurvivalTime: p.getFormattedSurvivalTime()
                     }));
@@ -548,9 +653,10 @@ class Game {
             asteroid.element.style.top = `${asteroid.y}px`;
             asteroid.element.style.transform = `translate(-50%, -50%) rotate(${asteroid.rotation}deg)`;
             
-            // Remove if out of bounds
-            if (asteroid.x < -100 || asteroid.x > this.bounds.width + 100 ||
-                asteroid.y < -100 || asteroid.y > this.bounds.height + 100) {
+            // Remove if out of bounds (the server despawns network asteroids)
+            if (asteroid.networkId === undefined &&
+                (asteroid.x < -100 || asteroid.x > this.bounds.width + 100 ||
+                asteroid.y < -100 || asteroid.y > this.bounds.height + 100)) {
                 asteroid.element.remove();
                 this.asteroids.splice(i, 1);
             }
@@ -686,6 +792,10 @@ class Game {
         for (const player of this.players.values()) {
             if (!player.isAlive || player.invulnerable) continue;
             
+            // In network games each client only checks its own ship,
+            // the server sends everyone's score and lives
+            if (this.isNetworkGame && !player.isLocal) continue;
+            
             for (let i = this.asteroids.length - 1; i >= 0; i--) {
                 const asteroid = this.asteroids[i];
                 
@@ -738,6 +848,7 @@ class Game {
         // Check player-powerup collisions
         for (const player of this.players.values()) {
             if (!player.isAlive) continue;
+            if (this.isNetworkGame && !player.isLocal) continue;
             
             for (let i = this.powerups.length - 1; i >= 0; i--) {
                 const powerup = this.powerups[i];
@@ -831,8 +942,9 @@ class Game {
         // Play game over sound
         AudioSystem.play('gameover');
         
-        // Update survival time for all players using synchronized timestamp if available
-        const endTime = gameEndData && gameEndData.timestamp ? gameEndData.timestamp : performance.now();
+        // Update survival time for all players using synchronized timestamp if available,
+        // otherwise each player falls back to the clock its start time was taken from
+        const endTime = gameEndData && gameEndData.timestamp ? gameEndData.timestamp : null;
         
         for (const player of this.players.values()) {
             if (player.isAlive) {
@@ -840,6 +952,12 @@ class Game {
             }
         }
         
+        // Network games use the ranking computed by the server
+        if (gameEndData && gameEndData.results) {
+            this.reportServerResults(gameEndData.results);
+            return;
+        }
+        
         // Determine winner based on score and survival time, accounting for draws
         const playersList = Array.from(this.players.values());
         playersList.sort((a, b) => {
@@ -907,6 +1025,10 @@ class Game {
             }
         });
         this.powerups = [];
+        
+        // Clear network entity tracking
+        this.networkAsteroids.clear();
+        this.networkPowerups.clear();
     }
     
     /**
@@ -1080,6 +1202,78 @@ class Game {
         this.handleNetworkCollision(entityType, entityId, null);
     }
     
+    /**
+     * Reconcile local network entities against an authoritative server snapshot
+     * @param {Object} snapshot - Snapshot with asteroids and powerups
+     */
+    reconcileNetworkEntities(snapshot) {
+        if (!this.isRunning || !snapshot) return;
+        
+        // Account for the time the snapshot spent in flight (timestamp is local time)
+        const age = snapshot.timestamp ? Math.max(0, Math.min(500, Date.now() - snapshot.timestamp)) : 0;
+        
+        // Asteroids: spawn missing ones, correct drifted ones
+        const asteroidIds = new Set();
+        (snapshot.asteroids || []).forEach(data => {
+            asteroidIds.add(data.id);
+            
+            const asteroid = this.networkAsteroids.get(data.id);
+            if (!asteroid) {
+                this.spawnNetworkAsteroid(data);
+                return;
+            }
+            
+            this.correctEntityPosition(asteroid,
+                data.x + data.velocityX * age / 16,
+                data.y + data.velocityY * age / 16);
+            asteroid.velocityX = data.velocityX;
+            asteroid.velocityY = data.velocityY;
+        });
+        
+        // Powerups don't move, so only their presence needs syncing
+        const powerupIds = new Set();
+        (snapshot.powerups || []).forEach(data => {
+            powerupIds.add(data.id);
+            
+            if (!this.networkPowerups.has(data.id)) {
+                this.spawnNetworkPowerup(data);
+            }
+        });
+        
+        // Remove entities the server no longer knows about
+        for (const id of Array.from(this.networkAsteroids.keys())) {
+            if (!asteroidIds.has(id)) {
+                this.removeNetworkEntity('asteroid', id);
+            }
+        }
+        for (const id of Array.from(this.networkPowerups.keys())) {
+            if (!powerupIds.has(id)) {
+                this.removeNetworkEntity('powerup', id);
+            }
+        }
+    }
+    
+    /**
+     * Move a local entity towards its authoritative position
+     * @param {Object} entity - Local entity object
+     * @param {number} x - Server X position
+     * @param {number} y - Server Y position
+     */
+    correctEntityPosition(entity, x, y) {
+        const dx = x - entity.x;
+        const dy = y - entity.y;
+        
+        if (Math.sqrt(dx * dx + dy * dy) > this.settings.snapshotSnapDistance) {
+            // Too far off, snap straight to the server position
+            entity.x = x;
+            entity.y = y;
+        } else {
+            // Blend small errors out over a few snapshots to avoid visible jumps
+            entity.x += dx * this.settings.snapshotCorrectionFactor;
+            entity.y += dy * this.settings.snapshotCorrectionFactor;
+        }
+    }
+    
     /**
      * Register event callbacks
      * @param {Object} callbacks - Callback functions
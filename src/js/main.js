@@ -11,6 +11,10 @@ class AsteroidDodgers {    constructor() {
             // Use local server by default when running locally
             serverUrl: window.location.hostname === 'localhost' ? 
                 window.location.origin : 'https://web-game-asteroid-dodgers.onrender.com/', // WebSocket server URL
+            // 'state' sends the full player state, 'input' sends input frames
+            // for the server to simulate (with client-side prediction).
+            // Only used when the server doesn't say which mode the room runs
+            netcodeMode: 'input'
         };
         
         // Flag for local game debugging without server
@@ -54,13 +58,27 @@ class AsteroidDodgers {    constructor() {
         // Register UI callbacks
         this.ui.registerCallbacks({
             onJoinGame: this.handleJoinGame.bind(this),
+            onSpectateGame: this.handleSpectateGame.bind(this),
+            onQuickPlay: this.handleQuickPlay.bind(this),
+            onCancelMatchmaking: this.handleCancelMatchmaking.bind(this),
+            onPasswordSubmit: this.handlePasswordSubmit.bind(this),
+            onTakeSeat: this.handleTakeSeat.bind(this),
+            onConfigureRoom: this.handleConfigureRoom.bind(this),
+            onToggleReady: this.handleToggleReady.bind(this),
+            onKickPlayer: this.handleKickPlayer.bind(this),
+            onBanPlayer: this.handleBanPlayer.bind(this),
+            onMutePlayer: this.handleMutePlayer.bind(this),
+            onTransferHost: this.handleTransferHost.bind(this),
             onStartGame: this.handleStartGame.bind(this),
             onResumeGame: this.handleResumeGame.bind(this),
             onRestartGame: this.handleRestartGame.bind(this),
             onQuitGame: this.handleQuitGame.bind(this),
             onPlayAgain: this.handlePlayAgain.bind(this),
+            onRestartResponse: this.handleRestartResponse.bind(this),
             onLeaveRoom: this.handleLeaveRoom.bind(this),
-            onSendChatMessage: this.handleSendChatMessage.bind(this)
+            onSendChatMessage: this.handleSendChatMessage.bind(this),
+            onLoadChatHistory: this.handleLoadChatHistory.bind(this),
+            onTyping: this.handleTyping.bind(this)
         });
         
         // Register game callbacks
@@ -81,20 +99,47 @@ class AsteroidDodgers {    constructor() {
             onDisconnect: this.handleNetworkDisconnect.bind(this),
             onError: this.handleNetworkError.bind(this),
             onJoinRoom: this.handleRoomJoined.bind(this),
+            onPasswordRequired: this.handlePasswordRequired.bind(this),
+            onRejoinRoom: this.handleRejoinRoom.bind(this),
+            onRejoinFailed: this.handleRejoinFailed.bind(this),
             onPlayerJoined: this.handlePlayerJoined.bind(this),
             onPlayerLeft: this.handlePlayerLeft.bind(this),
+            onPlayerDisconnected: this.handlePlayerDisconnected.bind(this),
+            onPlayerReconnected: this.handlePlayerReconnected.bind(this),
+            onRoomSettings: this.handleRoomSettings.bind(this),
+            onPlayerReady: this.handlePlayerReady.bind(this),
+            onAutoStart: this.handleAutoStart.bind(this),
+            onAutoStartCancelled: this.handleAutoStartCancelled.bind(this),
+            onSpectatorsChanged: this.handleSpectatorsChanged.bind(this),
+            onSpectatorPromoted: this.handleSpectatorPromoted.bind(this),
+            onSeatQueued: this.handleSeatQueued.bind(this),
+            onKicked: this.handleKicked.bind(this),
+            onPlayerMuted: this.handlePlayerMuted.bind(this),
             onHostChanged: this.handleHostChanged.bind(this),
             onGameStart: this.handleGameStartEvent.bind(this),
             onGameEnd: this.handleGameEndEvent.bind(this),
             onGameRestart: this.handleGameRestart.bind(this),
+            onRestartRequest: this.handleRestartRequest.bind(this),
+            onRestartVotes: this.handleRestartVotes.bind(this),
+            onRestartDeclined: this.handleRestartDeclined.bind(this),
+            onRoundTimer: this.handleRoundTimer.bind(this),
             onPlayerUpdate: this.handlePlayerUpdate.bind(this),
+            onPlayerStateCorrection: this.handlePlayerStateCorrection.bind(this),
+            onPlayerStats: this.handlePlayerStats.bind(this),
             onPause: this.handleGamePause.bind(this),
             onResume: this.handleGameResume.bind(this),
             onRoomClosed: this.handleRoomClosed.bind(this),
             onEntitySpawn: this.handleEntitySpawn.bind(this),
             onEntityCollision: this.handleEntityCollision.bind(this),
             onEntityExpire: this.handleEntityExpire.bind(this),
-            onChatMessage: this.handleChatMessage.bind(this)
+            onEntitySnapshot: this.handleEntitySnapshot.bind(this),
+            onChatMessage: this.handleChatMessage.bind(this),
+            onLobbyUpdate: this.handleLobbyUpdate.bind(this),
+            onChatHistory: this.handleChatHistory.bind(this),
+            onChatTyping: this.handleChatTyping.bind(this),
+            onMatchmakingStatus: this.handleMatchmakingStatus.bind(this),
+            onServerNotice: this.handleServerNotice.bind(this),
+            onRateLimited: this.handleRateLimited.bind(this)
         });
         
         // Connect to multiplayer server
@@ -126,12 +171,51 @@ class AsteroidDodgers {    constructor() {
         
         // Show join screen
         this.ui.showJoinScreen();
+        
+        // Get back into the room we were in before the page was reloaded
+        if (!this.debugLocalGame && this.network.sessionToken) {
+            this.network.rejoinRoom();
+        } else {
+            this.joinFromInviteLink();
+        }
+    }
+    
+    /**
+     * Read the room ID from an invite link (?room=ABC123)
+     * @returns {string|null} Room ID or null
+     */
+    getInviteRoomId() {
+        const roomId = new URLSearchParams(window.location.search).get('room');
+        return roomId && /^[A-Z0-9]{4,12}$/i.test(roomId.trim()) ? roomId.trim().toUpperCase() : null;
+    }
+    
+    /**
+     * Join the room from an invite link, asking for a name first if we don't have one
+     */
+    joinFromInviteLink() {
+        const roomId = this.getInviteRoomId();
+        if (!roomId) return;
+        
+        // The link has done its job, don't join again on reload or after leaving
+        const url = new URL(window.location.href);
+        url.searchParams.delete('room');
+        window.history.replaceState(null, '', url.toString());
+        
+        this.ui.prefillRoomId(roomId);
+        
+        const playerName = this.ui.elements.playerNameInput.value.trim();
+        if (playerName && !this.debugLocalGame) {
+            this.handleJoinGame(playerName, roomId);
+        } else {
+            this.ui.showConnectionStatus(`Enter your name to join room ${roomId}`, 'info');
+        }
     }
       /**
      * Handle user joining or creating a game
      * @param {string} playerName - Player's display name
      * @param {string|null} roomId - Room ID to join or null to create
-     */    handleJoinGame(playerName, roomId) {
+     * @param {Object} [options] - Room password, and whether a new room is private
+     */    handleJoinGame(playerName, roomId, options = {}) {
         // First, validate that the player name is unique
         if (!this.isPlayerNameUnique(playerName)) {
             this.ui.showConnectionStatus(`The name "${playerName}" is already taken. Please choose a different name.`, 'error');
@@ -143,6 +227,10 @@ class AsteroidDodgers {    constructor() {
         // Reset host status in UI before joining a new room
         this.ui.resetHostStatus();
         
+        // Picking a room by hand replaces a Quick Play search
+        this.network.leaveMatchmaking();
+        this.ui.hideMatchmakingStatus();
+        
         if (this.debugLocalGame) {
             // Local testing mode - create a local game
             this.createLocalGame(playerName);
@@ -161,12 +249,135 @@ class AsteroidDodgers {    constructor() {
         // Log the connection attempt for debugging
         console.log(`Attempting to ${cleanRoomId ? 'join room ' + cleanRoomId : 'create new room'} with player: ${playerName}`);
         
+        // Remember the request in case the room asks for a password
+        this.pendingJoin = { playerName, roomId: cleanRoomId, spectate: false };
+        
         // Join room with validated ID
-        if (!this.network.joinRoom(playerName, cleanRoomId)) {
+        if (!this.network.joinRoom(playerName, cleanRoomId, false, options)) {
             // If joinRoom returned false, there was a validation issue
             // The error will be handled in the onError callback
             return;
         }
+    }
+    
+    /**
+     * Handle user joining a room as a spectator
+     * @param {string} playerName - Display name shown to the players
+     * @param {string} roomId - Room ID to watch
+     * @param {Object} [options] - Room password
+     */
+    handleSpectateGame(playerName, roomId, options = {}) {
+        if (this.debugLocalGame) {
+            this.ui.showConnectionStatus('Spectating needs a connection to the game server', 'error');
+            return;
+        }
+        
+        this.ui.resetHostStatus();
+        this.ui.showConnectionStatus('Joining as spectator...', 'info');
+        
+        // Save player name to session storage
+        sessionStorage.setItem('playerName', playerName);
+        
+        this.pendingJoin = { playerName, roomId, spectate: true };
+        this.network.joinRoom(playerName, roomId, true, options);
+    }
+    
+    /**
+     * Handle the user asking for a Quick Play match
+     * @param {string} playerName - Player's display name
+     * @param {number} preferredSize - Preferred room size, 0 for any
+     */
+    handleQuickPlay(playerName, preferredSize) {
+        if (this.debugLocalGame) {
+            this.ui.showConnectionStatus('Quick Play needs a connection to the game server', 'error');
+            return;
+        }
+        
+        this.ui.resetHostStatus();
+        
+        // Save player name to session storage
+        sessionStorage.setItem('playerName', playerName);
+        
+        if (this.network.joinMatchmaking(playerName, preferredSize)) {
+            this.ui.showMatchmakingStatus(null);
+            this.ui.showConnectionStatus('Searching for a game...', 'info');
+        }
+    }
+    
+    /**
+     * Handle the user cancelling the Quick Play search
+     */
+    handleCancelMatchmaking() {
+        this.network.leaveMatchmaking();
+        this.ui.hideMatchmakingStatus();
+        this.ui.showConnectionStatus('Quick Play cancelled', 'info');
+    }
+    
+    /**
+     * Handle an update of our place in the matchmaking queue
+     * @param {Object} status - Queue position, queue size and estimated wait
+     */
+    handleMatchmakingStatus(status) {
+        this.ui.showMatchmakingStatus(status);
+    }
+    
+    /**
+     * Handle the server dropping our messages for coming too fast
+     * @param {Object} warning - { event, retryAfter, disconnected, message }
+     */
+    handleRateLimited(warning) {
+        this.ui.showGameNotification(warning.message, 3000);
+    }
+    
+    /**
+     * Handle a server-wide notice
+     * @param {Object} notice - { type, message }
+     */
+    handleServerNotice(notice) {
+        if (notice.type === 'shutdown') {
+            this.ui.hideMatchmakingStatus();
+        }
+        
+        this.ui.showGameNotification(notice.message, 10000);
+    }
+    
+    /**
+     * Handle a protected room asking for its password
+     * @param {string} roomId - Room ID
+     * @param {boolean} incorrect - Whether the password we sent was wrong
+     */
+    handlePasswordRequired(roomId, incorrect) {
+        this.ui.showPasswordPrompt(roomId, incorrect);
+        
+        if (incorrect) {
+            AudioSystem.play('error');
+        }
+    }
+    
+    /**
+     * Handle the user entering a room password
+     * @param {string} password - Room password
+     */
+    handlePasswordSubmit(password) {
+        if (!this.pendingJoin) return;
+        
+        const { playerName, roomId, spectate } = this.pendingJoin;
+        this.network.joinRoom(playerName, roomId, spectate, { password });
+    }
+    
+    /**
+     * Handle the host changing the match settings
+     * @param {Object} settings - Settings to change
+     */
+    handleConfigureRoom(settings) {
+        this.network.configureRoom(settings);
+    }
+    
+    /**
+     * Handle a spectator asking to play
+     */
+    handleTakeSeat() {
+        this.network.requestSeat();
     }/**
      * Create a local game for testing without server
      * @param {string} playerName - Player's display name
@@ -219,10 +430,11 @@ class AsteroidDodgers {    constructor() {
         this.ui.showWaitingRoom(roomId, true);
         
         // Update players list
+        // Bots are always ready, and so is the local player
         const players = [
-            { id: playerId, name: playerName, color: player.color },
-            { id: 'ai-1', name: 'Bot-1', color: aiPlayers[0].color },
-            { id: 'ai-2', name: 'Bot-2', color: aiPlayers[1].color }
+            { id: playerId, name: playerName, color: player.color, isReady: true },
+            { id: 'ai-1', name: 'Bot-1', color: aiPlayers[0].color, isReady: true },
+            { id: 'ai-2', name: 'Bot-2', color: aiPlayers[1].color, isReady: true }
         ];
         
         this.ui.updatePlayersList(players, playerId);
@@ -233,17 +445,28 @@ class AsteroidDodgers {    constructor() {
     
     /**
      * Handle user starting the game
+     * @param {boolean} [force] - Host override to start before everyone is ready
      */
-    handleStartGame() {
+    handleStartGame(force = false) {
         if (this.debugLocalGame) {
             // Start local game
             this.ui.showGameScreen();
             this.game.startGame();
         } else {
             // Start network game
-            this.network.startGame();
+            this.network.startGame(force);
         }
     }
+    
+    /**
+     * Handle user toggling their ready state
+     * @param {boolean} isReady - New ready state
+     */
+    handleToggleReady(isReady) {
+        if (this.debugLocalGame) return;
+        
+        this.network.setReady(isReady);
+    }
       /**
      * Handle user resuming a paused game
      */
@@ -266,6 +489,7 @@ class AsteroidDodgers {    constructor() {
         
         // Stop any active game
         this.game.reset();
+        this.ui.setSpectatorMode(false);
         
         // Clean up AI if running
         if (this.aiUpdateInterval) {
@@ -309,25 +533,35 @@ class AsteroidDodgers {    constructor() {
             console.log('Local game restarted with player: ' + playerName);
         } else {
             // Network mode: Go back to waiting room
-            if (this.network.isHost) {
+            if (this.network.isSpectator) {
+                // Spectators ask for a seat in the next round instead
+                this.ui.showGameOver(this.game.lastWinner, this.game.lastScores, false, false);
+                this.network.requestSeat();
+            } else if (this.network.isHost) {
                 // Only host can send the restart action
                 console.log('Host requesting game restart with auto-start');
                 // Show loading status while waiting for server response
                 this.ui.showLoading('Restarting game...');
                 this.network.sendGameAction('restart', { autoStart: true });
             } else {
-                // Don't show the join screen for non-host players, keep them in the game
-                // Instead, show a notification that only the host can restart
-                console.log('Non-host player requesting restart - informing that only host can restart');
+                // Non-host players stay on the game over screen and ask the host (or vote)
+                const restartVote = this.isRestartVoteRoom();
+                console.log(`Non-host player ${restartVote ? 'voting for' : 'requesting'} a restart`);
                 
                 // Show game over screen again if it was hidden
-                this.ui.showGameOver(this.game.lastWinner, this.game.lastScores, this.network.isHost, false);
+                this.ui.showGameOver(this.game.lastWinner, this.game.lastScores, false, false, restartVote);
                 
-                // Show notification message
-                this.ui.showGameNotification('Only the host can restart the game', 5000);
+                this.network.requestRestart();
                 
-                // Play notification sound
-                AudioSystem.play('error');
+                if (restartVote) {
+                    this.ui.setRestartRequested('Voted');
+                    this.ui.showGameNotification('You voted to play again', 3000);
+                } else {
+                    this.ui.setRestartRequested('Request Sent');
+                    this.ui.showGameNotification('Restart request sent to the host', 3000);
+                }
+                
+                AudioSystem.play('notification');
             }
         }
     }
@@ -374,7 +608,7 @@ class AsteroidDodgers {    constructor() {
         
         // Pass host status and local game flag to UI
         const isHost = !this.debugLocalGame && this.network.isHost;
-        this.ui.showGameOver(winner, scores, isHost, this.debugLocalGame);
+        this.ui.showGameOver(winner, scores, isHost, this.debugLocalGame, !this.debugLocalGame && this.isRestartVoteRoom());
         
         // Hide chat panel when game ends
         this.ui.hideChatPanel();
@@ -385,6 +619,60 @@ class AsteroidDodgers {    constructor() {
         }
     }
     
+    /**
+     * Check whether the room restarts by majority vote instead of asking the host
+     * @returns {boolean} True in vote mode
+     */
+    isRestartVoteRoom() {
+        return !!(this.network.roomSettings && this.network.roomSettings.restartVote);
+    }
+    
+    /**
+     * Handle a player asking us (the host) for another round
+     * @param {string} playerId - ID of the player who asked
+     * @param {string} playerName - Name of the player who asked
+     */
+    handleRestartRequest(playerId, playerName) {
+        this.ui.showRestartRequest(playerId, playerName);
+        AudioSystem.play('notification');
+    }
+    
+    /**
+     * Handle the host answering a restart request
+     * @param {string} playerId - ID of the player who asked
+     * @param {boolean} accept - Whether to restart
+     */
+    handleRestartResponse(playerId, accept) {
+        if (accept) {
+            this.ui.showLoading('Restarting game...');
+        }
+        
+        this.network.respondToRestartRequest(playerId, accept);
+    }
+    
+    /**
+     * Handle a new restart vote in the room
+     * @param {Object} data - Voter name, votes so far and votes needed
+     */
+    handleRestartVotes(data) {
+        this.ui.updateRestartVotes(data.votes, data.needed);
+        
+        // Recounts after someone leaves don't come with a new vote
+        if (data.playerId && data.playerId !== this.network.playerId) {
+            this.ui.showGameNotification(`${data.playerName} voted to play again`, 3000);
+        }
+    }
+    
+    /**
+     * Handle the host declining our restart request
+     * @param {string} hostName - Name of the host
+     */
+    handleRestartDeclined(hostName) {
+        this.ui.resetRestartRequest();
+        this.ui.showGameNotification(`${hostName} declined the restart`, 3000);
+        AudioSystem.play('error');
+    }
+    
     /**
      * Handle score updates
      * @param {Array} scores - Updated player scores
@@ -424,7 +712,22 @@ class AsteroidDodgers {    constructor() {
      * @param {string} reason - Reason for disconnect
      */
     handleNetworkDisconnect(reason) {
+        // Connection dropped unexpectedly: socket.io reconnects on its own and
+        // the server keeps our seat, so keep the current game state
+        const intentional = reason === 'io client disconnect' ||
+            reason === 'io server disconnect' ||
+            reason === 'reconnect_failed';
+        
+        if (!intentional && this.network.roomId && this.network.sessionToken) {
+            this.ui.showConnectionStatus('Connection lost, reconnecting...', 'error');
+            if (this.game.isRunning) {
+                this.ui.showGameNotification('Connection lost, reconnecting...', 5000);
+            }
+            return;
+        }
+        
         this.ui.showConnectionStatus(`Disconnected: ${reason}`, 'error');
+        this.ui.hideMatchmakingStatus();
         
         // Reset to join screen
         this.handleQuitGame();
@@ -447,16 +750,21 @@ class AsteroidDodgers {    constructor() {
             // Show specific error guidance
             if (message.includes('Room not found')) {
                 this.ui.showConnectionStatus('Room ID not found. Please check the code and try again.', 'error');
+            } else if (message.includes('has expired')) {
+                // Clear the old room so pressing join creates a new one
+                this.ui.prefillRoomId('');
+                this.ui.showConnectionStatus(message, 'error');
+                AudioSystem.play('error');
             } else if (message.includes('already taken') || message.includes('already exists')) {
                 // Handle duplicate name errors
                 this.ui.showConnectionStatus(message, 'error');
                 // Play error sound
                 AudioSystem.play('error');
             } else if (message.includes('Room is full')) {
-                this.ui.showConnectionStatus('Room is full (maximum 4 players). Try creating a new room.', 'error');
+                this.ui.showConnectionStatus(`${message}. Try creating a new room.`, 'error');
             } else if (message.includes('Game is already in progress')) {
                 // Handle game in progress errors
-                this.ui.showGameInProgressError('Game is already in progress. Please join another room or create a new one.');
+                this.ui.showGameInProgressError('Game is already in progress. Use Watch Game to spectate, or join another room.');
             } else {
                 this.ui.showConnectionStatus(`Error: ${message}`, 'error');
             }
@@ -466,15 +774,47 @@ class AsteroidDodgers {    constructor() {
         }
     }
     
+    /**
+     * Handle a change in the live room list
+     * @param {Array} rooms - Room summaries
+     */
+    handleLobbyUpdate(rooms) {
+        this.ui.updateRoomList(rooms);
+    }
+    
     /**
      * Handle successful room join
      * @param {string} roomId - Room ID
      * @param {boolean} isHost - Whether the player is the host
      * @param {Array} players - List of players in the room
+     * @param {Object} [data] - Full join data (spectators also get the game state)
      */
-    handleRoomJoined(roomId, isHost, players) {
+    handleRoomJoined(roomId, isHost, players, data = {}) {
+        this.ui.hideMatchmakingStatus();
+        this.ui.setSpectatorMode(!!data.isSpectator);
+        
+        // Catch up on the conversation so far
+        this.ui.setChatHistory(data.chatHistory, this.network.playerId);
+        
+        // Spectators arriving mid-round go straight to the game
+        if (data.isSpectator && data.gameInProgress) {
+            this.handleGameStartEvent({
+                players,
+                startTime: data.startTime,
+                settings: data.settings
+            });
+            this.ui.showGameNotification('You are spectating this round', 3000);
+            AudioSystem.play('join');
+            return;
+        }
+        
         this.ui.showWaitingRoom(roomId, isHost);
-        this.ui.updatePlayersList(players, this.network.playerId);
+        this.ui.updatePlayersList(players, this.network.playerId, this.network.getAllSpectators());
+        this.ui.updateRoomPrivacy(!!data.isPrivate, !!data.hasPassword);
+        
+        if (data.settings) {
+            this.ui.updateRoomSettings(data.settings);
+        }
         
         // Explicitly update host controls based on current isHost value
         this.ui.updateHostControls(isHost);
@@ -483,6 +823,228 @@ class AsteroidDodgers {    constructor() {
         AudioSystem.play('join');
     }
     
+    /**
+     * Handle getting our seat back after reconnecting
+     * @param {Object} data - Rejoin data with room, players and game state
+     */
+    handleRejoinRoom(data) {
+        const localId = this.network.playerId;
+        
+        // Pick up the messages sent while we were away (or before a page reload)
+        this.ui.setChatHistory(data.chatHistory, localId);
+        
+        if (data.gameInProgress && this.game.isRunning) {
+            // Same page, just a new connection: keep playing under the new ID
+            this.game.renamePlayer(data.previousId, localId);
+            
+            const localPlayer = this.game.getLocalPlayer();
+            if (localPlayer) {
+                localPlayer.resetInputState();
+            }
+            
+            this.ui.showGameNotification('Reconnected', 3000);
+        } else if (data.gameInProgress) {
+            // The page was reloaded during a match: rebuild it
+            this.handleGameStartEvent({
+                players: data.players,
+                startTime: data.startTime,
+                settings: data.settings,
+                netcodeMode: data.netcodeMode
+            });
+            
+            // Restore our progress from what the server last saw
+            const localPlayer = this.game.getLocalPlayer();
+            const savedState = data.players.find(p => p.id === localId);
+            if (localPlayer && savedState) {
+                localPlayer.score = Number.isFinite(savedState.score) ? savedState.score : localPlayer.score;
+                localPlayer.lives = Number.isFinite(savedState.lives) ? savedState.lives : localPlayer.lives;
+                if (savedState.isAlive === false) {
+                    localPlayer.isAlive = false;
+                    if (localPlayer.element) localPlayer.element.remove();
+                }
+            }
+        } else {
+            // The round may be gone (the server restarted), so leave it behind
+            if (this.game.isRunning) {
+                this.game.reset();
+                this.ui.hideChatPanel();
+            }
+            
+            // Back in the waiting room
+            this.handleRoomJoined(data.roomId, data.isHost, data.players, data);
+        }
+        
+        // Players who are still away keep their reconnecting marker
+        data.players.filter(p => p.disconnected).forEach(p => {
+            const player = this.game.players.get(p.id);
+            if (player) {
+                player.isReconnecting = true;
+            }
+        });
+        
+        this.ui.updatePlayersList(this.network.getAllPlayers(), localId, this.network.getAllSpectators());
+        this.ui.updateHostControls(data.isHost);
+        this.ui.showConnectionStatus('Reconnected to your room', 'success');
+    }
+    
+    /**
+     * Handle the server refusing to give our seat back
+     * @param {string} message - Reason shown to the user
+     */
+    handleRejoinFailed(message) {
+        if (this.game.isRunning) {
+            this.game.reset();
+            this.ui.hideMenu();
+        }
+        
+        this.ui.showJoinScreen();
+        this.ui.showConnectionStatus(message || 'Could not rejoin your previous room', 'error');
+        
+        // An old session shouldn't cost us the room from the link we opened
+        if (this.getInviteRoomId()) {
+            this.joinFromInviteLink();
+        }
+    }
+    
+    /**
+     * Handle the host changing the match settings
+     * @param {Object} settings - New room settings
+     */
+    handleRoomSettings(settings) {
+        this.ui.updateRoomSettings(settings);
+        
+        if (!this.network.isHost) {
+            this.ui.showConnectionStatus('The host updated the match settings', 'info');
+        } else {
+            this.ui.showConnectionStatus('Match settings saved', 'success');
+        }
+    }
+    
+    /**
+     * Handle a player's ready state changing
+     * @param {Object} data - Player ID, ready state and whether everyone is ready
+     */
+    handlePlayerReady(data) {
+        this.ui.updatePlayersList(this.network.getAllPlayers(), this.network.playerId, this.network.getAllSpectators());
+        
+        if (data.allReady && this.network.isHost) {
+            this.ui.showConnectionStatus('Everyone is ready. You can start the game!', 'success');
+        }
+    }
+    
+    /**
+     * Handle the room starting the auto-start countdown
+     * @param {number} delay - Seconds until the game starts
+     * @param {string} [reason] - Why the room starts by itself
+     */
+    handleAutoStart(delay, reason) {
+        this.ui.showAutoStartCountdown(delay, reason);
+        AudioSystem.play('notification');
+    }
+    
+    /**
+     * Handle the auto-start countdown being cancelled
+     */
+    handleAutoStartCancelled() {
+        this.ui.hideAutoStartCountdown();
+    }
+    
+    /**
+     * Handle spectators joining or leaving the room
+     */
+    handleSpectatorsChanged() {
+        this.ui.updatePlayersList(this.network.getAllPlayers(), this.network.playerId, this.network.getAllSpectators());
+    }
+    
+    /**
+     * Handle a spectator taking a seat
+     * @param {Object} playerData - The new player's data
+     */
+    handleSpectatorPromoted(playerData) {
+        this.ui.updatePlayersList(this.network.getAllPlayers(), this.network.playerId, this.network.getAllSpectators());
+        
+        if (playerData.id === this.network.playerId) {
+            this.ui.setSpectatorMode(false);
+            this.ui.showConnectionStatus('You joined the game as a player', 'success');
+            this.ui.showGameNotification('You will play in the next round', 3000);
+        }
+        
+        AudioSystem.play('join');
+    }
+    
+    /**
+     * Handle the host kicking a player
+     * @param {string} playerId - ID of the player to kick
+     */
+    handleKickPlayer(playerId) {
+        this.network.kickPlayer(playerId);
+    }
+    
+    /**
+     * Handle the host banning a player
+     * @param {string} playerId - ID of the player to ban
+     */
+    handleBanPlayer(playerId) {
+        this.network.banPlayer(playerId);
+    }
+    
+    /**
+     * Handle the host muting or unmuting a player
+     * @param {string} playerId - ID of the player
+     * @param {boolean} muted - Whether the player should be muted
+     */
+    handleMutePlayer(playerId, muted) {
+        this.network.mutePlayer(playerId, muted);
+    }
+    
+    /**
+     * Handle the host handing host status to another player
+     * @param {string} playerId - ID of the new host
+     */
+    handleTransferHost(playerId) {
+        this.network.transferHost(playerId);
+    }
+    
+    /**
+     * Handle being kicked or banned from the room by the host
+     * @param {Object} data - Kick data (banned, message)
+     */
+    handleKicked(data) {
+        // We may have been removed mid-round
+        if (this.game.isRunning) {
+            this.game.reset();
+        }
+        
+        this.ui.setSpectatorMode(false);
+        this.ui.hideWaitingRoom();
+        this.ui.showJoinScreen();
+        this.ui.showConnectionStatus(data.message, 'error');
+        
+        AudioSystem.play('error');
+    }
+    
+    /**
+     * Handle the host muting or unmuting someone in chat
+     * @param {string} playerId - ID of the player
+     * @param {string} playerName - Name of the player
+     * @param {boolean} isMuted - Whether the player is muted now
+     */
+    handlePlayerMuted(playerId, playerName, isMuted) {
+        this.ui.updatePlayersList(this.network.getAllPlayers(), this.network.playerId, this.network.getAllSpectators());
+        
+        if (playerId === this.network.playerId) {
+            this.ui.showGameNotification(isMuted ? 'The host muted you in chat' : 'The host unmuted you', 3000);
+        }
+    }
+    
+    /**
+     * Handle the server queuing our seat request until the round ends
+     */
+    handleSeatQueued() {
+        this.ui.setSpectatorMode(true, true);
+        this.ui.showGameNotification('You will join when this round ends', 3000);
+    }
+    
     /**
      * Handle player joining the room
      * @param {Object} playerData - New player data
@@ -490,7 +1052,7 @@ class AsteroidDodgers {    constructor() {
     handlePlayerJoined(playerData) {
         // Update the players list
         const players = this.network.getAllPlayers();
-        this.ui.updatePlayersList(players, this.network.playerId);
+        this.ui.updatePlayersList(players, this.network.playerId, this.network.getAllSpectators());
         
         // Sound effect
         AudioSystem.play('join');
@@ -500,9 +1062,11 @@ class AsteroidDodgers {    constructor() {
      * Handle player leaving the room
      * @param {string} playerId - ID of the player who left
      */    handlePlayerLeft(playerId, playerName) {
+        this.ui.showTypingIndicator(playerId, null, false);
+        
         // Update the players list
         const players = this.network.getAllPlayers();
-        this.ui.updatePlayersList(players, this.network.playerId);
+        this.ui.updatePlayersList(players, this.network.playerId, this.network.getAllSpectators());
         
         // Remove player from game if game is running
         if (this.game.isRunning) {
@@ -518,6 +1082,44 @@ class AsteroidDodgers {    constructor() {
         AudioSystem.play('leave');
     }
     
+    /**
+     * Handle a player losing their connection (their seat is kept for now)
+     * @param {string} playerId - ID of the disconnected player
+     * @param {string} playerName - Name of the disconnected player
+     */
+    handlePlayerDisconnected(playerId, playerName) {
+        this.ui.updatePlayersList(this.network.getAllPlayers(), this.network.playerId, this.network.getAllSpectators());
+        
+        const player = this.game.players.get(playerId);
+        if (player) {
+            player.isReconnecting = true;
+        }
+        
+        if (this.game.isRunning) {
+            this.ui.showGameNotification(`${playerName} lost connection, waiting to reconnect...`, 3000);
+        }
+    }
+    
+    /**
+     * Handle a player getting their seat back with a new connection
+     * @param {string} previousId - Player ID before reconnecting
+     * @param {Object} playerData - Player data with the new ID
+     */
+    handlePlayerReconnected(previousId, playerData) {
+        this.ui.updatePlayersList(this.network.getAllPlayers(), this.network.playerId, this.network.getAllSpectators());
+        
+        this.game.renamePlayer(previousId, playerData.id);
+        const player = this.game.players.get(playerData.id);
+        if (player) {
+            player.isReconnecting = false;
+            player.snapshots = [];
+        }
+        
+        if (this.game.isRunning) {
+            this.ui.showGameNotification(`${playerData.name} reconnected`, 3000);
+        }
+    }
+    
     /**
      * Handle game start event from network
      * @param {Object} data - Game start data with players and start time
@@ -526,6 +1128,13 @@ class AsteroidDodgers {    constructor() {
         // Clear any existing game
         this.game.reset();
         
+        // Every client runs the rules chosen by the host
+        if (data.settings) {
+            this.game.applySettings(data.settings);
+        }
+        
+        this.ui.hideAutoStartCountdown();
+        
         // Show game screen
         this.ui.showGameScreen();
         
@@ -547,13 +1156,37 @@ class AsteroidDodgers {    constructor() {
         // Start sending local player updates
         const localPlayer = this.game.getLocalPlayer();
         if (localPlayer) {
-            this.network.startStateUpdates(() => localPlayer.getNetworkState());
+            // The room decides how ships are sent, the server ignores the other format
+            const netcodeMode = data.netcodeMode || this.config.netcodeMode;
+            if (netcodeMode === 'input') {
+                localPlayer.inputMode = true;
+                this.network.startInputUpdates(() => localPlayer.getInputMessage(this.game.bounds));
+            } else {
+                this.network.startStateUpdates(() => localPlayer.getNetworkState());
+            }
         }
         
         // Start the game with synchronized start time
         this.game.startGame(data.startTime);
     }
     
+    /**
+     * Handle a round timer update from the server
+     * @param {number} elapsed - Round time elapsed in ms
+     * @param {number} remaining - Round time remaining in ms
+     */
+    handleRoundTimer(elapsed, remaining) {
+        this.game.syncRoundTime(elapsed / 1000);
+    }
+    
+    /**
+     * Handle score and lives from the server
+     * @param {Object} stats - Player stats (id, score, lives, isAlive)
+     */
+    handlePlayerStats(stats) {
+        this.game.applyPlayerStats(stats);
+    }
+    
     /**
      * Handle game end event from network
      * @param {Object} data - Game end data with synchronized timestamp
@@ -567,6 +1200,8 @@ class AsteroidDodgers {    constructor() {
             // If game ended because a player quit, show notification
             if (data && data.reason === 'quit' && data.playerName) {
                 this.ui.showGameNotification(`${data.playerName} quit the game`, 5000);
+            } else if (data && data.reason === 'server_shutdown') {
+                this.ui.showGameNotification('The match was ended because the server is restarting', 5000);
             }
         } else if (data.localOnly) {
             // Only end the local player's view of the game
@@ -604,6 +1239,17 @@ class AsteroidDodgers {    constructor() {
         
         // Update player state
         player.updateFromNetwork(playerState);
+    }
+    
+    /**
+     * Handle authoritative state of the local ship from the server
+     * @param {Object} serverState - Server ship state with last processed input
+     */
+    handlePlayerStateCorrection(serverState) {
+        const localPlayer = this.game.getLocalPlayer();
+        if (localPlayer) {
+            localPlayer.reconcile(serverState);
+        }
     }    /**
      * Handle game pause event from network
      * @param {string} playerId - ID of the player who paused the game
@@ -614,6 +1260,9 @@ class AsteroidDodgers {    constructor() {
         const player = this.network.getPlayer(playerId);
         if (!player && !isLocalEvent) return;
         
+        // Spectators can't pause the players' game
+        if (isLocalEvent && this.network.isSpectator) return;
+        
         // If this is a local event from ESC key, we need to send a network event to all players
         if (isLocalEvent && !this.debugLocalGame) {
             // Send pause action to all players
@@ -641,6 +1290,9 @@ class AsteroidDodgers {    constructor() {
         const player = this.network.getPlayer(playerId);
         if (!player && !isLocalEvent) return;
         
+        // Spectators can't resume the players' game
+        if (isLocalEvent && this.network.isSpectator) return;
+        
         // If this is a local event from ESC key, we need to send a network event to all players
         if (isLocalEvent && !this.debugLocalGame) {
             // Send resume action to all players
@@ -678,6 +1330,9 @@ class AsteroidDodgers {    constructor() {
             playerName = data.playerName;
         }
         
+        // After a vote the server starts the next round by itself
+        const byVote = !!(data && data.byVote);
+        
         if (data && data.autoStart) {
             // Auto-start the game immediately
             console.log('Auto-starting game after restart');
@@ -686,21 +1341,22 @@ class AsteroidDodgers {    constructor() {
             this.ui.showLoading('Starting new game...');
             
             // Start the game after a short delay to allow UI updates
+            // (the host asked for this, so it doesn't wait for the ready check)
             setTimeout(() => {
-                if (this.network.isHost) {
-                    this.network.startGame();
+                if (this.network.isHost && !byVote) {
+                    this.network.startGame(true);
                 }
             }, 1000);
             
             // Show notification for auto-restart
-            this.ui.showGameNotification(`New game started by ${playerName}`, 3000);
+            this.ui.showGameNotification(byVote ? 'The players voted for a new game' : `New game started by ${playerName}`, 3000);
         } else {
             // Show waiting room for manual restart
             this.ui.showWaitingRoom(this.network.roomId, this.network.isHost);
             
             // Update players list
             const players = Array.from(this.network.players.values());
-            this.ui.updatePlayersList(players, this.network.playerId);
+            this.ui.updatePlayersList(players, this.network.playerId, this.network.getAllSpectators());
             
             // Show notification for restart
             this.ui.showGameNotification(`Game restarted by ${playerName}`, 5000);
@@ -741,7 +1397,13 @@ class AsteroidDodgers {    constructor() {
      * @param {Object} data - Room closed data
      */
     handleRoomClosed(data) {
+        // Spectators may still be watching a round
+        if (this.game.isRunning) {
+            this.game.reset();
+        }
+        
         // Clear room state
+        this.ui.setSpectatorMode(false);
         this.ui.hideWaitingRoom();
         this.ui.showJoinScreen();
         
@@ -749,6 +1411,9 @@ class AsteroidDodgers {    constructor() {
         let message;
         if (data.reason === 'insufficient_players') {
             message = 'Room closed: Only one player remained, multiplayer requires at least 2 players.';
+        } else if (data.reason === 'empty' || data.reason === 'inactive' || data.reason === 'admin' ||
+            data.reason === 'server_unavailable') {
+            message = data.message;
         } else if (data.hostName) {
             message = `Room closed: The host (${data.hostName}) left the game.`;
         } else {
@@ -785,6 +1450,9 @@ class AsteroidDodgers {    constructor() {
             this.ui.updateHostControls(false);
         }
         
+        // Moderation controls follow the host
+        this.ui.updatePlayersList(this.network.getAllPlayers(), this.network.playerId, this.network.getAllSpectators());
+        
         // Sound effect for host change
         AudioSystem.play('notification');
     }
@@ -794,10 +1462,8 @@ class AsteroidDodgers {    constructor() {
      */
     handleGameTimeEnd() {
         if (!this.debugLocalGame && this.network.isConnected) {
-            // Only host should trigger synchronized game end
-            if (this.network.isHost) {
-                this.network.sendGameAction('end');
-            }
+            // The server ends the round from its own clock and sends game:end
+            return;
         } else {
             // For local games, just end immediately
             this.game.endGame();
@@ -809,10 +1475,8 @@ class AsteroidDodgers {    constructor() {
      */
     handleAllPlayersDead() {
         if (!this.debugLocalGame && this.network.isConnected) {
-            // Only host should trigger synchronized game end
-            if (this.network.isHost) {
-                this.network.sendGameAction('end');
-            }
+            // The server notices when only one player is left and sends game:end
+            return;
         } else {
             // For local games, just end immediately
             this.game.endGame();
@@ -853,6 +1517,16 @@ class AsteroidDodgers {    constructor() {
         this.game.removeNetworkEntity(entityType, entityId);
     }
     
+    /**
+     * Handle authoritative entity snapshot from server
+     * @param {Object} snapshot - Snapshot with asteroids and powerups
+     */
+    handleEntitySnapshot(snapshot) {
+        if (!this.game) return;
+        
+        this.game.reconcileNetworkEntities(snapshot);
+    }
+    
     /**
      * Handle user leaving the room
      */
@@ -862,6 +1536,7 @@ class AsteroidDodgers {    constructor() {
         
         // Explicitly reset host status in UI
         this.ui.resetHostStatus();
+        this.ui.setSpectatorMode(false);
         
         // Clear chat messages when leaving room
         this.ui.clearChatMessages();
@@ -902,13 +1577,48 @@ class AsteroidDodgers {    constructor() {
         console.log('Received chat message:', messageData);
         
         // Add the message to UI
-        this.ui.addChatMessage(messageData);
+        this.ui.addChatMessage(messageData, this.network.playerId);
         
         // Play notification sound for messages from other players
-        if (messageData.playerId !== this.network.playerId && messageData.type === 'player') {
+        const isPlayerMessage = messageData.type === 'player' || messageData.type === 'whisper';
+        if (messageData.playerId !== this.network.playerId && isPlayerMessage) {
             AudioSystem.play('message');
         }
     }
+    
+    /**
+     * Handle the user scrolling up past the oldest chat message
+     * @param {string} beforeId - ID of the oldest message shown
+     */
+    handleLoadChatHistory(beforeId) {
+        this.network.requestChatHistory(beforeId);
+    }
+    
+    /**
+     * Handle a page of older chat messages
+     * @param {Object} history - { messages, hasMore }
+     */
+    handleChatHistory(history) {
+        this.ui.prependChatHistory(history, this.network.playerId);
+    }
+    
+    /**
+     * Handle the user starting or stopping to type a chat message
+     * @param {boolean} typing - Whether the user is typing
+     */
+    handleTyping(typing) {
+        this.network.sendTyping(typing);
+    }
+    
+    /**
+     * Handle another player starting or stopping to type
+     * @param {string} playerId - ID of the player
+     * @param {string} playerName - Name of the player
+     * @param {boolean} typing - Whether the player is typing
+     */
+    handleChatTyping(playerId, playerName, typing) {
+        this.ui.showTypingIndicator(playerId, playerName, typing);
+    }
 }
 
 // Initialize the application when DOM is loaded
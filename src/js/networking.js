@@ -6,9 +6,17 @@ class NetworkManager {
         this.socket = null;
         this.roomId = null;
         this.isHost = false;
+        this.isSpectator = false;
         this.playerId = null;
         this.players = new Map();
+        this.spectators = new Map();
+        this.roomSettings = null; // Match settings chosen by the host
+        this.lobbyRooms = new Map(); // Live room browser, roomId -> room summary
+        this.lobbySubscribed = false;
+        this.isQueued = false; // Waiting in the Quick Play matchmaking queue
         this.usedPlayerNames = new Set(); // Track player names for validation
+        this.sessionToken = sessionStorage.getItem('sessionToken'); // Lets us reclaim our seat after reconnecting
+        this.clientToken = localStorage.getItem('clientToken'); // Identity the server issued us, room bans apply to it
         
         // Event callbacks
         this.callbacks = {
@@ -16,26 +24,61 @@ class NetworkManager {
             onDisconnect: null,
             onError: null,
             onJoinRoom: null,
+            onPasswordRequired: null,
+            onRejoinRoom: null,
+            onRejoinFailed: null,
             onPlayerJoined: null,
             onPlayerLeft: null,
+            onPlayerDisconnected: null,
+            onPlayerReconnected: null,
+            onRoomSettings: null,
+            onPlayerReady: null,
+            onAutoStart: null,
+            onAutoStartCancelled: null,
+            onSpectatorsChanged: null,
+            onSpectatorPromoted: null,
+            onSeatQueued: null,
+            onKicked: null,
+            onPlayerMuted: null,
             onHostChanged: null,
             onGameStart: null,
             onGameEnd: null,
             onGameRestart: null,
+            onRestartRequest: null,
+            onRestartVotes: null,
+            onRestartDeclined: null,
+            onRoundTimer: null,
             onPlayerUpdate: null,
+            onPlayerStateCorrection: null,
+            onPlayerStats: null,
             onPause: null,
             onResume: null,
             onRoomClosed: null,
             onEntitySpawn: null,
             onEntityCollision: null,
             onEntityExpire: null,
-            onChatMessage: null
+            onEntitySnapshot: null,
+            onChatMessage: null,
+            onLobbyUpdate: null,
+            onChatHistory: null,
+            onChatTyping: null,
+            onMatchmakingStatus: null,
+            onServerNotice: null,
+            onRateLimited: null
         };
         
         // Network state
         this.isConnected = false;
         this.updateRate = 50; // ms between state updates
         this.updateInterval = null;
+        
+        // Clock synchronization (server time = local time + clockOffset)
+        this.clockOffset = 0;
+        this.clockSamples = []; // Recent { offset, roundTrip } measurements
+        this.maxClockSamples = 10;
+        this.clockSyncBurst = 5; // Pings sent right after connecting
+        this.clockSyncRate = 30000; // ms between periodic pings
+        this.clockSyncInterval = null;
     }
     
     /**
@@ -53,6 +96,39 @@ class NetworkManager {
         return this.connect(serverUrl);
     }
     
+    /**
+     * Receive live room list updates while on the join screen
+     * Subscribing again re-sends the full list
+     */
+    subscribeLobby() {
+        this.lobbySubscribed = true;
+        
+        if (this.isConnected) {
+            this.socket.emit('lobby:subscribe');
+        }
+    }
+    
+    /**
+     * Stop receiving room list updates (e.g. after joining a room)
+     */
+    unsubscribeLobby() {
+        if (!this.lobbySubscribed) return;
+        this.lobbySubscribed = false;
+        
+        if (this.isConnected) {
+            this.socket.emit('lobby:unsubscribe');
+        }
+    }
+    
+    /**
+     * Pass the current room list to the application
+     */
+    notifyLobbyUpdate() {
+        if (this.callbacks.onLobbyUpdate) {
+            this.callbacks.onLobbyUpdate(Array.from(this.lobbyRooms.values()));
+        }
+    }
+    
     /**
      * Request list of active game rooms
      * @returns {Promise} Promise resolving with room list
@@ -94,6 +170,13 @@ class NetworkManager {
             try {
                 console.log(`Attempting to connect to server: ${serverUrl}`);
                 
+                // Drop any previous socket so its events don't reach our callbacks
+                if (this.socket) {
+                    this.socket.removeAllListeners();
+                    this.socket.io.removeAllListeners();
+                    this.socket.disconnect();
+                }
+                
                 // Connect to socket server with enhanced options
                 this.socket = io(serverUrl, {
                     reconnection: true,
@@ -103,7 +186,9 @@ class NetworkManager {
                     timeout: 20000,
                     transports: ['websocket', 'polling'],
                     forceNew: true,
-                    autoConnect: true
+                    autoConnect: true,
+                    // Read on every reconnect, so an identity issued meanwhile is sent too
+                    auth: (callback) => callback({ clientToken: this.clientToken })
                 });
                 
                 // Add connection timeout
@@ -124,6 +209,16 @@ class NetworkManager {
                     this.isConnected = true;
                     this.playerId = this.socket.id;
                     
+                    // Estimate the server clock before any timestamps arrive
+                    this.startClockSync();
+                    
+                    // Reclaim our seat if the connection dropped while in a room
+                    if (this.roomId && this.sessionToken) {
+                        this.rejoinRoom();
+                    } else if (this.lobbySubscribed) {
+                        this.socket.emit('lobby:subscribe');
+                    }
+                    
                     if (this.callbacks.onConnect) {
                         this.callbacks.onConnect(this.playerId);
                     }
@@ -142,6 +237,16 @@ class NetworkManager {
                     
                     reject(error);
                 });
+                
+                // Give up on the room once automatic reconnection is exhausted
+                this.socket.io.on('reconnect_failed', () => {
+                    console.warn('Reconnection failed');
+                    this.clearSession();
+                    
+                    if (this.callbacks.onDisconnect) {
+                        this.callbacks.onDisconnect('reconnect_failed');
+                    }
+                });
             } catch (err) {
                 console.error('Failed to initialize socket:', err);
                 reject(err);
@@ -162,11 +267,21 @@ class NetworkManager {
             }
         });
         
+        // The server issues our identity on the first connection
+        this.socket.on('client:identity', (data) => {
+            this.clientToken = data.clientToken;
+            localStorage.setItem('clientToken', data.clientToken);
+        });
+        
         // Disconnection
         this.socket.on('disconnect', (reason) => {
             console.log('Disconnected from server:', reason);
             this.isConnected = false;
             
+            // The server drops us from the matchmaking queue
+            this.isQueued = false;
+            this.stopClockSync();
+            
             if (this.callbacks.onDisconnect) {
                 this.callbacks.onDisconnect(reason);
             }
@@ -175,8 +290,13 @@ class NetworkManager {
         // Room events
         this.socket.on('room:joined', (data) => {
             console.log('Joined room:', data);
+            this.isQueued = false;
             this.roomId = data.roomId;
             this.isHost = data.isHost;
+            this.isSpectator = !!data.isSpectator;
+            this.roomSettings = data.settings || null;
+            this.setSessionToken(data.sessionToken);
+            this.unsubscribeLobby();
             console.log(`Room joined - isHost status: ${this.isHost}`);
             
             // Update the used player names set
@@ -190,8 +310,55 @@ class NetworkManager {
                 });
             }
             
+            this.spectators.clear();
+            (data.spectators || []).forEach(spectator => {
+                this.spectators.set(spectator.id, spectator);
+                this.usedPlayerNames.add(spectator.name.toLowerCase());
+            });
+            
             if (this.callbacks.onJoinRoom) {
-                this.callbacks.onJoinRoom(data.roomId, data.isHost, data.players);
+                this.callbacks.onJoinRoom(data.roomId, data.isHost, data.players, data);
+            }
+        });
+        
+        // The room is protected and we sent no password (or a wrong one)
+        this.socket.on('room:password_required', (data) => {
+            if (this.callbacks.onPasswordRequired) {
+                this.callbacks.onPasswordRequired(data.roomId, data.incorrect);
+            }
+        });
+        
+        this.socket.on('room:rejoined', (data) => {
+            console.log('Rejoined room:', data);
+            this.unsubscribeLobby();
+            this.roomId = data.roomId;
+            this.isHost = data.isHost;
+            this.roomSettings = data.settings || null;
+            
+            // Rebuild the player list, our own entry now has the new socket ID
+            this.players.clear();
+            this.usedPlayerNames.clear();
+            data.players.forEach(player => {
+                this.players.set(player.id, player);
+                this.usedPlayerNames.add(player.name.toLowerCase());
+            });
+            
+            if (this.callbacks.onRejoinRoom) {
+                this.callbacks.onRejoinRoom(data);
+            }
+        });
+        
+        this.socket.on('room:rejoin_failed', (data) => {
+            console.log('Rejoin failed:', data);
+            this.clearSession();
+            this.subscribeLobby();
+            this.roomId = null;
+            this.isHost = false;
+            this.players.clear();
+            this.usedPlayerNames.clear();
+            
+            if (this.callbacks.onRejoinFailed) {
+                this.callbacks.onRejoinFailed(data.message);
             }
         });
         
@@ -224,6 +391,174 @@ class NetworkManager {
             }
         });
         
+        // Host changed the match settings
+        this.socket.on('room:settings', (data) => {
+            console.log('Room settings updated:', data.settings);
+            this.roomSettings = data.settings;
+            
+            if (this.callbacks.onRoomSettings) {
+                this.callbacks.onRoomSettings(data.settings);
+            }
+        });
+        
+        // Ready check in the waiting room
+        this.socket.on('room:player_ready', (data) => {
+            const player = this.players.get(data.id);
+            if (player) {
+                player.isReady = data.isReady;
+            }
+            
+            if (this.callbacks.onPlayerReady) {
+                this.callbacks.onPlayerReady(data);
+            }
+        });
+        
+        this.socket.on('room:auto_start', (data) => {
+            console.log(`Room is ready, starting in ${data.delay}s`);
+            
+            if (this.callbacks.onAutoStart) {
+                this.callbacks.onAutoStart(data.delay, data.reason);
+            }
+        });
+        
+        // Our place in the Quick Play queue
+        this.socket.on('matchmaking:status', (data) => {
+            if (!this.isQueued) return;
+            
+            if (this.callbacks.onMatchmakingStatus) {
+                this.callbacks.onMatchmakingStatus(data);
+            }
+        });
+        
+        // Server-wide notices, like the server restarting
+        this.socket.on('server:notice', (data) => {
+            // A restarting server drops the matchmaking queue
+            if (data.type === 'shutdown') {
+                this.isQueued = false;
+            }
+            
+            if (this.callbacks.onServerNotice) {
+                this.callbacks.onServerNotice(data);
+            }
+        });
+        
+        // The server dropped a message because we sent that event too often
+        this.socket.on('rate:limited', (data) => {
+            console.warn(`Rate limited on "${data.event}", retry in ${data.retryAfter}ms`, data);
+            
+            if (this.callbacks.onRateLimited) {
+                this.callbacks.onRateLimited(data);
+            }
+        });
+        
+        this.socket.on('room:auto_start_cancelled', () => {
+            if (this.callbacks.onAutoStartCancelled) {
+                this.callbacks.onAutoStartCancelled();
+            }
+        });
+        
+        // Spectator events
+        this.socket.on('room:spectator_joined', (spectator) => {
+            console.log('Spectator joined:', spectator);
+            this.spectators.set(spectator.id, spectator);
+            this.usedPlayerNames.add(spectator.name.toLowerCase());
+            
+            if (this.callbacks.onSpectatorsChanged) {
+                this.callbacks.onSpectatorsChanged();
+            }
+        });
+        
+        this.socket.on('room:spectator_left', (data) => {
+            console.log('Spectator left:', data);
+            this.spectators.delete(data.id);
+            this.usedPlayerNames.delete(data.name.toLowerCase());
+            
+            if (this.callbacks.onSpectatorsChanged) {
+                this.callbacks.onSpectatorsChanged();
+            }
+        });
+        
+        this.socket.on('room:spectator_promoted', (player) => {
+            console.log('Spectator took a seat:', player);
+            this.spectators.delete(player.id);
+            this.players.set(player.id, player);
+            
+            if (player.id === this.playerId) {
+                this.isSpectator = false;
+            }
+            
+            if (this.callbacks.onSpectatorPromoted) {
+                this.callbacks.onSpectatorPromoted(player);
+            }
+        });
+        
+        // Our seat request was accepted, we can now rejoin as a player
+        this.socket.on('room:seat_taken', (data) => {
+            this.setSessionToken(data.sessionToken);
+        });
+        
+        this.socket.on('room:seat_queued', () => {
+            if (this.callbacks.onSeatQueued) {
+                this.callbacks.onSeatQueued();
+            }
+        });
+        
+        // The host removed us from the room
+        this.socket.on('room:kicked', (data) => {
+            console.log('Removed from room by the host:', data);
+            
+            this.clearSession();
+            this.roomId = null;
+            this.isHost = false;
+            this.isSpectator = false;
+            this.players.clear();
+            this.spectators.clear();
+            this.usedPlayerNames.clear();
+            this.subscribeLobby();
+            
+            if (this.callbacks.onKicked) {
+                this.callbacks.onKicked(data);
+            }
+        });
+        
+        // The host muted or unmuted someone in chat
+        this.socket.on('room:player_muted', (data) => {
+            const member = this.players.get(data.id) || this.spectators.get(data.id);
+            if (member) {
+                member.isMuted = data.isMuted;
+            }
+            
+            if (this.callbacks.onPlayerMuted) {
+                this.callbacks.onPlayerMuted(data.id, data.name, data.isMuted);
+            }
+        });
+        
+        // A player lost their connection, their seat is kept for a while
+        this.socket.on('room:player_disconnected', (data) => {
+            console.log('Player disconnected, waiting for reconnect:', data);
+            
+            const player = this.players.get(data.id);
+            if (player) {
+                player.disconnected = true;
+            }
+            
+            if (this.callbacks.onPlayerDisconnected) {
+                this.callbacks.onPlayerDisconnected(data.id, data.name);
+            }
+        });
+        
+        // A player reclaimed their seat with a new connection
+        this.socket.on('room:player_reconnected', (data) => {
+            console.log('Player reconnected:', data);
+            
+            this.players.delete(data.previousId);
+            this.players.set(data.player.id, data.player);
+            
+            if (this.callbacks.onPlayerReconnected) {
+                this.callbacks.onPlayerReconnected(data.previousId, data.player);
+            }
+        });
+        
         // Handle host change event
         this.socket.on('room:host_changed', (data) => {
             console.log('Host changed event received:', data);
@@ -243,11 +578,41 @@ class NetworkManager {
             }
         });
 
+        // Live room browser
+        this.socket.on('lobby:rooms', (rooms) => {
+            this.lobbyRooms.clear();
+            rooms.forEach(room => this.lobbyRooms.set(room.id, room));
+            this.notifyLobbyUpdate();
+        });
+        
+        this.socket.on('lobby:room_updated', (room) => {
+            this.lobbyRooms.set(room.id, room);
+            this.notifyLobbyUpdate();
+        });
+        
+        this.socket.on('lobby:room_removed', (data) => {
+            this.lobbyRooms.delete(data.id);
+            this.notifyLobbyUpdate();
+        });
+        
+        // Clock synchronization response
+        this.socket.on('time:pong', (data) => {
+            this.handleClockPong(data);
+        });
+
         this.socket.on('game:start', (data) => {
             console.log('Game starting:', data);
             
+            // Everyone has to ready up again for the next round
+            this.players.forEach(player => {
+                player.isReady = false;
+            });
+            
             if (this.callbacks.onGameStart) {
-                this.callbacks.onGameStart(data);
+                this.callbacks.onGameStart({
+                    ...data,
+                    startTime: this.toLocalTime(data.startTime)
+                });
             }
         });
         
@@ -255,7 +620,18 @@ class NetworkManager {
             console.log('Game ended:', data);
             
             if (this.callbacks.onGameEnd) {
-                this.callbacks.onGameEnd(data);
+                this.callbacks.onGameEnd({
+                    ...data,
+                    timestamp: this.toLocalTime(data.timestamp),
+                    gameStartTime: this.toLocalTime(data.gameStartTime)
+                });
+            }
+        });
+        
+        // Round clock kept by the server
+        this.socket.on('game:timer', (data) => {
+            if (this.callbacks.onRoundTimer) {
+                this.callbacks.onRoundTimer(data.elapsed, data.remaining);
             }
         });
         
@@ -279,12 +655,34 @@ class NetworkManager {
             
             if (this.callbacks.onGameRestart) {
                 console.log('Calling onGameRestart callback');
-                this.callbacks.onGameRestart(data);
+                this.callbacks.onGameRestart({
+                    ...data,
+                    startTime: this.toLocalTime(data.startTime)
+                });
             } else {
                 console.error('No onGameRestart callback registered');
             }
         });
         
+        // A player asked us (the host) for another round
+        this.socket.on('game:restart_request', (data) => {
+            if (this.callbacks.onRestartRequest) {
+                this.callbacks.onRestartRequest(data.playerId, data.playerName);
+            }
+        });
+        
+        this.socket.on('game:restart_votes', (data) => {
+            if (this.callbacks.onRestartVotes) {
+                this.callbacks.onRestartVotes(data);
+            }
+        });
+        
+        this.socket.on('game:restart_declined', (data) => {
+            if (this.callbacks.onRestartDeclined) {
+                this.callbacks.onRestartDeclined(data.hostName);
+            }
+        });
+        
         // Handle player quit event (when a player quits but game continues)
         this.socket.on('player:quit', (data) => {
             console.log('Player quit event received:', data);
@@ -301,8 +699,12 @@ class NetworkManager {
             console.log('Room closed event received:', data);
             
             // Clear room state
+            this.clearSession();
             this.roomId = null;
+            this.isSpectator = false;
+            this.subscribeLobby();
             this.players.clear();
+            this.spectators.clear();
             this.usedPlayerNames.clear();
             
             // If callback exists, notify application
@@ -323,11 +725,28 @@ class NetworkManager {
             }
         });
         
+        // Score and lives tracked by the server
+        this.socket.on('player:stats', (stats) => {
+            if (this.callbacks.onPlayerStats) {
+                this.callbacks.onPlayerStats(stats);
+            }
+        });
+        
+        // Authoritative state of our own ship (input-based netcode)
+        this.socket.on('player:state', (serverState) => {
+            if (this.callbacks.onPlayerStateCorrection) {
+                this.callbacks.onPlayerStateCorrection(serverState);
+            }
+        });
+        
         // Entity synchronization events
         this.socket.on('entity:spawn', (data) => {
             // console.log('Entity spawn event received:', data);
             if (this.callbacks.onEntitySpawn) {
-                this.callbacks.onEntitySpawn(data.type, data.data);
+                this.callbacks.onEntitySpawn(data.type, {
+                    ...data.data,
+                    spawnTime: this.toLocalTime(data.data.spawnTime)
+                });
             }
         });
         
@@ -338,6 +757,11 @@ class NetworkManager {
             }
         });
         
+        this.socket.on('entity:collision_rejected', (data) => {
+            // The server didn't accept our collision report, it keeps the entity alive
+            console.warn('Entity collision rejected by server:', data);
+        });
+        
         this.socket.on('entity:expire', (data) => {
             // console.log('Entity expire event received:', data);
             if (this.callbacks.onEntityExpire) {
@@ -345,6 +769,16 @@ class NetworkManager {
             }
         });
         
+        // Authoritative entity state from the server simulation
+        this.socket.on('entity:snapshot', (snapshot) => {
+            if (this.callbacks.onEntitySnapshot) {
+                this.callbacks.onEntitySnapshot({
+                    ...snapshot,
+                    timestamp: this.toLocalTime(snapshot.timestamp)
+                });
+            }
+        });
+        
         // Chat message event
         this.socket.on('chat:message', (message) => {
             console.log('Chat message received:', message);
@@ -352,6 +786,99 @@ class NetworkManager {
                 this.callbacks.onChatMessage(message);
             }
         });
+        
+        // A page of older messages for scrollback
+        this.socket.on('chat:history', (history) => {
+            if (this.callbacks.onChatHistory) {
+                this.callbacks.onChatHistory(history);
+            }
+        });
+        
+        this.socket.on('chat:typing', (data) => {
+            if (this.callbacks.onChatTyping) {
+                this.callbacks.onChatTyping(data.playerId, data.playerName, data.typing);
+            }
+        });
+    }
+    
+    /**
+     * Start measuring the clock offset: a short burst now, then periodically
+     */
+    startClockSync() {
+        this.stopClockSync();
+        this.clockSamples = [];
+        
+        for (let i = 0; i < this.clockSyncBurst; i++) {
+            setTimeout(() => this.sendClockPing(), i * 200);
+        }
+        
+        this.clockSyncInterval = setInterval(() => this.sendClockPing(), this.clockSyncRate);
+    }
+    
+    /**
+     * Stop periodic clock synchronization
+     */
+    stopClockSync() {
+        if (this.clockSyncInterval) {
+            clearInterval(this.clockSyncInterval);
+            this.clockSyncInterval = null;
+        }
+    }
+    
+    /**
+     * Send a single clock synchronization ping
+     */
+    sendClockPing() {
+        if (!this.socket || !this.isConnected) return;
+        
+        this.socket.emit('time:ping', { clientTime: Date.now() });
+    }
+    
+    /**
+     * Update the clock offset estimate from a ping response
+     * @param {Object} data - Pong data with clientTime and serverTime
+     */
+    handleClockPong(data) {
+        if (!data || !Number.isFinite(data.clientTime) || !Number.isFinite(data.serverTime)) return;
+        
+        const now = Date.now();
+        const roundTrip = now - data.clientTime;
+        if (roundTrip < 0) return;
+        
+        // Assume the server answered halfway through the round trip
+        this.clockSamples.push({
+            offset: data.serverTime + roundTrip / 2 - now,
+            roundTrip
+        });
+        if (this.clockSamples.length > this.maxClockSamples) {
+            this.clockSamples.shift();
+        }
+        
+        // Samples with the shortest round trip are the most accurate,
+        // use the median offset of the better half
+        const best = [...this.clockSamples]
+            .sort((a, b) => a.roundTrip - b.roundTrip)
+            .slice(0, Math.ceil(this.clockSamples.length / 2))
+            .map(sample => sample.offset)
+            .sort((a, b) => a - b);
+        this.clockOffset = best[Math.floor(best.length / 2)];
+    }
+    
+    /**
+     * Convert a server timestamp to local Date.now() time
+     * @param {number} serverTime - Server timestamp
+     * @returns {number} Local timestamp (unchanged if not a number)
+     */
+    toLocalTime(serverTime) {
+        return Number.isFinite(serverTime) ? serverTime - this.clockOffset : serverTime;
+    }
+    
+    /**
+     * Get the current estimated server time
+     * @returns {number} Server timestamp
+     */
+    getServerTime() {
+        return Date.now() + this.clockOffset;
     }
     
     /**
@@ -370,9 +897,11 @@ class NetworkManager {
      * Create or join a room
      * @param {string} playerName - Player's display name
      * @param {string} [roomId] - Room ID to join (optional, creates new room if not provided)
+     * @param {boolean} [spectate] - Join as a spectator instead of a player
+     * @param {Object} [options] - Room password, and whether a new room is private
      * @returns {boolean} Whether the join request was sent
      */
-    joinRoom(playerName, roomId = null) {
+    joinRoom(playerName, roomId = null, spectate = false, options = {}) {
         if (!this.isConnected) {
             console.error('Cannot join room: Not connected to server');
             return false;
@@ -397,32 +926,203 @@ class NetworkManager {
         this.socket.emit('room:join', {
             name: playerName,
             roomId: cleanRoomId,
-            color: Utils.generateColor()
+            color: Utils.generateColor(),
+            spectate,
+            password: options.password || undefined,
+            isPrivate: !!options.isPrivate
+        });
+        
+        return true;
+    }
+    
+    /**
+     * Wait in the matchmaking queue until the server finds a room
+     * @param {string} playerName - Player's display name
+     * @param {number} [preferredSize] - Preferred room size, 0 for any
+     * @returns {boolean} Whether the queue request was sent
+     */
+    joinMatchmaking(playerName, preferredSize = 0) {
+        if (!this.isConnected) {
+            console.error('Cannot join matchmaking: Not connected to server');
+            return false;
+        }
+        
+        if (!playerName || playerName.trim() === '') {
+            if (this.callbacks.onError) {
+                this.callbacks.onError('validation', 'Player name is required');
+            }
+            return false;
+        }
+        
+        this.isHost = false;
+        this.isQueued = true;
+        
+        this.socket.emit('matchmaking:join', {
+            name: playerName,
+            color: Utils.generateColor(),
+            preferredSize
         });
         
         return true;
     }
     
+    /**
+     * Stop waiting in the matchmaking queue
+     */
+    leaveMatchmaking() {
+        if (!this.isQueued) return;
+        this.isQueued = false;
+        
+        if (this.isConnected) {
+            this.socket.emit('matchmaking:leave');
+        }
+    }
+    
+    /**
+     * Ask the server to give us back our seat in the room
+     */
+    rejoinRoom() {
+        if (!this.isConnected || !this.sessionToken) return;
+        
+        console.log('Attempting to rejoin previous room');
+        // The room ID lets another server instance pass the request on to the room's host instance
+        this.socket.emit('room:rejoin', { sessionToken: this.sessionToken, roomId: this.roomId });
+    }
+    
+    /**
+     * Store the session token for the current room
+     * @param {string} sessionToken - Token issued by the server on join
+     */
+    setSessionToken(sessionToken) {
+        if (!sessionToken) return;
+        
+        this.sessionToken = sessionToken;
+        sessionStorage.setItem('sessionToken', sessionToken);
+    }
+    
+    /**
+     * Forget the session token, we can no longer rejoin the room
+     */
+    clearSession() {
+        this.sessionToken = null;
+        sessionStorage.removeItem('sessionToken');
+    }
+    
     /**
      * Leave the current room
      */
     leaveRoom() {
+        this.clearSession();
         if (!this.isConnected || !this.roomId) return;
         
         this.socket.emit('room:leave');
         this.roomId = null;
         this.isHost = false;
+        this.isSpectator = false;
         this.players.clear();
+        this.spectators.clear();
         this.usedPlayerNames.clear();
+        this.subscribeLobby();
+    }
+    
+    /**
+     * Change the match settings as host
+     * @param {Object} settings - Settings to change
+     */
+    configureRoom(settings) {
+        if (!this.isConnected || !this.roomId || !this.isHost) return;
+        
+        this.socket.emit('room:configure', { settings });
+    }
+    
+    /**
+     * Ask for a seat as a spectator (granted now, or when the round ends)
+     */
+    requestSeat() {
+        if (!this.isConnected || !this.roomId || !this.isSpectator) return;
+        
+        this.socket.emit('room:take_seat');
+    }
+    
+    /**
+     * Remove a player or spectator from the room as host
+     * @param {string} playerId - ID of the player to kick
+     */
+    kickPlayer(playerId) {
+        if (!this.isConnected || !this.roomId || !this.isHost) return;
+        
+        this.socket.emit('room:kick', { playerId });
+    }
+    
+    /**
+     * Remove a player or spectator and keep them out of the room as host
+     * @param {string} playerId - ID of the player to ban
+     */
+    banPlayer(playerId) {
+        if (!this.isConnected || !this.roomId || !this.isHost) return;
+        
+        this.socket.emit('room:ban', { playerId });
+    }
+    
+    /**
+     * Mute or unmute a player's chat messages as host
+     * @param {string} playerId - ID of the player
+     * @param {boolean} muted - Whether the player should be muted
+     */
+    mutePlayer(playerId, muted) {
+        if (!this.isConnected || !this.roomId || !this.isHost) return;
+        
+        this.socket.emit('room:mute', { playerId, muted });
+    }
+    
+    /**
+     * Hand host status to another player
+     * @param {string} playerId - ID of the new host
+     */
+    transferHost(playerId) {
+        if (!this.isConnected || !this.roomId || !this.isHost) return;
+        
+        this.socket.emit('room:transfer_host', { playerId });
+    }
+    
+    /**
+     * Ask the host for another round, or vote for one when the room votes
+     */
+    requestRestart() {
+        if (!this.isConnected || !this.roomId || this.isHost) return;
+        
+        this.socket.emit('game:restart_request');
+    }
+    
+    /**
+     * Answer a player's restart request as host
+     * @param {string} playerId - ID of the player who asked
+     * @param {boolean} accept - Whether to restart
+     */
+    respondToRestartRequest(playerId, accept) {
+        if (!this.isConnected || !this.roomId || !this.isHost) return;
+        
+        this.socket.emit('game:restart_response', { playerId, accept });
+    }
+    
+    /**
+     * Set our ready state in the waiting room
+     * @param {boolean} isReady - Whether we are ready to start
+     */
+    setReady(isReady) {
+        if (!this.isConnected || !this.roomId || this.isSpectator) return;
+        
+        this.socket.emit('room:ready', { ready: isReady });
     }
     
     /**
      * Start game as host
+     * @param {boolean} [force] - Start even if not every player is ready
      */
-    startGame() {
+    startGame(force = false) {
         if (!this.isConnected || !this.roomId || !this.isHost) return;
         
-        this.socket.emit('game:start');
+        this.socket.emit('game:start', { force });
     }
       /**
      * Send game action (pause/resume/quit/restart/end)
@@ -455,6 +1155,25 @@ class NetworkManager {
         }, this.updateRate);
     }
     
+    /**
+     * Start sending regular input frames (input-based netcode)
+     * @param {Function} getInputMessage - Function that returns the next input message
+     */
+    startInputUpdates(getInputMessage) {
+        if (this.updateInterval) {
+            clearInterval(this.updateInterval);
+        }
+        
+        this.updateInterval = setInterval(() => {
+            if (!this.isConnected || !this.roomId) return;
+            
+            const inputMessage = getInputMessage();
+            if (inputMessage) {
+                this.socket.emit('player:input', inputMessage);
+            }
+        }, this.updateRate);
+    }
+    
     /**
      * Report an entity collision to the server
      * @param {string} entityType - Type of entity ('asteroid' or 'powerup')
@@ -498,6 +1217,14 @@ class NetworkManager {
         return Array.from(this.players.values());
     }
     
+    /**
+     * Get all spectators in current room
+     * @returns {Array} Array of spectator objects
+     */
+    getAllSpectators() {
+        return Array.from(this.spectators.values());
+    }
+    
     /**
      * Send a chat message
      * @param {string} message - The message to send
@@ -526,6 +1253,26 @@ class NetworkManager {
         return true;
     }
     
+    /**
+     * Ask for chat messages older than the given one
+     * @param {string} beforeId - ID of the oldest message we have
+     */
+    requestChatHistory(beforeId) {
+        if (!this.isConnected || !this.roomId) return;
+        
+        this.socket.emit('chat:history', { beforeId });
+    }
+    
+    /**
+     * Tell the room whether we are typing a chat message
+     * @param {boolean} typing - Whether we are typing
+     */
+    sendTyping(typing) {
+        if (!this.isConnected || !this.roomId) return;
+        
+        this.socket.emit('chat:typing', { typing });
+    }
+    
     /**
      * Register event callbacks
      * @param {Object} callbacks - Callback functions
@@ -538,6 +1285,11 @@ class NetworkManager {
      * Disconnect from the server
      */
     disconnect() {
+        this.stopClockSync();
+        
+        // Leave the room first so the server doesn't hold our seat
+        this.leaveRoom();
+        
         if (this.socket) {
             this.socket.disconnect();
             this.socket = null;
@@ -546,7 +1298,9 @@ class NetworkManager {
         this.isConnected = false;
         this.roomId = null;
         this.isHost = false;
+        this.isSpectator = false;
         this.players.clear();
+        this.spectators.clear();
         this.usedPlayerNames.clear();
     }
 }
@@ -0,0 +1,121 @@
+/**
+ * Ship physics shared by the client and the multiplayer server
+ */
+const ShipPhysics = {
+    // Movement constants (matching Player defaults)
+    defaults: {
+        maxSpeed: 8,
+        friction: 0.98,
+        turningSpeed: 6,
+        acceleration: 0.25,
+        margin: 20 // Keep ships 20px away from the exact edge
+    },
+
+    /**
+     * Apply steering input to a ship's angle and velocity
+     * @param {Object} state - Ship state (angle, velocityX, velocityY, optional tuning values)
+     * @param {Object} keys - Input state { up, down, left, right }
+     * @param {number} deltaTime - Time elapsed since last frame in ms
+     * @returns {Object} The updated state
+     */
+    applyInput: (state, keys, deltaTime) => {
+        const turningSpeed = state.turningSpeed || ShipPhysics.defaults.turningSpeed;
+        const acceleration = state.acceleration || ShipPhysics.defaults.acceleration;
+        const friction = state.friction || ShipPhysics.defaults.friction;
+        const maxSpeed = state.maxSpeed || ShipPhysics.defaults.maxSpeed;
+
+        // Turning
+        if (keys.left) state.angle -= turningSpeed * (deltaTime / 16);
+        if (keys.right) state.angle += turningSpeed * (deltaTime / 16);
+
+        // Normalize angle to 0-360
+        state.angle = (state.angle + 360) % 360;
+
+        // Convert angle to radians for movement calculations
+        const angleRad = state.angle * Math.PI / 180;
+
+        // Tuning values are per 16ms frame, scale them to the frame's length
+        const frames = deltaTime / 16;
+
+        // Accelerate
+        if (keys.up) {
+            state.velocityX += Math.sin(angleRad) * acceleration * frames;
+            state.velocityY -= Math.cos(angleRad) * acceleration * frames;
+        }
+
+        // Brake
+        if (keys.down) {
+            state.velocityX *= Math.pow(0.9, frames);
+            state.velocityY *= Math.pow(0.9, frames);
+        }
+
+        // Apply friction
+        state.velocityX *= Math.pow(friction, frames);
+        state.velocityY *= Math.pow(friction, frames);
+
+        // Limit max speed
+        const speed = Math.sqrt(state.velocityX * state.velocityX + state.velocityY * state.velocityY);
+        if (speed > maxSpeed) {
+            const ratio = maxSpeed / speed;
+            state.velocityX *= ratio;
+            state.velocityY *= ratio;
+        }
+
+        return state;
+    },
+
+    /**
+     * Keep a ship within the game area (no wrapping)
+     * @param {Object} state - Ship state (x, y, velocityX, velocityY)
+     * @param {Object} bounds - Game area bounds { width, height }
+     * @returns {Object} The updated state
+     */
+    clampToBounds: (state, bounds) => {
+        const margin = ShipPhysics.defaults.margin;
+
+        // Left and right boundaries
+        if (state.x < margin) {
+            state.x = margin;
+            state.velocityX = 0; // Stop horizontal movement
+        }
+        if (state.x > bounds.width - margin) {
+            state.x = bounds.width - margin;
+            state.velocityX = 0; // Stop horizontal movement
+        }
+
+        // Top and bottom boundaries
+        if (state.y < margin) {
+            state.y = margin;
+            state.velocityY = 0; // Stop vertical movement
+        }
+        if (state.y > bounds.height - margin) {
+            state.y = bounds.height - margin;
+            state.velocityY = 0; // Stop vertical movement
+        }
+
+        return state;
+    },
+
+    /**
+     * Advance a ship by one input frame
+     * @param {Object} state - Ship state (x, y, angle, velocityX, velocityY)
+     * @param {Object} keys - Input state { up, down, left, right }
+     * @param {number} deltaTime - Time elapsed since last frame in ms
+     * @param {Object} bounds - Game area bounds { width, height }
+     * @returns {Object} The updated state
+     */
+    step: (state, keys, deltaTime, bounds) => {
+        ShipPhysics.applyInput(state, keys, deltaTime);
+
+        // Velocities are px per 16ms frame, a frame only moves the ship as far as its time allows
+        state.x += state.velocityX * deltaTime / 16;
+        state.y += state.velocityY * deltaTime / 16;
+
+        return ShipPhysics.clampToBounds(state, bounds);
+    }
+};
+
+// Allow the multiplayer server to share the same physics
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShipPhysics;
+}
@@ -53,6 +53,24 @@ class Player {
         this.survivalTime = 0; // Time survived in seconds
         this.useServerTimestamps = false; // Flag to track if using server timestamps
         
+        // Input-based netcode (client-side prediction)
+        this.inputMode = false; // Send input frames instead of full state
+        this.inputSequence = 0; // Sequence number of the last recorded input frame
+        this.pendingInputs = []; // Frames not yet acknowledged by the server
+        this.unsentInputs = []; // Frames not yet sent to the server
+        this.maxPendingInputs = 120; // About 2 seconds of frames at 60 FPS
+        this.initialStateSent = false;
+        this.lastBounds = null;
+        
+        // Connection state of a player whose seat is being held by the server
+        this.isReconnecting = false;
+        
+        // Remote player snapshot interpolation
+        this.snapshots = []; // Buffered network states in arrival order
+        this.interpolationDelay = 100; // ms in the past remote players are rendered
+        this.maxExtrapolation = 250; // ms remote players are extrapolated when packets are late
+        this.snapshotBufferTime = 1000; // ms of snapshots kept in the buffer
+        
         // Performance optimization flags
         this.needsUpdate = false;
         this.lastUpdateTime = 0;
@@ -164,48 +182,28 @@ class Player {
         
         // Handle input for local player
         if (this.isLocal) {
-            // Turning
-            if (this.keys.left) this.angle -= this.turningSpeed * (deltaTime / 16);
-            if (this.keys.right) this.angle += this.turningSpeed * (deltaTime / 16);
-            
-            // Normalize angle to 0-360
-            this.angle = (this.angle + 360) % 360;
-            
-            // Convert angle to radians for movement calculations
-            const angleRad = this.angle * Math.PI / 180;
-              // Accelerate
-            if (this.keys.up) {
-                this.velocityX += Math.sin(angleRad) * this.acceleration;
-                this.velocityY -= Math.cos(angleRad) * this.acceleration;
-                
-                // Leave trail particles when accelerating
-                if (Math.random() > 0.6) this.createTrail(); // Increased trail frequency
-            }
+            ShipPhysics.applyInput(this, this.keys, deltaTime);
             
-            // Brake
-            if (this.keys.down) {
-                this.velocityX *= 0.9;
-                this.velocityY *= 0.9;
-            }
-            
-            // Apply friction
-            this.velocityX *= this.friction;
-            this.velocityY *= this.friction;
+            // Leave trail particles when accelerating
+            if (this.keys.up && Math.random() > 0.6) this.createTrail(); // Increased trail frequency
             
-            // Limit max speed
-            const speed = Math.sqrt(this.velocityX * this.velocityX + this.velocityY * this.velocityY);
-            if (speed > this.maxSpeed) {
-                const ratio = this.maxSpeed / speed;
-                this.velocityX *= ratio;
-                this.velocityY *= ratio;
+            // Record the frame so the server can replay it
+            if (this.inputMode) {
+                this.recordInputFrame(deltaTime);
             }
             
             this.needsUpdate = false;
         }
         
         // Update position
-        this.x += this.velocityX;
-        this.y += this.velocityY;
+        if (!this.isLocal && this.snapshots.length > 0) {
+            // Remote players are rendered slightly in the past from buffered snapshots
+            this.interpolateSnapshots(now);
+        } else {
+            // Same movement as ShipPhysics.step, so the server replays it exactly
+            this.x += this.velocityX * deltaTime / 16;
+            this.y += this.velocityY * deltaTime / 16;
+        }
           // Validate bounds before attempting to wrap
         if (!bounds || typeof bounds.width !== 'number' || typeof bounds.height !== 'number' || 
             bounds.width <= 0 || bounds.height <= 0) {
@@ -225,27 +223,8 @@ class Player {
         }
         
         // Keep player within screen boundaries (no wrapping)
-        const margin = 20; // Keep player 20px away from exact edge
-        
-        // Left and right boundaries
-        if (this.x < margin) {
-            this.x = margin;
-            this.velocityX = 0; // Stop horizontal movement
-        }
-        if (this.x > bounds.width - margin) {
-            this.x = bounds.width - margin;
-            this.velocityX = 0; // Stop horizontal movement
-        }
-        
-        // Top and bottom boundaries
-        if (this.y < margin) {
-            this.y = margin;
-            this.velocityY = 0; // Stop vertical movement
-        }
-        if (this.y > bounds.height - margin) {
-            this.y = bounds.height - margin;
-            this.velocityY = 0; // Stop vertical movement
-        }
+        ShipPhysics.clampToBounds(this, bounds);
+        this.lastBounds = bounds;
         
         // Update visual position
         this.updatePosition();
@@ -375,17 +354,7 @@ class Player {
         this.lives--;
         
         if (this.lives <= 0) {
-            this.isAlive = false;
-            // Record death time for survival calculation using appropriate timestamp format
-            this.deathTime = this.useServerTimestamps ? Date.now() : performance.now();
-            this.updateSurvivalTime();
-            
-            if (this.element) {
-                this.element.classList.add('exploding');
-                setTimeout(() => {
-                    if (this.element) this.element.remove();
-                }, 1000);
-            }
+            this.die();
             return true; // Player died
         }
         
@@ -398,6 +367,41 @@ class Player {
         return false; // Player still alive
     }
     
+    /**
+     * Mark the player as dead and play the explosion
+     */
+    die() {
+        this.isAlive = false;
+        this.lives = 0;
+        // Record death time for survival calculation using appropriate timestamp format
+        this.deathTime = this.useServerTimestamps ? Date.now() : performance.now();
+        this.updateSurvivalTime();
+        
+        const element = this.element;
+        if (element) {
+            element.classList.add('exploding');
+            setTimeout(() => {
+                // The server may have revived us in the meantime
+                if (!this.isAlive) element.remove();
+            }, 1000);
+        }
+    }
+    
+    /**
+     * Bring the player back after the server rejected a predicted death
+     * @param {HTMLElement} container - Game area element
+     */
+    revive(container) {
+        this.isAlive = true;
+        this.deathTime = null;
+        
+        if (!this.element || !this.element.parentNode) {
+            this.createElements(container);
+        }
+        this.element.classList.remove('exploding');
+        this.updatePosition();
+    }
+    
     /**
      * Add points to player's score
      * @param {number} points - Points to add
@@ -443,6 +447,91 @@ class Player {
         };
     }
     
+    /**
+     * Record the current input as a sequenced frame
+     * @param {number} deltaTime - Frame time in ms
+     */
+    recordInputFrame(deltaTime) {
+        const frame = {
+            seq: ++this.inputSequence,
+            keys: { ...this.keys },
+            deltaTime
+        };
+        
+        this.pendingInputs.push(frame);
+        this.unsentInputs.push(frame);
+        
+        // Don't grow forever if the server stops acknowledging
+        if (this.pendingInputs.length > this.maxPendingInputs) {
+            this.pendingInputs.shift();
+        }
+    }
+    
+    /**
+     * Get the next input message for the server
+     * @param {Object} bounds - Game area bounds { width, height }
+     * @returns {Object} Input frames plus the state the server doesn't simulate
+     */
+    getInputMessage(bounds) {
+        const message = {
+            frames: this.unsentInputs,
+            score: this.score,
+            lives: this.lives,
+            isAlive: this.isAlive
+        };
+        this.unsentInputs = [];
+        
+        // The server starts simulating from our spawn position
+        if (!this.initialStateSent) {
+            message.initialState = {
+                x: this.x,
+                y: this.y,
+                angle: this.angle,
+                velocityX: this.velocityX,
+                velocityY: this.velocityY,
+                bounds: { width: bounds.width, height: bounds.height }
+            };
+            this.initialStateSent = true;
+        }
+        
+        return message;
+    }
+    
+    /**
+     * Start input netcode over after reconnecting, the server builds a new ship
+     */
+    resetInputState() {
+        this.pendingInputs = [];
+        this.unsentInputs = [];
+        this.initialStateSent = false;
+    }
+    
+    /**
+     * Apply an authoritative server state and replay unacknowledged inputs
+     * @param {Object} serverState - Server ship state with lastProcessedInput
+     */
+    reconcile(serverState) {
+        if (!this.isLocal || !this.inputMode) return;
+        
+        // Forget inputs the server has already applied
+        this.pendingInputs = this.pendingInputs.filter(input => input.seq > serverState.lastProcessedInput);
+        
+        this.x = serverState.x;
+        this.y = serverState.y;
+        this.angle = serverState.angle;
+        this.velocityX = serverState.velocityX;
+        this.velocityY = serverState.velocityY;
+        
+        // Predict ahead again from the corrected state
+        if (this.lastBounds) {
+            this.pendingInputs.forEach(input => {
+                ShipPhysics.step(this, input.keys, input.deltaTime, this.lastBounds);
+            });
+        }
+        
+        this.updatePosition();
+    }
+    
     /**
      * Update player state from network data
      * @param {Object} data - Network player state
@@ -451,16 +540,67 @@ class Player {
         // Only update remote players
         if (this.isLocal) return;
         
-        this.x = data.x;
-        this.y = data.y;
-        this.angle = data.angle;
+        const now = performance.now();
+        
+        // Buffer the movement state, position is applied in update()
+        this.snapshots.push({
+            time: now,
+            x: data.x,
+            y: data.y,
+            angle: data.angle,
+            velocityX: data.velocityX,
+            velocityY: data.velocityY
+        });
+        
+        // Drop old snapshots but always keep two to interpolate between
+        while (this.snapshots.length > 2 && now - this.snapshots[0].time > this.snapshotBufferTime) {
+            this.snapshots.shift();
+        }
+        
         this.velocityX = data.velocityX;
         this.velocityY = data.velocityY;
-        this.score = data.score;
-        this.lives = data.lives;
-        this.isAlive = data.isAlive;
         
-        this.updatePosition();
+        // Score, lives and deaths arrive separately as server stats
+    }
+    
+    /**
+     * Set position and angle from the snapshot buffer at the interpolation delay
+     * @param {number} now - Current timestamp (performance.now() format)
+     */
+    interpolateSnapshots(now) {
+        const renderTime = now - this.interpolationDelay;
+        const snapshots = this.snapshots;
+        
+        // Find the pair of snapshots surrounding the render time
+        for (let i = snapshots.length - 1; i > 0; i--) {
+            const from = snapshots[i - 1];
+            const to = snapshots[i];
+            
+            if (from.time <= renderTime && renderTime <= to.time) {
+                const span = to.time - from.time;
+                const t = span > 0 ? (renderTime - from.time) / span : 1;
+                
+                this.x = from.x + (to.x - from.x) * t;
+                this.y = from.y + (to.y - from.y) * t;
+                this.angle = Utils.lerpAngle(from.angle, to.angle, t);
+                return;
+            }
+        }
+        
+        const latest = snapshots[snapshots.length - 1];
+        
+        if (renderTime > latest.time) {
+            // Packets are late, extrapolate using the last known velocity
+            const elapsed = Math.min(renderTime - latest.time, this.maxExtrapolation);
+            this.x = latest.x + latest.velocityX * elapsed / 16;
+            this.y = latest.y + latest.velocityY * elapsed / 16;
+            this.angle = latest.angle;
+        } else {
+            // Not enough history yet, show the oldest known state
+            this.x = snapshots[0].x;
+            this.y = snapshots[0].y;
+            this.angle = snapshots[0].angle;
+        }
     }
     
     /**
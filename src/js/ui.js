@@ -16,12 +16,34 @@ class UIManager {
             playerNameInput: document.getElementById('player-name'),
             roomIdInput: document.getElementById('room-id'),
             createJoinBtn: document.getElementById('create-join-btn'),
+            roomPasswordInput: document.getElementById('room-password'),
+            privateRoomCheckbox: document.getElementById('private-room'),
+            passwordPrompt: document.getElementById('password-prompt'),
+            passwordPromptText: document.getElementById('password-prompt-text'),
+            passwordPromptInput: document.getElementById('password-prompt-input'),
+            passwordSubmitBtn: document.getElementById('password-submit-btn'),
+            passwordCancelBtn: document.getElementById('password-cancel-btn'),
+            spectateBtn: document.getElementById('spectate-btn'),
+            quickPlayBtn: document.getElementById('quick-play-btn'),
+            quickPlaySizeSelect: document.getElementById('quick-play-size'),
+            matchmakingStatus: document.getElementById('matchmaking-status'),
+            matchmakingStatusText: document.getElementById('matchmaking-status-text'),
+            cancelMatchmakingBtn: document.getElementById('cancel-matchmaking-btn'),
             connectionStatus: document.getElementById('connection-status'),
             waitingRoom: document.querySelector('.waiting-room'),
             roomCode: document.getElementById('room-code'),
+            roomPrivacy: document.getElementById('room-privacy'),
+            copyInviteBtn: document.getElementById('copy-invite-btn'),
             playersList: document.getElementById('players-list'),
             startGameBtn: document.getElementById('start-game-btn'),
+            forceStartBtn: document.getElementById('force-start-btn'),
+            readyBtn: document.getElementById('ready-btn'),
+            autoStartStatus: document.getElementById('auto-start-status'),
+            playerMenu: document.getElementById('player-menu'),
             leaveRoomBtn: document.getElementById('leave-room-btn'),
+            roomSettingInputs: document.querySelectorAll('#room-settings [data-setting]'),
+            applySettingsBtn: document.getElementById('apply-settings-btn'),
+            takeSeatBtn: document.getElementById('take-seat-btn'),
             
             // Instructions
             instructionsToggle: document.getElementById('instructions-toggle'),
@@ -30,12 +52,18 @@ class UIManager {
             // Room selection
             refreshRoomsBtn: document.getElementById('refresh-rooms-btn'),
             roomDropdown: document.getElementById('room-dropdown'),
+            roomDropdownList: document.getElementById('room-dropdown-list'),
+            roomFilterInput: document.getElementById('room-filter'),
+            roomSortSelect: document.getElementById('room-sort'),
+            roomHideUnavailable: document.getElementById('room-hide-unavailable'),
             
             // Game screen
             gameArea: document.getElementById('game-area'),
             timer: document.getElementById('timer'),
             scoreboard: document.getElementById('scoreboard'),
             countdownDisplay: document.getElementById('countdown-display'),
+            spectatorBar: document.getElementById('spectator-bar'),
+            spectatorTakeSeatBtn: document.getElementById('spectator-take-seat-btn'),
               // Game menu
             gameMenu: document.getElementById('game-menu'),
             resumeBtn: document.getElementById('resume-btn'),
@@ -46,32 +74,74 @@ class UIManager {
             winnerDisplay: document.getElementById('winner-display'),
             finalScores: document.getElementById('final-scores'),
             playAgainBtn: document.getElementById('play-again-btn'),
+            restartRequest: document.getElementById('restart-request'),
+            restartRequestText: document.getElementById('restart-request-text'),
+            restartAcceptBtn: document.getElementById('restart-accept-btn'),
+            restartDeclineBtn: document.getElementById('restart-decline-btn'),
+            restartVotes: document.getElementById('restart-votes'),
             exitBtn: document.getElementById('exit-btn'),
             
             // Chat elements
             chatPanel: document.getElementById('chat-panel'),
             chatToggleBtn: document.getElementById('chat-toggle-btn'),
+            chatUnread: document.getElementById('chat-unread'),
             chatMessages: document.getElementById('chat-messages'),
+            chatTyping: document.getElementById('chat-typing'),
             chatInput: document.getElementById('chat-input'),
             chatSendBtn: document.getElementById('chat-send-btn'),
             
             // Waiting room chat elements
             waitingChatMessages: document.getElementById('waiting-chat-messages'),
+            waitingChatTyping: document.getElementById('waiting-chat-typing'),
             waitingChatInput: document.getElementById('waiting-chat-input'),
             waitingChatSendBtn: document.getElementById('waiting-chat-send-btn')
         };
           // Event callbacks
         this.callbacks = {
             onJoinGame: null,
+            onSpectateGame: null,
+            onQuickPlay: null,
+            onCancelMatchmaking: null,
+            onPasswordSubmit: null,
+            onTakeSeat: null,
+            onConfigureRoom: null,
+            onToggleReady: null,
+            onKickPlayer: null,
+            onBanPlayer: null,
+            onMutePlayer: null,
+            onTransferHost: null,
             onStartGame: null,
             onResumeGame: null,
             onRestartGame: null,
             onQuitGame: null,
             onPlayAgain: null,
+            onRestartResponse: null,
             onLeaveRoom: null,
-            onSendChatMessage: null
+            onSendChatMessage: null,
+            onLoadChatHistory: null,
+            onTyping: null
         };
         
+        // Waiting room state
+        this.isHost = false;
+        this.allPlayersReady = false;
+        this.isLocalPlayerReady = false;
+        this.autoStartInterval = null;
+        this.restartRequestPlayerId = null; // Player whose restart request is shown to the host
+        this.lobbyRooms = null; // Latest room list from the lobby channel, null until it arrives
+        
+        // Chat state
+        this.maxChatMessages = 200; // Messages kept per chat container (the server remembers as many)
+        this.chatScrollbackThreshold = 20; // px from the top that loads older messages
+        this.chatHistoryHasMore = false; // Whether the server has older messages than the ones shown
+        this.chatHistoryLoading = false;
+        this.unreadChatCount = 0; // Messages received while the in-game chat is minimized
+        this.typingPlayers = new Map(); // playerId -> { name, timeout } for the typing indicator
+        this.typingIndicatorTimeout = 5000; // ms before a typing notice without updates is dropped
+        this.isTyping = false; // Whether we told the room we are typing
+        this.typingStopDelay = 3000; // ms without key presses before we stop typing
+        this.typingStopTimer = null;
+        
         // Track active notifications for stacking
         this.activeNotifications = [];
         this.notificationBaseTop = 20; // Base top position in percentage
@@ -174,7 +244,7 @@ class UIManager {
                     // Format room ID to uppercase for consistency
                     const formattedRoomId = roomId ? roomId.trim().toUpperCase() : null;
                     console.log(`UI: Create/Join action: Player=${playerName}, Room=${formattedRoomId || 'NEW'}`);
-                    this.callbacks.onJoinGame(playerName, formattedRoomId);
+                    this.callbacks.onJoinGame(playerName, formattedRoomId, this.getRoomPrivacyInput());
                 }
                 AudioSystem.play('click');
             }
@@ -183,12 +253,84 @@ class UIManager {
         // Join screen
         this.elements.createJoinBtn.addEventListener('click', handleJoinGameAction);
         
+        this.elements.spectateBtn.addEventListener('click', () => {
+            const playerName = this.elements.playerNameInput.value.trim();
+            const roomId = this.elements.roomIdInput.value.trim();
+            
+            if (!roomId) {
+                this.showConnectionStatus('Enter the ID of the room you want to watch', 'error');
+                return;
+            }
+            
+            if (this.validatePlayerName(playerName) && this.callbacks.onSpectateGame) {
+                this.callbacks.onSpectateGame(playerName, roomId.toUpperCase(), this.getRoomPrivacyInput());
+            }
+            AudioSystem.play('click');
+        });
+        
+        // Quick Play puts us in the matchmaking queue
+        this.elements.quickPlayBtn.addEventListener('click', () => {
+            const playerName = this.elements.playerNameInput.value.trim();
+            const preferredSize = parseInt(this.elements.quickPlaySizeSelect.value, 10) || 0;
+            
+            if (this.validatePlayerName(playerName) && this.callbacks.onQuickPlay) {
+                this.callbacks.onQuickPlay(playerName, preferredSize);
+            }
+            AudioSystem.play('click');
+        });
+        
+        this.elements.cancelMatchmakingBtn.addEventListener('click', () => {
+            if (this.callbacks.onCancelMatchmaking) {
+                this.callbacks.onCancelMatchmaking();
+            }
+            AudioSystem.play('click');
+        });
+        
+        // Close the host moderation menu when clicking anywhere else
+        document.addEventListener('click', (event) => {
+            if (!this.elements.playerMenu.contains(event.target)) {
+                this.hidePlayerMenu();
+            }
+        });
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                this.hidePlayerMenu();
+            }
+        });
+        
+        // Password prompt for protected rooms
+        const submitPassword = () => {
+            const password = this.elements.passwordPromptInput.value;
+            if (!password) return;
+            
+            if (this.callbacks.onPasswordSubmit) {
+                this.callbacks.onPasswordSubmit(password);
+            }
+            this.hidePasswordPrompt();
+            AudioSystem.play('click');
+        };
+        
+        this.elements.passwordSubmitBtn.addEventListener('click', submitPassword);
+        this.elements.passwordPromptInput.addEventListener('keyup', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                submitPassword();
+            }
+        });
+        
+        this.elements.passwordCancelBtn.addEventListener('click', () => {
+            this.hidePasswordPrompt();
+            AudioSystem.play('click');
+        });
+        
         // Enter key handlers for input fields
         this.elements.playerNameInput.addEventListener('keyup', (event) => {
             if (event.key === 'Enter') {
                 event.preventDefault();
-                // If name is filled but room is not focused, focus on room
+                // If name is filled but room is empty and not focused, focus on room
+                // (a room from an invite link is already filled in, so join right away)
                 if (this.elements.playerNameInput.value.trim() && 
+                    !this.elements.roomIdInput.value.trim() &&
                     document.activeElement !== this.elements.roomIdInput) {
                     this.elements.roomIdInput.focus();
                 } else {
@@ -205,13 +347,33 @@ class UIManager {
         });
         
         // Waiting room
+        this.elements.readyBtn.addEventListener('click', () => {
+            if (this.callbacks.onToggleReady) {
+                this.callbacks.onToggleReady(!this.isLocalPlayerReady);
+            }
+            AudioSystem.play('click');
+        });
+        
         this.elements.startGameBtn.addEventListener('click', () => {
             if (this.callbacks.onStartGame) {
-                this.callbacks.onStartGame();
+                this.callbacks.onStartGame(false);
+            }
+            AudioSystem.play('click');
+        });
+        
+        // Host override when not everyone is ready
+        this.elements.forceStartBtn.addEventListener('click', () => {
+            if (this.callbacks.onStartGame) {
+                this.callbacks.onStartGame(true);
             }
             AudioSystem.play('click');
         });
         
+        this.elements.copyInviteBtn.addEventListener('click', () => {
+            this.copyInviteLink(this.elements.roomCode.textContent);
+            AudioSystem.play('click');
+        });
+        
         this.elements.leaveRoomBtn.addEventListener('click', () => {
             if (this.callbacks.onLeaveRoom) {
                 this.callbacks.onLeaveRoom();
@@ -219,6 +381,24 @@ class UIManager {
             AudioSystem.play('click');
         });
         
+        // Room settings (host only)
+        this.elements.applySettingsBtn.addEventListener('click', () => {
+            if (this.callbacks.onConfigureRoom) {
+                this.callbacks.onConfigureRoom(this.getRoomSettingsInput());
+            }
+            AudioSystem.play('click');
+        });
+        
+        // Spectators asking for a seat, from the waiting room or during a game
+        [this.elements.takeSeatBtn, this.elements.spectatorTakeSeatBtn].forEach(button => {
+            button.addEventListener('click', () => {
+                if (this.callbacks.onTakeSeat) {
+                    this.callbacks.onTakeSeat();
+                }
+                AudioSystem.play('click');
+            });
+        });
+        
         // Game menu
         this.elements.resumeBtn.addEventListener('click', () => {
             if (this.callbacks.onResumeGame) {
@@ -252,6 +432,17 @@ class UIManager {
             AudioSystem.play('click');
         });
         
+        // Host answering a restart request
+        [this.elements.restartAcceptBtn, this.elements.restartDeclineBtn].forEach(button => {
+            button.addEventListener('click', () => {
+                if (this.callbacks.onRestartResponse && this.restartRequestPlayerId) {
+                    this.callbacks.onRestartResponse(this.restartRequestPlayerId, button === this.elements.restartAcceptBtn);
+                }
+                this.hideRestartRequest();
+                AudioSystem.play('click');
+            });
+        });
+        
         this.elements.exitBtn.addEventListener('click', () => {
             if (this.callbacks.onQuitGame) {
                 this.callbacks.onQuitGame();
@@ -315,6 +506,22 @@ class UIManager {
                 }
             });
         }
+        
+        // Typing indicator and scrollback for both chats
+        [this.elements.chatInput, this.elements.waitingChatInput].forEach(input => {
+            if (!input) return;
+            input.addEventListener('input', () => this.updateTypingState(input.value));
+            input.addEventListener('blur', () => this.stopTyping());
+        });
+        
+        [this.elements.chatMessages, this.elements.waitingChatMessages].forEach(container => {
+            if (!container) return;
+            container.addEventListener('scroll', () => {
+                if (container.scrollTop <= this.chatScrollbackThreshold) {
+                    this.loadOlderChatMessages(container);
+                }
+            });
+        });
     }
     
     /**
@@ -408,6 +615,10 @@ class UIManager {
         
         this.elements.roomCode.textContent = roomId;
         this.elements.waitingRoom.classList.remove('hidden');
+        this.hidePasswordPrompt();
+        
+        // The players list shows moderation controls to the host
+        this.isHost = isHost;
         
         // Only host can start the game
         if (isHost) {
@@ -416,8 +627,120 @@ class UIManager {
             this.elements.startGameBtn.classList.add('hidden');
         }
         
-        // Clear the room ID input field
+        // Clear the room ID and privacy fields
         this.elements.roomIdInput.value = '';
+        this.elements.roomPasswordInput.value = '';
+        this.elements.privateRoomCheckbox.checked = false;
+    }
+    
+    /**
+     * Read the password and privacy options from the join screen
+     * @returns {Object} Password and whether a new room should be private
+     */
+    getRoomPrivacyInput() {
+        return {
+            password: this.elements.roomPasswordInput.value,
+            isPrivate: this.elements.privateRoomCheckbox.checked
+        };
+    }
+    
+    /**
+     * Ask for the password of a protected room
+     * @param {string} roomId - Room ID
+     * @param {boolean} incorrect - Whether the last password was wrong
+     */
+    showPasswordPrompt(roomId, incorrect) {
+        this.elements.passwordPromptText.textContent = incorrect
+            ? `Wrong password for room ${roomId}, try again`
+            : `Room ${roomId} is password protected`;
+        this.elements.passwordPromptInput.value = '';
+        this.elements.passwordPrompt.classList.remove('hidden');
+        this.elements.passwordPromptInput.focus();
+    }
+    
+    /**
+     * Hide the password prompt
+     */
+    hidePasswordPrompt() {
+        this.elements.passwordPrompt.classList.add('hidden');
+        this.elements.passwordPromptInput.value = '';
+    }
+    
+    /**
+     * Show our place in the matchmaking queue
+     * @param {Object} status - Queue status from the server (position, queueSize, estimatedWait)
+     */
+    showMatchmakingStatus(status) {
+        const lines = ['Looking for a match...'];
+        
+        if (status) {
+            lines.push(`Position ${status.position} of ${status.queueSize} in queue`);
+            lines.push(`Estimated wait: ${Utils.formatTime(status.estimatedWait)}`);
+        }
+        
+        this.elements.matchmakingStatusText.innerHTML = lines.join('<br>');
+        this.elements.matchmakingStatus.classList.remove('hidden');
+        this.elements.quickPlayBtn.disabled = true;
+        this.elements.createJoinBtn.disabled = true;
+    }
+    
+    /**
+     * Hide the matchmaking queue status
+     */
+    hideMatchmakingStatus() {
+        this.elements.matchmakingStatus.classList.add('hidden');
+        this.elements.quickPlayBtn.disabled = false;
+        this.elements.createJoinBtn.disabled = false;
+    }
+    
+    /**
+     * Show whether the current room is private or password protected
+     * @param {boolean} isPrivate - Whether the room is hidden from the room list
+     * @param {boolean} hasPassword - Whether the room needs a password
+     */
+    updateRoomPrivacy(isPrivate, hasPassword) {
+        const labels = [];
+        if (hasPassword) labels.push('<i class="fa fa-lock"></i> Password');
+        if (isPrivate) labels.push('<i class="fa fa-eye-slash"></i> Private');
+        this.elements.roomPrivacy.innerHTML = labels.join(' ');
+    }
+    
+    /**
+     * Build a link that opens the game and joins a room
+     * @param {string} roomId - Room ID
+     * @returns {string} Invite URL
+     */
+    getInviteLink(roomId) {
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = '';
+        url.searchParams.set('room', roomId);
+        return url.toString();
+    }
+    
+    /**
+     * Copy the invite link for a room to the clipboard
+     * @param {string} roomId - Room ID
+     */
+    async copyInviteLink(roomId) {
+        const link = this.getInviteLink(roomId);
+        
+        try {
+            await navigator.clipboard.writeText(link);
+            this.showConnectionStatus('Invite link copied to clipboard', 'success');
+        } catch (error) {
+            // Clipboard access can be blocked (e.g. over plain http), show the link instead
+            console.warn('Could not copy invite link:', error);
+            this.showConnectionStatus(`Invite link: ${link}`, 'info');
+        }
+    }
+    
+    /**
+     * Fill in the room ID on the join screen (e.g. from an invite link)
+     * @param {string} roomId - Room ID, or an empty string to clear it
+     */
+    prefillRoomId(roomId) {
+        this.elements.roomIdInput.value = roomId;
     }
     
     /**
@@ -426,14 +749,102 @@ class UIManager {
     hideWaitingRoom() {
         this.elements.waitingRoom.classList.add('hidden');
         this.elements.startGameBtn.classList.add('hidden');
+        this.elements.forceStartBtn.classList.add('hidden');
+        this.hideAutoStartCountdown();
+        this.hidePlayerMenu();
+    }
+    
+    /**
+     * Enable the start controls depending on the ready check
+     * The start button needs everyone ready, the host can still force a start
+     */
+    updateStartControls() {
+        this.elements.startGameBtn.disabled = !this.allPlayersReady;
+        this.elements.forceStartBtn.classList.toggle('hidden', !this.isHost || this.allPlayersReady);
+    }
+    
+    /**
+     * Show the countdown until the room starts by itself
+     * @param {number} seconds - Seconds until the game starts
+     * @param {string} [reason] - 'matchmaking' while a Quick Play room waits for more players
+     */
+    showAutoStartCountdown(seconds, reason) {
+        this.hideAutoStartCountdown();
+        
+        let remaining = seconds;
+        const status = this.elements.autoStartStatus;
+        const prefix = reason === 'matchmaking' ? 'Waiting for more players.' : 'Everyone is ready!';
+        status.textContent = `${prefix} Starting in ${remaining}...`;
+        status.classList.remove('hidden');
+        
+        this.autoStartInterval = setInterval(() => {
+            remaining = Math.max(0, remaining - 1);
+            status.textContent = `${prefix} Starting in ${remaining}...`;
+            
+            if (remaining === 0) {
+                clearInterval(this.autoStartInterval);
+                this.autoStartInterval = null;
+            }
+        }, 1000);
+    }
+    
+    /**
+     * Hide the auto-start countdown
+     */
+    hideAutoStartCountdown() {
+        if (this.autoStartInterval) {
+            clearInterval(this.autoStartInterval);
+            this.autoStartInterval = null;
+        }
+        
+        this.elements.autoStartStatus.classList.add('hidden');
+    }
+    
+    /**
+     * Show the current match settings in the waiting room
+     * @param {Object} settings - Room settings from the server
+     */
+    updateRoomSettings(settings) {
+        this.elements.roomSettingInputs.forEach(input => {
+            const value = settings[input.dataset.setting];
+            if (value !== undefined) {
+                input.value = value;
+            }
+        });
+    }
+    
+    /**
+     * Read the match settings entered by the host
+     * @returns {Object} Settings keyed by name
+     */
+    getRoomSettingsInput() {
+        const settings = {};
+        this.elements.roomSettingInputs.forEach(input => {
+            settings[input.dataset.setting] = Number(input.value);
+        });
+        return settings;
+    }
+    
+    /**
+     * Show or hide the controls for spectators
+     * @param {boolean} isSpectator - Whether the local user is spectating
+     * @param {boolean} [seatRequested] - Whether a seat for the next round was already requested
+     */
+    setSpectatorMode(isSpectator, seatRequested = false) {
+        this.elements.takeSeatBtn.classList.toggle('hidden', !isSpectator);
+        this.elements.spectatorBar.classList.toggle('hidden', !isSpectator);
+        
+        this.elements.spectatorTakeSeatBtn.disabled = seatRequested;
+        this.elements.spectatorTakeSeatBtn.textContent = seatRequested ? 'Joining next round' : 'Join next round';
     }
     
     /**
      * Update the players list in waiting room
      * @param {Array} players - Array of player objects
      * @param {string} localPlayerId - ID of the local player
+     * @param {Array} [spectators] - Array of spectator objects
      */
-    updatePlayersList(players, localPlayerId) {
+    updatePlayersList(players, localPlayerId, spectators = []) {
         const playersList = this.elements.playersList;
         playersList.innerHTML = '';
         
@@ -452,16 +863,165 @@ class UIManager {
             // Player name
             const nameSpan = document.createElement('span');
             nameSpan.textContent = player.name;
+            this.addMutedBadge(nameSpan, player);
             playerEntry.appendChild(nameSpan);
             
             // Status indicator
             const statusSpan = document.createElement('span');
-            statusSpan.textContent = 'Ready';
-            statusSpan.className = 'player-ready';
+            if (player.disconnected) {
+                statusSpan.textContent = 'Reconnecting...';
+                statusSpan.className = 'player-waiting';
+            } else {
+                statusSpan.textContent = player.isReady ? 'Ready' : 'Not ready';
+                statusSpan.className = player.isReady ? 'player-ready' : 'player-waiting';
+            }
             playerEntry.appendChild(statusSpan);
             
+            if (player.id !== localPlayerId) {
+                this.addPlayerMenu(playerEntry, player);
+            }
+            
             playersList.appendChild(playerEntry);
         });
+        
+        // Spectators are listed after the players
+        spectators.forEach(spectator => {
+            const spectatorEntry = document.createElement('div');
+            spectatorEntry.className = 'player-entry';
+            
+            if (spectator.id === localPlayerId) {
+                spectatorEntry.classList.add('local-player');
+            }
+            
+            spectatorEntry.style.borderLeft = `4px solid ${spectator.color}`;
+            
+            const nameSpan = document.createElement('span');
+            nameSpan.textContent = spectator.name;
+            this.addMutedBadge(nameSpan, spectator);
+            spectatorEntry.appendChild(nameSpan);
+            
+            const statusSpan = document.createElement('span');
+            statusSpan.textContent = 'Spectator';
+            statusSpan.className = 'player-spectator';
+            spectatorEntry.appendChild(statusSpan);
+            
+            if (spectator.id !== localPlayerId) {
+                this.addPlayerMenu(spectatorEntry, spectator);
+            }
+            
+            playersList.appendChild(spectatorEntry);
+        });
+        
+        // Ready check state (spectators have no ready button)
+        const localPlayer = players.find(p => p.id === localPlayerId);
+        this.isLocalPlayerReady = !!(localPlayer && localPlayer.isReady);
+        this.allPlayersReady = players.length >= 2 &&
+            players.every(p => p.isReady && !p.disconnected);
+        
+        this.elements.readyBtn.classList.toggle('hidden', !localPlayer);
+        this.elements.readyBtn.classList.toggle('is-ready', this.isLocalPlayerReady);
+        this.elements.readyBtn.textContent = this.isLocalPlayerReady ? 'Not Ready' : 'Ready';
+        
+        this.updateStartControls();
+    }
+    
+    /**
+     * Mark a muted player's name in the players list
+     * @param {HTMLElement} nameSpan - Name element of the list entry
+     * @param {Object} player - Player or spectator data
+     */
+    addMutedBadge(nameSpan, player) {
+        if (!player.isMuted) return;
+        
+        const badge = document.createElement('i');
+        badge.className = 'fa fa-microphone-slash player-muted';
+        badge.title = 'Muted by the host';
+        nameSpan.appendChild(badge);
+    }
+    
+    /**
+     * Give the host moderation controls on a players list entry
+     * Right-clicking the entry or pressing its menu button opens the menu
+     * @param {HTMLElement} entry - Players list entry
+     * @param {Object} player - Player or spectator data
+     */
+    addPlayerMenu(entry, player) {
+        if (!this.isHost) return;
+        
+        const menuBtn = document.createElement('button');
+        menuBtn.className = 'player-menu-btn';
+        menuBtn.title = 'Moderate player';
+        menuBtn.innerHTML = '<i class="fa fa-ellipsis-v"></i>';
+        menuBtn.addEventListener('click', (event) => {
+            event.stopPropagation();
+            const rect = menuBtn.getBoundingClientRect();
+            this.showPlayerMenu(player, rect.left, rect.bottom);
+        });
+        entry.appendChild(menuBtn);
+        
+        entry.addEventListener('contextmenu', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            this.showPlayerMenu(player, event.clientX, event.clientY);
+        });
+    }
+    
+    /**
+     * Show the host moderation menu for a player
+     * @param {Object} player - Player or spectator data
+     * @param {number} x - Menu position from the left of the window
+     * @param {number} y - Menu position from the top of the window
+     */
+    showPlayerMenu(player, x, y) {
+        const menu = this.elements.playerMenu;
+        menu.innerHTML = '';
+        
+        const actions = [
+            { label: player.isMuted ? 'Unmute' : 'Mute', callback: 'onMutePlayer', args: [!player.isMuted] },
+            { label: 'Kick', callback: 'onKickPlayer', danger: true },
+            {
+                label: 'Ban',
+                callback: 'onBanPlayer',
+                danger: true,
+                // Bans follow the identity stored in the player's browser
+                title: 'Keeps this browser out of the room. Another browser, a private window or cleared site data gets back in.'
+            }
+        ];
+        
+        // Only a connected, seated player can take over as host
+        if (!player.isSpectator && !player.disconnected) {
+            actions.unshift({ label: 'Make host', callback: 'onTransferHost' });
+        }
+        
+        actions.forEach(action => {
+            const button = document.createElement('button');
+            button.textContent = action.label;
+            if (action.title) {
+                button.title = action.title;
+            }
+            if (action.danger) {
+                button.classList.add('danger');
+            }
+            button.addEventListener('click', () => {
+                this.hidePlayerMenu();
+                if (this.callbacks[action.callback]) {
+                    this.callbacks[action.callback](player.id, ...(action.args || []));
+                }
+                AudioSystem.play('click');
+            });
+            menu.appendChild(button);
+        });
+        
+        menu.style.left = `${x}px`;
+        menu.style.top = `${y}px`;
+        menu.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide the host moderation menu
+     */
+    hidePlayerMenu() {
+        this.elements.playerMenu.classList.add('hidden');
     }
     
     /**
@@ -597,6 +1157,15 @@ class UIManager {
             scoreEntry.appendChild(statusIndicator);
             scoreEntry.appendChild(document.createTextNode(`${player.name}: ${player.score}`));
             
+            // Seat held by the server while the player reconnects
+            if (player.isReconnecting) {
+                const reconnectingIndicator = document.createElement('span');
+                reconnectingIndicator.textContent = ' ⟳';
+                reconnectingIndicator.title = 'Reconnecting...';
+                reconnectingIndicator.className = 'player-waiting';
+                scoreEntry.appendChild(reconnectingIndicator);
+            }
+            
             scoreboard.appendChild(scoreEntry);
         });
     }
@@ -606,9 +1175,13 @@ class UIManager {
      * @param {Array} scores - Array of player scores
      * @param {boolean} isHost - Whether the current player is the host
      * @param {boolean} isLocalGame - Whether this is a local game (offline)
+     * @param {boolean} [restartVote] - Whether the room restarts by majority vote
      */
-    showGameOver(winner, scores, isHost = false, isLocalGame = false) {
+    showGameOver(winner, scores, isHost = false, isLocalGame = false, restartVote = false) {
         this.hideAllScreens();
+        this.hideRestartRequest();
+        this.elements.restartVotes.classList.add('hidden');
+        this.elements.playAgainBtn.disabled = false;
         
         // Display winner info - handle draws and undefined winner
         const isDraw = scores.length > 0 && scores[0].isDraw;
@@ -646,9 +1219,9 @@ class UIManager {
         `;
         finalScores.appendChild(headerRow);
         
-        // Sort by score descending
+        // Sort by the server ranking when there is one, otherwise by score descending
         scores = Array.isArray(scores) ? scores : [];
-        scores.sort((a, b) => b.score - a.score);
+        scores.sort((a, b) => (a.rank && b.rank) ? a.rank - b.rank : b.score - a.score);
         
         scores.forEach(player => {
             const scoreEntry = document.createElement('div');
@@ -663,7 +1236,7 @@ class UIManager {
             }
             
             const nameElement = document.createElement('div');
-            nameElement.textContent = player.name;
+            nameElement.textContent = player.rank ? `${player.rank}. ${player.name}` : player.name;
             nameElement.style.color = player.color;
             
             const scoreElement = document.createElement('div');
@@ -685,9 +1258,12 @@ class UIManager {
             if (isHost) {
                 this.elements.playAgainBtn.textContent = 'Play Again';
                 this.elements.playAgainBtn.title = '';
+            } else if (restartVote) {
+                this.elements.playAgainBtn.textContent = 'Vote to Restart';
+                this.elements.playAgainBtn.title = 'The game restarts when most players vote';
             } else {
                 this.elements.playAgainBtn.textContent = 'Request Restart';
-                this.elements.playAgainBtn.title = 'Only the host can restart the game';
+                this.elements.playAgainBtn.title = 'Ask the host to restart the game';
             }
         } else {
             this.elements.playAgainBtn.textContent = 'Play Again';
@@ -704,6 +1280,52 @@ class UIManager {
         this._createNotification(`${playerName}`, 3000);
     }
     
+    /**
+     * Mark the Play Again button once a restart was requested
+     * @param {string} label - Button text while waiting
+     */
+    setRestartRequested(label) {
+        this.elements.playAgainBtn.disabled = true;
+        this.elements.playAgainBtn.textContent = label;
+    }
+    
+    /**
+     * Let a waiting restart request be sent again
+     */
+    resetRestartRequest() {
+        this.elements.playAgainBtn.disabled = false;
+        this.elements.playAgainBtn.textContent = 'Request Restart';
+    }
+    
+    /**
+     * Ask the host to accept or decline a restart request
+     * @param {string} playerId - ID of the player who asked
+     * @param {string} playerName - Name of the player who asked
+     */
+    showRestartRequest(playerId, playerName) {
+        this.restartRequestPlayerId = playerId;
+        this.elements.restartRequestText.textContent = `${playerName} wants to play again`;
+        this.elements.restartRequest.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide the restart request prompt
+     */
+    hideRestartRequest() {
+        this.restartRequestPlayerId = null;
+        this.elements.restartRequest.classList.add('hidden');
+    }
+    
+    /**
+     * Show the restart vote count on the game over screen
+     * @param {number} votes - Votes so far
+     * @param {number} needed - Votes needed to restart
+     */
+    updateRestartVotes(votes, needed) {
+        this.elements.restartVotes.textContent = `Restart votes: ${votes}/${needed}`;
+        this.elements.restartVotes.classList.remove('hidden');
+    }
+    
     /**
      * Show a game notification message
      * @param {string} message - Message to display
@@ -840,12 +1462,16 @@ class UIManager {
             this.refreshRoomsList();
         });
         
-        // Setup room input focus to show dropdown
+        // Setup room input focus to show dropdown (the list keeps itself up to date)
         this.elements.roomIdInput.addEventListener('focus', () => {
-            this.refreshRoomsList();
             this.elements.roomDropdown.classList.remove('hidden');
         });
         
+        // Filtering and sorting only change what is shown
+        this.elements.roomFilterInput.addEventListener('input', () => this.renderRoomList());
+        this.elements.roomSortSelect.addEventListener('change', () => this.renderRoomList());
+        this.elements.roomHideUnavailable.addEventListener('change', () => this.renderRoomList());
+        
         // Setup click outside to hide dropdown
         document.addEventListener('click', (e) => {
             if (!this.elements.roomIdInput.contains(e.target) &&
@@ -854,93 +1480,135 @@ class UIManager {
                 this.elements.roomDropdown.classList.add('hidden');
             }
         });
+        
+        // Room changes are pushed by the server from now on
+        this.networkManager.subscribeLobby();
     }
     
     /**
-     * Refresh the list of active rooms
+     * Ask the server for the full room list again
      */
     refreshRoomsList() {
-        // Start spinner animation
+        // Start spinner animation, it stops when the list arrives
         const refreshIcon = this.elements.refreshRoomsBtn.querySelector('i');
         refreshIcon.classList.add('spin');
         
-        // Clear current options
-        while (this.elements.roomDropdown.firstChild) {
-            this.elements.roomDropdown.removeChild(this.elements.roomDropdown.firstChild);
+        // Show the dropdown
+        this.elements.roomDropdown.classList.remove('hidden');
+        
+        this.networkManager.subscribeLobby();
+    }
+    
+    /**
+     * Show a new room list from the lobby channel
+     * @param {Array} rooms - Room summaries
+     */
+    updateRoomList(rooms) {
+        this.lobbyRooms = rooms;
+        this.elements.refreshRoomsBtn.querySelector('i').classList.remove('spin');
+        this.renderRoomList();
+    }
+    
+    /**
+     * Render the room list with the current filter and sort order
+     */
+    renderRoomList() {
+        const list = this.elements.roomDropdownList;
+        
+        // Nothing received yet, keep the loading message
+        if (!this.lobbyRooms) return;
+        
+        while (list.firstChild) {
+            list.removeChild(list.firstChild);
         }
         
-        // Show loading message
-        const loadingDiv = document.createElement('div');
-        loadingDiv.className = 'room-dropdown-loading';
-        loadingDiv.textContent = 'Looking for active rooms...';
-        this.elements.roomDropdown.appendChild(loadingDiv);
+        const filter = this.elements.roomFilterInput.value.trim().toLowerCase();
+        const hideUnavailable = this.elements.roomHideUnavailable.checked;
         
-        // Show the dropdown
-        this.elements.roomDropdown.classList.remove('hidden');
+        const rooms = this.lobbyRooms.filter(room => {
+            if (hideUnavailable && (room.gameInProgress || room.playerCount >= room.maxPlayers)) {
+                return false;
+            }
+            
+            return !filter ||
+                room.id.toLowerCase().includes(filter) ||
+                room.host.toLowerCase().includes(filter);
+        });
         
-        // Request rooms from the server
-        this.networkManager.getActiveRooms()
-            .then(rooms => {
-                // Stop spinner animation
-                refreshIcon.classList.remove('spin');
-                
-                // Clear loading message
-                while (this.elements.roomDropdown.firstChild) {
-                    this.elements.roomDropdown.removeChild(this.elements.roomDropdown.firstChild);
-                }
-                
-                // Display rooms or empty message
-                if (rooms.length === 0) {
-                    const emptyDiv = document.createElement('div');
-                    emptyDiv.className = 'room-dropdown-empty';
-                    emptyDiv.textContent = 'No active rooms found';
-                    this.elements.roomDropdown.appendChild(emptyDiv);
-                } else {
-                    // Add each room as an option
-                    rooms.forEach(room => {
-                        const roomOption = document.createElement('div');
-                        roomOption.className = 'room-option';
-                        
-                        const roomInfo = document.createElement('div');
-                        roomInfo.className = 'room-info';
-                        roomInfo.innerHTML = `
-                            <span class="room-id">${room.id}</span>
-                            <span class="player-count">${room.playerCount} player${room.playerCount !== 1 ? 's' : ''}</span>
-                        `;
-                        
-                        const roomHost = document.createElement('div');
-                        roomHost.className = 'room-host';
-                        roomHost.textContent = `Host: ${room.host}`;
-                        
-                        roomOption.appendChild(roomInfo);
-                        roomOption.appendChild(roomHost);
-                        
-                        // Add click handler to select this room
-                        roomOption.addEventListener('click', () => {
-                            this.elements.roomIdInput.value = room.id;
-                            this.elements.roomDropdown.classList.add('hidden');
-                        });
-                        
-                        this.elements.roomDropdown.appendChild(roomOption);
-                    });
-                }
-            })
-            .catch(error => {
-                // Stop spinner animation
-                refreshIcon.classList.remove('spin');
-                
-                // Show error message
-                while (this.elements.roomDropdown.firstChild) {
-                    this.elements.roomDropdown.removeChild(this.elements.roomDropdown.firstChild);
-                }
-                
-                const errorDiv = document.createElement('div');
-                errorDiv.className = 'room-dropdown-empty';
-                errorDiv.textContent = 'Error loading rooms';
-                this.elements.roomDropdown.appendChild(errorDiv);
-                
-                console.error('Failed to load rooms:', error);
-            });
+        const sortOrders = {
+            newest: (a, b) => b.createdAt - a.createdAt,
+            players: (a, b) => b.playerCount - a.playerCount,
+            open: (a, b) => (b.maxPlayers - b.playerCount) - (a.maxPlayers - a.playerCount),
+            host: (a, b) => a.host.localeCompare(b.host)
+        };
+        rooms.sort(sortOrders[this.elements.roomSortSelect.value] || sortOrders.newest);
+        
+        // Display rooms or empty message
+        if (rooms.length === 0) {
+            const emptyDiv = document.createElement('div');
+            emptyDiv.className = 'room-dropdown-empty';
+            emptyDiv.textContent = this.lobbyRooms.length === 0 ? 'No active rooms found' : 'No rooms match the filter';
+            list.appendChild(emptyDiv);
+            return;
+        }
+        
+        rooms.forEach(room => {
+            list.appendChild(this.createRoomOption(room));
+        });
+    }
+    
+    /**
+     * Build one entry of the room list
+     * @param {Object} room - Room summary
+     * @returns {HTMLElement} Room option element
+     */
+    createRoomOption(room) {
+        const roomOption = document.createElement('div');
+        roomOption.className = 'room-option';
+        
+        let status = 'Open';
+        let statusClass = 'room-status-open';
+        if (room.gameInProgress) {
+            status = 'In game';
+            statusClass = 'room-status-playing';
+        } else if (room.playerCount >= room.maxPlayers) {
+            status = 'Full';
+            statusClass = 'room-status-full';
+        }
+        
+        const roomInfo = document.createElement('div');
+        roomInfo.className = 'room-info';
+        roomInfo.innerHTML = `
+            <span class="room-id">${room.id}</span>
+            ${room.hasPassword ? '<i class="fa fa-lock room-lock" title="Password protected"></i>' : ''}
+            <span class="player-count">${room.playerCount}/${room.maxPlayers}</span>
+            <span class="room-status ${statusClass}">${status}</span>
+        `;
+        
+        // Host and a short summary of the match settings
+        const details = [`Host: ${room.host}`];
+        if (room.settings) {
+            details.push(`${Utils.formatTime(room.settings.gameDuration)} rounds`);
+            details.push(`${room.settings.startingLives} ${room.settings.startingLives === 1 ? 'life' : 'lives'}`);
+        }
+        if (room.spectatorCount > 0) {
+            details.push(`${room.spectatorCount} watching`);
+        }
+        
+        const roomHost = document.createElement('div');
+        roomHost.className = 'room-host';
+        roomHost.textContent = details.join(' · ');
+        
+        roomOption.appendChild(roomInfo);
+        roomOption.appendChild(roomHost);
+        
+        // Add click handler to select this room
+        roomOption.addEventListener('click', () => {
+            this.elements.roomIdInput.value = room.id;
+            this.elements.roomDropdown.classList.add('hidden');
+        });
+        
+        return roomOption;
     }
     
     /**
@@ -981,15 +1649,23 @@ class UIManager {
      * @param {boolean} isHost - Whether the current player is the host
      */
     updateHostControls(isHost) {
+        this.isHost = isHost;
+        
         // Update UI elements that should only be visible/enabled for the host
         if (this.elements.startGameBtn) {
             this.elements.startGameBtn.style.display = isHost ? 'block' : 'none';
         }
+        this.updateStartControls();
         
         if (this.elements.restartBtn) {
             this.elements.restartBtn.style.display = isHost ? 'block' : 'none';
         }
         
+        // Only the host can edit the match settings
+        this.elements.roomSettingInputs.forEach(input => {
+            input.disabled = !isHost;
+        });
+        
         // Update any other host-specific controls
         const hostOnlyElements = document.querySelectorAll('.host-only');
         hostOnlyElements.forEach(el => {
@@ -1033,10 +1709,7 @@ class UIManager {
     showGameInProgressError(message) {
         this.showConnectionStatus(message, 'error');
         
-        // Reset the room ID input to allow joining another room
-        if (this.elements.roomIdInput) {
-            this.elements.roomIdInput.value = '';
-        }
+        // Keep the room ID so the user can choose to watch instead
         
         // Flash the input field to indicate error
         if (this.elements.roomIdInput) {
@@ -1064,9 +1737,29 @@ class UIManager {
             icon.className = 'fa fa-plus';
         } else {
             icon.className = 'fa fa-minus';
+            this.resetUnreadChat();
         }
     }
     
+    /**
+     * Show how many messages arrived while the in-game chat was minimized
+     */
+    updateUnreadChat() {
+        const badge = this.elements.chatUnread;
+        if (!badge) return;
+        
+        badge.textContent = this.unreadChatCount > 99 ? '99+' : this.unreadChatCount;
+        badge.classList.toggle('hidden', this.unreadChatCount === 0);
+    }
+    
+    /**
+     * Clear the unread message counter
+     */
+    resetUnreadChat() {
+        this.unreadChatCount = 0;
+        this.updateUnreadChat();
+    }
+    
     /**
      * Show chat panel during game
      */
@@ -1079,6 +1772,7 @@ class UIManager {
         // Update toggle button icon
         const icon = this.elements.chatToggleBtn.querySelector('i');
         icon.className = 'fa fa-minus';
+        this.resetUnreadChat();
     }
     
     /**
@@ -1098,6 +1792,7 @@ class UIManager {
         
         const message = this.elements.chatInput.value.trim();
         if (message && this.callbacks.onSendChatMessage) {
+            this.stopTyping();
             this.callbacks.onSendChatMessage(message);
             this.elements.chatInput.value = '';
             AudioSystem.play('message');
@@ -1112,6 +1807,7 @@ class UIManager {
         
         const message = this.elements.waitingChatInput.value.trim();
         if (message && this.callbacks.onSendChatMessage) {
+            this.stopTyping();
             this.callbacks.onSendChatMessage(message);
             this.elements.waitingChatInput.value = '';
             AudioSystem.play('message');
@@ -1121,57 +1817,255 @@ class UIManager {
     /**
      * Add a chat message to the display
      * @param {Object} messageData - Chat message data
+     * @param {string} [localPlayerId] - Our player ID, to tell sent and received whispers apart
      */
-    addChatMessage(messageData) {
-        const { type, playerName, playerColor, message, timestamp } = messageData;
-        
+    addChatMessage(messageData, localPlayerId) {
         // Add to both chat containers if they exist
-        this.addMessageToContainer(this.elements.chatMessages, messageData);
-        this.addMessageToContainer(this.elements.waitingChatMessages, messageData);
+        this.addMessageToContainer(this.elements.chatMessages, messageData, localPlayerId);
+        this.addMessageToContainer(this.elements.waitingChatMessages, messageData, localPlayerId);
+        
+        // Someone who sends a message has stopped typing
+        if (messageData.playerId) {
+            this.showTypingIndicator(messageData.playerId, null, false);
+        }
+        
+        // Count what we missed while the in-game chat is minimized
+        const panel = this.elements.chatPanel;
+        const isMinimized = panel && !panel.classList.contains('hidden') && panel.classList.contains('minimized');
+        if (isMinimized && messageData.playerId && messageData.playerId !== localPlayerId) {
+            this.unreadChatCount++;
+            this.updateUnreadChat();
+        }
     }
     
     /**
      * Add message to a specific chat container
      * @param {HTMLElement} container - Chat messages container
      * @param {Object} messageData - Chat message data
+     * @param {string} [localPlayerId] - Our player ID
      */
-    addMessageToContainer(container, messageData) {
+    addMessageToContainer(container, messageData, localPlayerId) {
         if (!container) return;
         
-        const { type, playerName, playerColor, message, timestamp } = messageData;
+        // Only follow new messages if the user isn't reading older ones
+        const isAtBottom = container.scrollHeight - container.scrollTop - container.clientHeight < this.chatScrollbackThreshold;
+        
+        container.appendChild(this.createChatMessageElement(messageData, localPlayerId));
+        
+        if (isAtBottom) {
+            container.scrollTop = container.scrollHeight;
+        }
+        
+        // Limit message history to prevent memory issues, the dropped messages can be loaded again
+        while (container.children.length > this.maxChatMessages) {
+            container.removeChild(container.firstChild);
+            this.chatHistoryHasMore = true;
+        }
+    }
+    
+    /**
+     * Build the element for a chat message
+     * @param {Object} messageData - Chat message data
+     * @param {string} [localPlayerId] - Our player ID
+     * @returns {HTMLElement} Message element
+     */
+    createChatMessageElement(messageData, localPlayerId) {
+        const { type, playerName, playerColor, message, timestamp, isSpectator } = messageData;
         
         const messageElement = document.createElement('div');
         messageElement.className = `chat-message ${type}`;
         
+        // Messages the server keeps in its history can be used as a scrollback marker
+        if (type !== 'whisper' && type !== 'command') {
+            messageElement.dataset.messageId = messageData.id;
+        }
+        
         // Create timestamp
         const time = new Date(timestamp);
         const timeString = time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const isOwnWhisper = type === 'whisper' && messageData.playerId === localPlayerId;
         
-        if (type === 'system') {
+        if (type === 'system' || type === 'command') {
+            // Command replies are only shown to us and may span several lines
+            messageElement.innerHTML = `
+                <span class="timestamp">${timeString}</span>
+                <span class="message">${this.escapeHtml(message)}</span>
+            `;
+        } else if (type === 'emote' || type === 'roll') {
+            // "* Name waves" and "Name rolled 42 (1-100)" read as one sentence
+            const prefix = type === 'roll' ? '<i class="fa fa-cube"></i> ' : '* ';
+            messageElement.innerHTML = `
+                <span class="timestamp">${timeString}</span>
+                ${prefix}<span class="username">${this.escapeHtml(playerName)}</span>
+                <span class="message">${this.escapeHtml(message)}</span>
+            `;
+        } else if (type === 'announcement') {
+            // Sent by a server admin to every room
+            messageElement.innerHTML = `
+                <span class="timestamp">${timeString}</span>
+                <i class="fa fa-bullhorn"></i> <span class="message">${this.escapeHtml(message)}</span>
+            `;
+        } else if (type === 'whisper') {
+            const label = isOwnWhisper
+                ? `To ${this.escapeHtml(messageData.targetName)}`
+                : `From ${this.escapeHtml(playerName)}`;
             messageElement.innerHTML = `
                 <span class="timestamp">${timeString}</span>
+                <span class="username">${label}:</span>
                 <span class="message">${this.escapeHtml(message)}</span>
             `;
         } else {
             // Player message
-            const usernameStyle = playerColor ? `color: ${playerColor}` : '';
             messageElement.innerHTML = `
                 <span class="timestamp">${timeString}</span>
-                <span class="username" style="${usernameStyle}">${this.escapeHtml(playerName)}:</span>
+                <span class="username">${this.escapeHtml(playerName)}${isSpectator ? ' (spectator)' : ''}:</span>
                 <span class="message">${this.escapeHtml(message)}</span>
             `;
         }
         
-        container.appendChild(messageElement);
+        // Set through the DOM, the color comes from another player and never reaches the HTML
+        const username = messageElement.querySelector('.username');
+        if (username && playerColor && !isOwnWhisper) {
+            username.style.color = playerColor;
+        }
         
-        // Auto-scroll to bottom
-        container.scrollTop = container.scrollHeight;
+        return messageElement;
+    }
+    
+    /**
+     * Replace the chat with the history the room sent on join
+     * @param {Object} history - { messages, hasMore } from the server
+     * @param {string} localPlayerId - Our player ID
+     */
+    setChatHistory(history, localPlayerId) {
+        this.clearChatMessages();
+        if (!history) return;
         
-        // Limit message history to prevent memory issues
-        const maxMessages = 100;
-        while (container.children.length > maxMessages) {
-            container.removeChild(container.firstChild);
+        history.messages.forEach(messageData => {
+            this.addMessageToContainer(this.elements.chatMessages, messageData, localPlayerId);
+            this.addMessageToContainer(this.elements.waitingChatMessages, messageData, localPlayerId);
+        });
+        this.chatHistoryHasMore = history.hasMore;
+    }
+    
+    /**
+     * Ask for the messages before the oldest one shown
+     * @param {HTMLElement} container - Chat container the user scrolled
+     */
+    loadOlderChatMessages(container) {
+        if (this.chatHistoryLoading || !this.chatHistoryHasMore) return;
+        
+        const oldest = container.querySelector('.chat-message[data-message-id]');
+        if (!oldest || !this.callbacks.onLoadChatHistory) return;
+        
+        this.chatHistoryLoading = true;
+        
+        const loading = document.createElement('div');
+        loading.className = 'chat-history-loading';
+        loading.textContent = 'Loading older messages...';
+        container.insertBefore(loading, container.firstChild);
+        
+        this.callbacks.onLoadChatHistory(oldest.dataset.messageId);
+    }
+    
+    /**
+     * Add older messages above the ones shown, keeping the scroll position
+     * @param {Object} history - { messages, hasMore } from the server
+     * @param {string} localPlayerId - Our player ID
+     */
+    prependChatHistory(history, localPlayerId) {
+        this.chatHistoryLoading = false;
+        this.chatHistoryHasMore = history.hasMore;
+        
+        [this.elements.chatMessages, this.elements.waitingChatMessages].forEach(container => {
+            if (!container) return;
+            
+            container.querySelectorAll('.chat-history-loading').forEach(el => el.remove());
+            
+            const fragment = document.createDocumentFragment();
+            history.messages.forEach(messageData => {
+                fragment.appendChild(this.createChatMessageElement(messageData, localPlayerId));
+            });
+            
+            const previousHeight = container.scrollHeight;
+            container.insertBefore(fragment, container.firstChild);
+            container.scrollTop += container.scrollHeight - previousHeight;
+        });
+    }
+    
+    /**
+     * Tell the room whether we are typing, based on the chat input
+     * @param {string} text - Current input text
+     */
+    updateTypingState(text) {
+        if (!text.trim()) {
+            this.stopTyping();
+            return;
+        }
+        
+        if (!this.isTyping) {
+            this.isTyping = true;
+            if (this.callbacks.onTyping) {
+                this.callbacks.onTyping(true);
+            }
         }
+        
+        // Stop once the user pauses for a while
+        clearTimeout(this.typingStopTimer);
+        this.typingStopTimer = setTimeout(() => this.stopTyping(), this.typingStopDelay);
+    }
+    
+    /**
+     * Tell the room we stopped typing
+     */
+    stopTyping() {
+        clearTimeout(this.typingStopTimer);
+        this.typingStopTimer = null;
+        
+        if (!this.isTyping) return;
+        this.isTyping = false;
+        
+        if (this.callbacks.onTyping) {
+            this.callbacks.onTyping(false);
+        }
+    }
+    
+    /**
+     * Show or hide that another player is typing
+     * @param {string} playerId - ID of the player
+     * @param {string|null} playerName - Name of the player
+     * @param {boolean} typing - Whether the player is typing
+     */
+    showTypingIndicator(playerId, playerName, typing) {
+        const entry = this.typingPlayers.get(playerId);
+        if (entry) {
+            clearTimeout(entry.timeout);
+            this.typingPlayers.delete(playerId);
+        }
+        
+        // A lost "stopped typing" event shouldn't leave the notice up forever
+        if (typing) {
+            this.typingPlayers.set(playerId, {
+                name: playerName,
+                timeout: setTimeout(() => this.showTypingIndicator(playerId, null, false), this.typingIndicatorTimeout)
+            });
+        }
+        
+        const names = Array.from(this.typingPlayers.values()).map(p => p.name);
+        let text = '';
+        if (names.length === 1) {
+            text = `${names[0]} is typing...`;
+        } else if (names.length === 2) {
+            text = `${names[0]} and ${names[1]} are typing...`;
+        } else if (names.length > 2) {
+            text = 'Several people are typing...';
+        }
+        
+        [this.elements.chatTyping, this.elements.waitingChatTyping].forEach(indicator => {
+            if (!indicator) return;
+            indicator.textContent = text;
+            indicator.classList.toggle('hidden', !text);
+        });
     }
     
     /**
@@ -1184,6 +2078,13 @@ class UIManager {
         if (this.elements.waitingChatMessages) {
             this.elements.waitingChatMessages.innerHTML = '';
         }
+        
+        this.chatHistoryHasMore = false;
+        this.chatHistoryLoading = false;
+        this.resetUnreadChat();
+        
+        // Nobody from the previous room is typing here
+        this.typingPlayers.forEach((entry, playerId) => this.showTypingIndicator(playerId, null, false));
     }
     
     /**
@@ -65,6 +65,18 @@ const Utils = {
         return `${mins}:${secs}`;
     },
 
+    /**
+     * Interpolate between two angles in degrees along the shortest path
+     * @param {number} from - Start angle in degrees
+     * @param {number} to - End angle in degrees
+     * @param {number} t - Interpolation factor (0-1)
+     * @returns {number} Interpolated angle normalized to 0-360
+     */
+    lerpAngle: (from, to, t) => {
+        const delta = ((to - from) % 360 + 540) % 360 - 180;
+        return (from + delta * t + 360) % 360;
+    },
+
     /**
      * Debounce function to limit how often a function is called
      * @param {Function} func - The function to debounce